@@ -0,0 +1,78 @@
+import { ACTIVITY_PROFILES } from "../engine/activities";
+
+const VERDICT_STYLES = {
+    go: "bg-green-500/20 text-green-400 border-green-500/30",
+    marginal: "bg-yellow-500/20 text-yellow-400 border-yellow-500/30",
+    "no-go": "bg-red-500/20 text-red-400 border-red-500/30",
+};
+
+const barColor = (score) => (score >= 70 ? "#36c891" : score >= 45 ? "#f5a623" : "#f75555");
+
+const ActivitySuitability = ({ activity, onActivityChange, result, explanation, missingLabels = [] }) => {
+    return (
+        <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
+            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+                <i className="fas fa-clipboard-check"></i> Activity Suitability
+            </h3>
+            <div className="grid grid-cols-3 sm:grid-cols-7 gap-3 mb-4">
+                <button
+                    onClick={() => onActivityChange("")}
+                    className={`p-3 rounded-lg text-xs font-medium transition-all duration-200 ${!activity ? "bg-[#4dc2f5] text-white shadow-md" : "bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                >
+                    <div className="text-xl mb-1"><i className="fas fa-ban"></i></div>
+                    None
+                </button>
+                {ACTIVITY_PROFILES.map(profile => (
+                    <button
+                        key={profile.id}
+                        onClick={() => onActivityChange(profile.id)}
+                        className={`p-3 rounded-lg text-xs font-medium transition-all duration-200 ${activity === profile.id ? "bg-[#4dc2f5] text-white shadow-md" : "bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                    >
+                        <div className="text-xl mb-1"><i className={profile.icon}></i></div>
+                        {profile.label}
+                    </button>
+                ))}
+            </div>
+
+            {result && result.score !== null && (
+                <div className="bg-[#0d1117] rounded-xl p-5 border border-[#30363d]">
+                    <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                        <div>
+                            <div className="text-sm text-[#8b949e]">{result.profile.label} suitability</div>
+                            <div className="text-4xl font-bold" style={{ color: barColor(result.score) }}>
+                                {result.score.toFixed(0)}<span className="text-lg text-[#8b949e]">/100</span>
+                            </div>
+                        </div>
+                        <span className={`px-4 py-2 rounded-lg border text-lg font-semibold ${VERDICT_STYLES[result.verdict.id]}`}>
+                            {result.verdict.label}
+                        </span>
+                    </div>
+                    <p className="text-sm text-[#c9d1d9] mb-4">{explanation}</p>
+                    <div className="space-y-2">
+                        {result.factors.map(factor => (
+                            <div key={factor.param} className="text-sm">
+                                <div className="flex justify-between mb-1">
+                                    <span className="text-[#8b949e]">
+                                        {factor.label} <span className="text-xs">(weight {factor.weight})</span>
+                                    </span>
+                                    <span>{factor.score.toFixed(0)} &middot; {factor.unacceptable.toFixed(0)}% of days unacceptable</span>
+                                </div>
+                                <div className="w-full bg-[#30363d] rounded-full h-2">
+                                    <div className="h-2 rounded-full" style={{ width: `${factor.score}%`, backgroundColor: barColor(factor.score) }} />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    {missingLabels.length > 0 && (
+                        <p className="text-xs text-[#8b949e] mt-3">Not scored (variable not loaded): {missingLabels.join(", ")}</p>
+                    )}
+                </div>
+            )}
+            {result && result.score === null && (
+                <p className="text-sm text-[#8b949e]">{explanation}</p>
+            )}
+        </div>
+    );
+};
+
+export default ActivitySuitability;
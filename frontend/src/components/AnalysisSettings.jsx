@@ -0,0 +1,115 @@
+import { BASELINES, resolveBaseline } from "../engine/baseline";
+import { WINDOW_OPTIONS } from "../engine/forecast";
+import { DEFAULT_DISPLAY_UNITS, IMPERIAL_DISPLAY_UNITS, QUANTITY_LABELS, unitsFor, unitLabel } from "../engine/units";
+
+const selectClass = "w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors";
+
+const AnalysisSettings = ({
+    baseline,
+    onBaselineChange,
+    windowDays,
+    onWindowDaysChange,
+    displayUnits,
+    onDisplayUnitsChange,
+    ruleSetName,
+    isCustomRuleSet,
+    onRulesFile,
+    onResetRules,
+    cachedSeries,
+    onClearCache,
+}) => {
+    const period = resolveBaseline(baseline);
+
+    return (
+        <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
+            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+                <i className="fas fa-sliders-h"></i> Analysis Settings
+            </h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                <label className="block">
+                    <span className="block text-sm text-[#8b949e] mb-2">Historical Baseline</span>
+                    <select value={baseline} onChange={(e) => onBaselineChange(e.target.value)} className={selectClass}>
+                        {BASELINES.map(b => (
+                            <option key={b.id} value={b.id}>{b.label}</option>
+                        ))}
+                    </select>
+                    <span className="block text-xs text-[#8b949e] mt-1">{period.startYear} - {period.endYear}</span>
+                </label>
+                <label className="block">
+                    <span className="block text-sm text-[#8b949e] mb-2">Season Window</span>
+                    <select value={windowDays} onChange={(e) => onWindowDaysChange(Number(e.target.value))} className={selectClass}>
+                        {WINDOW_OPTIONS.map(days => (
+                            <option key={days} value={days}>±{days} days</option>
+                        ))}
+                    </select>
+                    <span className="block text-xs text-[#8b949e] mt-1">{2 * windowDays + 1} calendar days per year</span>
+                </label>
+                <div className="block sm:col-span-2">
+                    <span className="block text-sm text-[#8b949e] mb-2">Status Rules</span>
+                    <div className="flex items-center gap-2">
+                        <span className="flex-grow px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm truncate">{ruleSetName}</span>
+                        <label className="px-4 py-3 bg-[#927fe1] text-white rounded-lg text-sm font-medium cursor-pointer hover:bg-opacity-90 transition-all">
+                            <i className="fas fa-file-upload"></i> Load JSON
+                            <input
+                                type="file"
+                                accept="application/json,.json"
+                                className="hidden"
+                                onChange={(e) => {
+                                    if (e.target.files[0]) onRulesFile(e.target.files[0]);
+                                    e.target.value = "";
+                                }}
+                            />
+                        </label>
+                        {isCustomRuleSet && (
+                            <button onClick={onResetRules} className="px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#8b949e] hover:bg-[#1f242c] transition-colors">
+                                Reset
+                            </button>
+                        )}
+                    </div>
+                    <span className="block text-xs text-[#8b949e] mt-1">
+                        Custom bands for badges and advice, e.g. <a href="/rule-sets/construction-site.json" target="_blank" rel="noreferrer" className="text-[#4dc2f5] hover:underline">construction site</a>
+                    </span>
+                </div>
+            </div>
+
+            <div className="flex justify-between items-center mt-6 mb-2">
+                <span className="text-sm text-[#8b949e]">Display Units</span>
+                <div className="flex gap-1">
+                    <button onClick={() => onDisplayUnitsChange(DEFAULT_DISPLAY_UNITS)} className="px-2 py-1 rounded text-xs bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c] transition-colors">Metric</button>
+                    <button onClick={() => onDisplayUnitsChange(IMPERIAL_DISPLAY_UNITS)} className="px-2 py-1 rounded text-xs bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c] transition-colors">Imperial</button>
+                </div>
+            </div>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                {Object.entries(QUANTITY_LABELS).map(([quantity, label]) => (
+                    <label key={quantity} className="block">
+                        <span className="block text-xs text-[#8b949e] mb-1">{label}</span>
+                        <select
+                            value={displayUnits[quantity]}
+                            onChange={(e) => onDisplayUnitsChange({ ...displayUnits, [quantity]: e.target.value })}
+                            className={selectClass}
+                        >
+                            {unitsFor(quantity).map(unit => (
+                                <option key={unit} value={unit}>{unitLabel(unit)}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+
+            <div className="flex justify-between items-center mt-6 pt-4 border-t border-[#30363d] text-sm">
+                <span className="text-[#8b949e]">
+                    <i className="fas fa-database"></i> Cached data: {cachedSeries} yearly series stored in this browser
+                </span>
+                <button
+                    onClick={onClearCache}
+                    disabled={cachedSeries === 0}
+                    className="px-3 py-1 rounded text-xs bg-[#0d1117] border border-[#30363d] text-[#8b949e] hover:bg-[#1f242c] transition-colors disabled:opacity-50"
+                >
+                    Clear cached data
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AnalysisSettings;
@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { Polygon, Polyline, Rectangle, CircleMarker, Tooltip as MapTooltip, useMap, useMapEvents } from "react-leaflet";
+import { rectangleFromCorners } from "../engine/area";
+
+const AREA_STYLE = { color: "#4dc2f5", weight: 2, fillOpacity: 0.12 };
+const DRAFT_STYLE = { color: "#f5a623", weight: 2, dashArray: "6 4", fillOpacity: 0.08 };
+
+// Clicking within this many pixels of the first vertex closes a polygon.
+const CLOSE_TOLERANCE_PX = 10;
+
+const toLatLng = ({ lat, lng }) => [lat, lng];
+
+// Draws and shows the selected area. In "rectangle" mode two clicks set
+// opposite corners; in "polygon" mode each click adds a vertex and a
+// double-click, or a click on the first vertex, closes the ring. Mount it
+// with `key={mode}` so switching modes drops an unfinished shape.
+const AreaDrawLayer = ({ mode, area, cells, onComplete }) => {
+    const map = useMap();
+    const [draft, setDraft] = useState([]);
+    const [cursor, setCursor] = useState(null);
+
+    useEffect(() => () => map.doubleClickZoom.enable(), [map]);
+
+    const finishPolygon = (points) => {
+        const unique = points.filter((p, i) => i === 0 || p.lat !== points[i - 1].lat || p.lng !== points[i - 1].lng);
+        if (unique.length < 3) return;
+        setDraft([]);
+        setCursor(null);
+        map.doubleClickZoom.enable();
+        onComplete({ type: "polygon", points: unique });
+    };
+
+    useMapEvents({
+        click(e) {
+            const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+            if (mode === "rectangle") {
+                if (draft.length === 0) {
+                    setDraft([point]);
+                } else {
+                    setDraft([]);
+                    setCursor(null);
+                    onComplete(rectangleFromCorners(draft[0], point));
+                }
+            } else if (mode === "polygon") {
+                if (draft.length >= 3 && map.latLngToContainerPoint(toLatLng(draft[0])).distanceTo(e.containerPoint) <= CLOSE_TOLERANCE_PX) {
+                    finishPolygon(draft);
+                    return;
+                }
+                // no zooming on the double-click that closes the ring
+                map.doubleClickZoom.disable();
+                setDraft(prev => [...prev, point]);
+            }
+        },
+        dblclick() {
+            if (mode === "polygon") finishPolygon(draft);
+        },
+        mousemove(e) {
+            if (draft.length) setCursor({ lat: e.latlng.lat, lng: e.latlng.lng });
+        },
+    });
+
+    return (
+        <>
+            {area && <Polygon positions={area.points.map(toLatLng)} pathOptions={AREA_STYLE} />}
+            {area && cells.map(cell => (
+                <CircleMarker key={`${cell.lat},${cell.lng}`} center={toLatLng(cell)} radius={4} pathOptions={{ color: "#4dc2f5", fillOpacity: 0.8 }}>
+                    <MapTooltip>Grid cell {cell.lat.toFixed(2)}°, {cell.lng.toFixed(2)}°</MapTooltip>
+                </CircleMarker>
+            ))}
+            {mode === "rectangle" && draft.length === 1 && cursor && (
+                <Rectangle bounds={[toLatLng(draft[0]), toLatLng(cursor)]} pathOptions={DRAFT_STYLE} />
+            )}
+            {mode === "polygon" && draft.length > 0 && (
+                <Polyline positions={[...draft, ...(cursor ? [cursor] : [])].map(toLatLng)} pathOptions={DRAFT_STYLE} />
+            )}
+            {mode === "polygon" && draft.map((p, i) => (
+                <CircleMarker key={i} center={toLatLng(p)} radius={i === 0 ? 6 : 3} pathOptions={{ color: "#f5a623", fillOpacity: 1 }} />
+            ))}
+        </>
+    );
+};
+
+export default AreaDrawLayer;
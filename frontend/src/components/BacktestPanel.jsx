@@ -0,0 +1,174 @@
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { backtestParam, NOMINAL_COVERAGE } from "../engine/backtest";
+import { convertThreshold, describeThreshold } from "../engine/exceedance";
+import { convert, convertDelta } from "../engine/units";
+
+const csvCell = (cell) => {
+    const text = String(cell ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Within 10 points of nominal counts as calibrated.
+const coverageColor = (coverage) => (Math.abs(coverage - NOMINAL_COVERAGE) <= 10 ? "text-[#36c891]" : "text-[#f5a623]");
+
+// Runs on demand: the backtest re-forecasts every day of the window once per
+// baseline year, which is too slow to redo on every settings change. Each
+// variable runs in its own task so the page stays responsive and can show
+// progress. Results belong to the loaded history and are dropped when it
+// changes.
+const BacktestPanel = ({ historicalData, targetDate, period, locationLabel, getVarInfo, getUnit, getDisplayUnit, getThreshold }) => {
+    const [results, setResults] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const running = progress !== null;
+
+    const toDisplayValue = (param, value) => convert(value, getVarInfo(param).unit, getDisplayUnit(param));
+    const toDisplayDelta = (param, value) => convertDelta(value, getVarInfo(param).unit, getDisplayUnit(param));
+
+    const run = async () => {
+        const params = Object.keys(historicalData);
+        const byParam = {};
+        try {
+            for (const [i, param] of params.entries()) {
+                setProgress({ done: i, total: params.length });
+                // let the page paint before each synchronous variable
+                await new Promise(resolve => setTimeout(resolve, 0));
+                const threshold = convertThreshold(getThreshold(param), getVarInfo(param).unit);
+                const result = backtestParam(historicalData[param], param, targetDate, { windowDays: period.windowDays, threshold });
+                if (result) byParam[param] = result;
+            }
+            if (Object.keys(byParam).length === 0) {
+                toast.error("Backtesting needs at least two years of history");
+                setResults(null);
+            } else {
+                setResults({ source: historicalData, targetDate, period, byParam });
+            }
+        } catch (err) {
+            console.error("Backtest error:", err);
+            toast.error(`Backtest failed: ${err.message}`);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const downloadCSV = () => {
+        const rows = [[
+            'Variable', 'Parameter Code', 'Unit', 'Held-out Year', 'Date', 'Observed', 'Predicted',
+            'P10', 'P90', 'Within P10-P90', 'Threshold', 'Exceedance Probability (%)', 'Exceeded',
+        ]];
+        Object.entries(results.byParam).forEach(([param, { threshold, cases }]) => {
+            const thresholdText = threshold ? describeThreshold(convertThreshold(threshold, getDisplayUnit(param)), getUnit(param)) : '';
+            cases.forEach(c => rows.push([
+                getVarInfo(param).label,
+                param,
+                getUnit(param),
+                c.year,
+                c.date,
+                toDisplayValue(param, c.observed).toFixed(4),
+                toDisplayValue(param, c.predicted).toFixed(4),
+                toDisplayValue(param, c.p10).toFixed(4),
+                toDisplayValue(param, c.p90).toFixed(4),
+                c.observed >= c.p10 && c.observed <= c.p90 ? 'yes' : 'no',
+                thresholdText,
+                c.probability === null ? '' : (c.probability * 100).toFixed(2),
+                c.exceeded === null ? '' : (c.exceeded ? 'yes' : 'no'),
+            ]));
+        });
+
+        const blob = new Blob([rows.map(row => row.map(csvCell).join(',')).join('\n')], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', `Backtest-${results.targetDate}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        toast.success("Backtest CSV downloaded");
+    };
+
+    const current = results && results.source === historicalData ? results : null;
+
+    return (
+        <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold flex items-center gap-2">
+                    <i className="fas fa-vial"></i> Backtest
+                </h3>
+                {historicalData && period && (
+                    <div className="flex gap-2">
+                        {current && (
+                            <button
+                                onClick={downloadCSV}
+                                className="px-4 py-2 bg-[#0d1117] border border-[#30363d] text-[#c9d1d9] rounded-lg font-medium hover:bg-[#1f242c] transition-all flex items-center gap-2 text-sm"
+                            >
+                                <i className="fas fa-file-csv"></i> CSV
+                            </button>
+                        )}
+                        <button
+                            onClick={run}
+                            disabled={running}
+                            className="px-4 py-2 bg-[#4dc2f5] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm disabled:opacity-50"
+                        >
+                            <i className={running ? "fas fa-spinner fa-spin" : "fas fa-play"}></i> {running ? `Running ${progress.done + 1} of ${progress.total}...` : "Run backtest"}
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {!historicalData || !period ? (
+                <p className="text-sm text-[#8b949e]">Load a forecast to score the method against the past years of this location.</p>
+            ) : !current ? (
+                <p className="text-sm text-[#8b949e]">
+                    Hides each year of the {period.startYear} - {period.endYear} baseline in turn, forecasts every day within ±{period.windowDays} days of {targetDate} from the other years and compares the forecast with what was observed.
+                </p>
+            ) : (
+                <>
+                    <p className="text-xs text-[#8b949e] mb-3">
+                        {locationLabel}, ±{current.period.windowDays} days around {current.targetDate}, {current.period.startYear} - {current.period.endYear} baseline
+                    </p>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-[#8b949e] border-b border-[#30363d]">
+                                    <th className="py-2 pr-4">Variable</th>
+                                    <th className="py-2 pr-4">Days</th>
+                                    <th className="py-2 pr-4" title="Mean absolute error of the expected value">MAE</th>
+                                    <th className="py-2 pr-4" title="Mean of predicted − observed; positive means the method runs high">Bias</th>
+                                    <th className="py-2 pr-4" title={`Share of observed days inside P10-P90; ${NOMINAL_COVERAGE}% when calibrated`}>P10-P90 coverage</th>
+                                    <th className="py-2 pr-4" title="Mean squared error of the exceedance probability; 0 is perfect">Brier score</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(current.byParam).map(([param, { threshold, scores }]) => (
+                                    <tr key={param} className="border-b border-[#30363d]">
+                                        <td className="py-2 pr-4 text-[#c9d1d9]">
+                                            <i className={getVarInfo(param).icon}></i> {getVarInfo(param).label}
+                                        </td>
+                                        <td className="py-2 pr-4">{scores.cases} <span className="text-xs text-[#8b949e]">({scores.years} yrs)</span></td>
+                                        <td className="py-2 pr-4">{toDisplayDelta(param, scores.mae).toFixed(2)} {getUnit(param)}</td>
+                                        <td className="py-2 pr-4">{scores.bias >= 0 ? "+" : ""}{toDisplayDelta(param, scores.bias).toFixed(2)} {getUnit(param)}</td>
+                                        <td className={`py-2 pr-4 ${coverageColor(scores.coverage)}`}>{scores.coverage.toFixed(0)}%</td>
+                                        <td className="py-2 pr-4">
+                                            {scores.brier === null ? "—" : (
+                                                <>
+                                                    {scores.brier.toFixed(3)}
+                                                    <div className="text-xs text-[#8b949e]">
+                                                        {describeThreshold(convertThreshold(threshold, getDisplayUnit(param)), getUnit(param))}, observed on {scores.observedRate.toFixed(0)}% of days
+                                                    </div>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,181 @@
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { WEEKDAYS, MAX_CANDIDATE_DAYS, rankDates } from "../engine/dateFinder";
+import { parseTargetDate, formatISODate } from "../engine/forecast";
+
+const inputClass = "w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors";
+
+// Red (0) through amber (50) to green (100).
+const heatColor = (score) => {
+    const t = Math.max(0, Math.min(1, score / 100));
+    const hue = t * 130;
+    return `hsl(${hue}, 65%, ${30 + t * 10}%)`;
+};
+
+const monthsBetween = (start, end) => {
+    const months = [];
+    const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+    while (cursor <= end) {
+        months.push(new Date(cursor));
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+    return months;
+};
+
+const CalendarMonth = ({ month, scores, onPickDate }) => {
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    // Monday-first grid
+    const leading = (month.getDay() + 6) % 7;
+    const cells = [
+        ...Array.from({ length: leading }, () => null),
+        ...Array.from({ length: daysInMonth }, (_, i) => new Date(month.getFullYear(), month.getMonth(), i + 1)),
+    ];
+
+    return (
+        <div>
+            <div className="text-sm font-semibold text-[#c9d1d9] mb-2">
+                {month.toLocaleString('default', { month: 'long', year: 'numeric' })}
+            </div>
+            <div className="grid grid-cols-7 gap-1 text-[10px] text-center">
+                {WEEKDAYS.map(d => (
+                    <div key={d.id} className="text-[#8b949e]">{d.short[0]}</div>
+                ))}
+                {cells.map((date, i) => {
+                    if (!date) return <div key={`blank-${i}`} />;
+                    const iso = formatISODate(date);
+                    const entry = scores[iso];
+                    return entry ? (
+                        <button
+                            key={iso}
+                            onClick={() => onPickDate(iso)}
+                            title={`${iso}: ${entry.score.toFixed(0)}/100${entry.driver ? ` (${entry.driver})` : ""}`}
+                            className="aspect-square rounded text-white hover:ring-2 hover:ring-[#4dc2f5]"
+                            style={{ backgroundColor: heatColor(entry.score) }}
+                        >
+                            {date.getDate()}
+                        </button>
+                    ) : (
+                        <div key={iso} className="aspect-square rounded bg-[#0d1117] text-[#484f58] flex items-center justify-center">
+                            {date.getDate()}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+const BestDateFinder = ({ historicalData, profile, windowDays, onPickDate }) => {
+    const [start, setStart] = useState("");
+    const [end, setEnd] = useState("");
+    const [weekdays, setWeekdays] = useState([]);
+    const [ranking, setRanking] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const toggleWeekday = (id) => {
+        setWeekdays(prev => prev.includes(id) ? prev.filter(d => d !== id) : [...prev, id]);
+    };
+
+    const findDates = () => {
+        if (!start || !end || end < start) {
+            toast.error("Please choose a valid date range");
+            return;
+        }
+        setRunning(true);
+        // let the spinner paint before the synchronous ranking
+        setTimeout(() => {
+            try {
+                const result = rankDates(historicalData, profile, { start, end, weekdays, windowDays });
+                if (result.length === 0) {
+                    toast.error("No candidate dates in that range");
+                    return;
+                }
+                setRanking({ entries: result, start, end, profile: profile.label });
+            } catch (err) {
+                console.error("Date ranking error:", err);
+                toast.error(`Failed to rank dates: ${err.message}`);
+            } finally {
+                setRunning(false);
+            }
+        }, 0);
+    };
+
+    const scores = ranking ? Object.fromEntries(ranking.entries.map(entry => [entry.date, entry])) : {};
+
+    return (
+        <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
+            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+                <i className="fas fa-calendar-check"></i> Best Date Finder
+            </h3>
+            {!profile || !historicalData ? (
+                <p className="text-sm text-[#8b949e]">Choose an activity and load a forecast for your location to rank dates in a flexible window.</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                        <label className="block">
+                            <span className="block text-sm text-[#8b949e] mb-2">From</span>
+                            <input type="date" value={start} onChange={(e) => setStart(e.target.value)} className={inputClass} />
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm text-[#8b949e] mb-2">To</span>
+                            <input type="date" value={end} min={start} onChange={(e) => setEnd(e.target.value)} className={inputClass} />
+                        </label>
+                        <div>
+                            <span className="block text-sm text-[#8b949e] mb-2">Only on</span>
+                            <div className="flex gap-1">
+                                {WEEKDAYS.map(d => (
+                                    <button
+                                        key={d.id}
+                                        onClick={() => toggleWeekday(d.id)}
+                                        className={`flex-1 py-3 rounded-lg text-xs transition-colors ${weekdays.includes(d.id) ? "bg-[#4dc2f5] text-white" : "bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                                    >
+                                        {d.short}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-4 mb-4">
+                        <button
+                            onClick={findDates}
+                            disabled={running}
+                            className="px-4 py-2 bg-[#4dc2f5] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm disabled:opacity-50"
+                        >
+                            <i className={running ? "fas fa-spinner fa-spin" : "fas fa-search"}></i> {running ? "Ranking dates..." : `Rank dates for ${profile.label}`}
+                        </button>
+                        <span className="text-xs text-[#8b949e]">Up to {MAX_CANDIDATE_DAYS} days, scored on the loaded baseline</span>
+                    </div>
+
+                    {ranking && (
+                        <div className="grid lg:grid-cols-3 gap-6">
+                            <div>
+                                <h5 className="text-sm font-semibold text-[#c9d1d9] mb-3">Top dates for {ranking.profile}</h5>
+                                <ol className="space-y-2">
+                                    {ranking.entries.slice(0, 5).map((entry, i) => (
+                                        <li key={entry.date} className="flex items-center justify-between bg-[#0d1117] border border-[#30363d] rounded-lg px-3 py-2 text-sm">
+                                            <span>
+                                                <span className="text-[#8b949e] mr-2">{i + 1}.</span>
+                                                {parseTargetDate(entry.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+                                            </span>
+                                            <span className="flex items-center gap-3">
+                                                <span style={{ color: heatColor(entry.score) }} className="font-semibold">{entry.score.toFixed(0)}</span>
+                                                <button onClick={() => onPickDate(entry.date)} className="text-xs text-[#4dc2f5] hover:underline">Use</button>
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ol>
+                            </div>
+                            <div className="lg:col-span-2 grid grid-cols-2 md:grid-cols-3 gap-4">
+                                {monthsBetween(parseTargetDate(ranking.start), parseTargetDate(ranking.end)).map(month => (
+                                    <CalendarMonth key={month.toISOString()} month={month} scores={scores} onPickDate={onPickDate} />
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BestDateFinder;
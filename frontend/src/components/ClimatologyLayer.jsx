@@ -0,0 +1,21 @@
+import { Rectangle, Tooltip as MapTooltip } from "react-leaflet";
+
+// Coloured grid cells of the climatology overlay. Clicking a cell selects its
+// centre; the click does not reach the map, so it never also drops a pin. With
+// `interactive` off (while drawing an area) clicks pass through to the map.
+const ClimatologyLayer = ({ cells, interactive, onSelect }) => (
+    <>
+        {cells.map(cell => (
+            <Rectangle
+                key={`${cell.lat},${cell.lng}`}
+                bounds={cell.bounds}
+                pathOptions={{ color: cell.color, weight: 0.5, fillColor: cell.color, fillOpacity: 0.55, interactive, bubblingMouseEvents: false }}
+                eventHandlers={{ click: () => onSelect(cell) }}
+            >
+                {interactive && <MapTooltip sticky>{cell.label}</MapTooltip>}
+            </Rectangle>
+        ))}
+    </>
+);
+
+export default ClimatologyLayer;
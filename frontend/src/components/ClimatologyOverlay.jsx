@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { generateForecast } from "../engine/forecast";
+import { exceedanceProbability, convertThreshold, describeThreshold } from "../engine/exceedance";
+import { convert } from "../engine/units";
+import { visibleCells, colorScale, OVERLAY_RAMP } from "../engine/overlay";
+import { fetchDailySeries } from "../services/dataSource";
+import { isAbortError } from "../services/errors";
+
+const MODES = [
+    { id: "value", label: "Expected value" },
+    { id: "exceedance", label: "Chance of threshold" },
+];
+
+const selectClass = "w-full px-2 py-1 bg-[#0d1117] border border-[#30363d] rounded text-xs text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5]";
+
+// Controls and legend for the climatology layer (engine/overlay.js). The
+// layer is loaded on demand for the visible map, one grid cell at a time, and
+// handed to the map through `onCellsChange` as it fills in. It is marked out
+// of date rather than reloaded when the query changes, since a reload costs a
+// request per cell.
+const ClimatologyOverlay = ({
+    getMapBounds,
+    params,
+    targetDate,
+    period,
+    windowDays,
+    getVarInfo,
+    getUnit,
+    getDisplayUnit,
+    getThreshold,
+    onCellsChange,
+}) => {
+    const [mode, setMode] = useState(null);
+    const [selectedParam, setSelectedParam] = useState(null);
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const requestRef = useRef(null);
+
+    useEffect(() => () => requestRef.current?.abort(), []);
+
+    const param = params.includes(selectedParam) ? selectedParam : params[0];
+    const thresholdText = param ? describeThreshold(getThreshold(param), getUnit(param)) : "";
+    const queryKey = JSON.stringify([param, mode, targetDate, period.startYear, period.endYear, windowDays, param && getDisplayUnit(param), mode === "exceedance" && thresholdText]);
+
+    const scaleOf = (next) => colorScale(next.cells.map(cell => cell.value), next.mode === "exceedance" ? [0, 100] : null);
+
+    const publish = (next) => {
+        setResult(next);
+        const scale = scaleOf(next);
+        onCellsChange(next.cells.map(cell => ({
+            ...cell,
+            color: scale.colorOf(cell.value),
+            label: next.mode === "exceedance"
+                ? `${cell.value.toFixed(0)}% chance ${next.thresholdText}`
+                : `${cell.value.toFixed(1)} ${next.unit} expected`,
+        })));
+    };
+
+    const close = () => {
+        requestRef.current?.abort();
+        setMode(null);
+        setResult(null);
+        onCellsChange([]);
+    };
+
+    const load = async () => {
+        if (!targetDate || !param) {
+            toast.error("Please select a date and at least one variable");
+            return;
+        }
+
+        requestRef.current?.abort();
+        const controller = new AbortController();
+        requestRef.current = controller;
+
+        const { cells } = visibleCells(getMapBounds());
+        const varInfo = getVarInfo(param);
+        const threshold = convertThreshold(getThreshold(param), varInfo.unit);
+        const loaded = { key: queryKey, param, mode, targetDate, unit: getUnit(param), thresholdText, cells: [] };
+        setProgress({ done: 0, total: cells.length });
+
+        try {
+            for (const cell of cells) {
+                const historical = await fetchDailySeries({
+                    lat: cell.lat.toFixed(2),
+                    lon: cell.lng.toFixed(2),
+                    params: [param],
+                    startYear: period.startYear,
+                    endYear: period.endYear,
+                    signal: controller.signal,
+                });
+                if (controller.signal.aborted) return;
+
+                const prediction = generateForecast(historical, targetDate, { windowDays, bootstrapResamples: 0 })[param];
+                let value = null;
+                if (prediction) {
+                    value = mode === "exceedance"
+                        ? exceedanceProbability(prediction.sampleValues, threshold)?.probability ?? null
+                        : convert(prediction.value, varInfo.unit, getDisplayUnit(param));
+                }
+                if (value !== null) loaded.cells = [...loaded.cells, { ...cell, value }];
+                publish({ ...loaded });
+                setProgress(prev => prev && { ...prev, done: prev.done + 1 });
+            }
+        } catch (err) {
+            if (isAbortError(err) || controller.signal.aborted) return;
+            console.error("Climatology layer error:", err);
+            toast.error(`Failed to load the climatology layer: ${err.message}`);
+        } finally {
+            if (requestRef.current === controller) {
+                requestRef.current = null;
+                setProgress(null);
+            }
+        }
+    };
+
+    if (!mode) {
+        return (
+            <button
+                onClick={() => setMode("value")}
+                className="absolute top-2 right-2 z-[1000] px-3 py-1 bg-[#161b22] border border-[#30363d] rounded-lg text-xs text-[#c9d1d9] hover:bg-[#1f242c] flex items-center gap-1"
+            >
+                <i className="fas fa-layer-group"></i> Climatology layer
+            </button>
+        );
+    }
+
+    const scale = result?.cells.length ? scaleOf(result) : null;
+    const stale = result && result.key !== queryKey;
+
+    return (
+        <div className="absolute top-2 right-2 z-[1000] w-56 bg-[#161b22] border border-[#30363d] rounded-lg p-2 space-y-2 text-xs text-[#c9d1d9] shadow-xl">
+            <div className="flex justify-between items-center">
+                <span className="font-medium flex items-center gap-1"><i className="fas fa-layer-group"></i> Climatology layer</span>
+                <button onClick={close} className="text-[#8b949e] hover:text-[#f75555]" aria-label="Close climatology layer">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+            <select value={param ?? ""} onChange={(e) => setSelectedParam(e.target.value)} className={selectClass} disabled={!params.length}>
+                {params.map(p => <option key={p} value={p}>{getVarInfo(p).label}</option>)}
+            </select>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className={selectClass}>
+                {MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+            {mode === "exceedance" && param && <p className="text-[#8b949e]">Threshold: {thresholdText}</p>}
+
+            {progress ? (
+                <div className="flex justify-between items-center">
+                    <span className="text-[#8b949e]"><i className="fas fa-spinner fa-spin"></i> {progress.done} of {progress.total} cells</span>
+                    <button onClick={() => requestRef.current?.abort()} className="text-[#8b949e] hover:text-[#f75555]">Stop</button>
+                </div>
+            ) : (
+                <button onClick={load} className="w-full px-2 py-1 bg-[#4dc2f5] text-white rounded font-medium hover:bg-opacity-90">
+                    {result ? "Reload for this view" : "Load for this view"}
+                </button>
+            )}
+
+            {scale && (
+                <div>
+                    <div className="h-2 rounded" style={{ background: `linear-gradient(to right, ${OVERLAY_RAMP.join(", ")})` }} />
+                    <div className="flex justify-between text-[#8b949e] mt-1">
+                        <span>{result.mode === "exceedance" ? `${scale.min}%` : scale.min.toFixed(1)}</span>
+                        <span>{result.mode === "exceedance" ? `${scale.max}%` : scale.max.toFixed(1)}</span>
+                    </div>
+                    <p className="text-[#8b949e]">
+                        {result.mode === "exceedance"
+                            ? `Chance ${result.thresholdText}, ${result.targetDate}`
+                            : `${getVarInfo(result.param).label} (${result.unit}), ${result.targetDate}`}
+                    </p>
+                    {stale && <p className="text-[#f5a623]">Settings changed since loading; reload to update.</p>}
+                    <p className="text-[#8b949e]">Click a cell to select it.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ClimatologyOverlay;
@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+
+const tooltipStyle = { backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' };
+
+const VIEWS = [
+    { id: "model", label: "Model" },
+    { id: "histogram", label: "Histogram" },
+    { id: "density", label: "Density" },
+];
+
+const modelTitle = (data) =>
+    data.distributionModel === "mixed-gamma" ? "Rainfall Model (Dry Days + Gamma)" : "Normal Approximation";
+
+const DistributionChart = ({ param, data, unit, color }) => {
+    const [view, setView] = useState(data.distributionModel === "mixed-gamma" ? "model" : "histogram");
+    const { p10, p50, p90 } = data.percentiles;
+
+    const percentileLines = [
+        { label: "P10", value: p10 },
+        { label: "P50", value: p50 },
+        { label: "P90", value: p90 },
+    ].map(p => (
+        <ReferenceLine key={p.label} x={p.value} stroke="#8b949e" strokeDasharray="4 4" label={{ value: p.label, fill: '#8b949e', fontSize: 10, position: 'top' }} />
+    ));
+
+    return (
+        <div className="mt-4 chart-container" data-param={param} data-chart-type="distribution">
+            <div className="flex justify-between items-center mb-3">
+                <h5 className="text-sm font-semibold text-[#c9d1d9]">
+                    <i className="fas fa-chart-area"></i> Probability Distribution
+                    <span className="text-xs font-normal text-[#8b949e] ml-2">
+                        {view === "model" ? modelTitle(data) : view === "histogram" ? "Historical Samples" : "Kernel Density"}
+                    </span>
+                </h5>
+                <div className="flex gap-1">
+                    {VIEWS.map(v => (
+                        <button
+                            key={v.id}
+                            onClick={() => setView(v.id)}
+                            className={`px-2 py-1 rounded text-xs transition-colors ${view === v.id ? "bg-[#4dc2f5] text-white" : "bg-[#161b22] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                        >
+                            {v.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <ResponsiveContainer width="100%" height={180}>
+                {view === "histogram" ? (
+                    <BarChart data={data.histogram} margin={{ top: 10, right: 0, left: -15, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
+                        <XAxis dataKey="value" type="number" domain={['dataMin', 'dataMax']} stroke="#8b949e" tick={{ fontSize: 12 }} tickFormatter={(val) => val.toFixed(1)} />
+                        <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
+                        <Tooltip
+                            contentStyle={tooltipStyle}
+                            labelFormatter={(val, payload) => payload?.[0] ? `${payload[0].payload.from.toFixed(2)} - ${payload[0].payload.to.toFixed(2)} ${unit}` : val}
+                            formatter={(val, name, item) => [`${val.toFixed(1)}% (${item.payload.count} days)`, 'Share of days']}
+                        />
+                        <Bar dataKey="probability" fill={color} fillOpacity={0.6} />
+                        {percentileLines}
+                    </BarChart>
+                ) : (
+                    <AreaChart data={view === "density" ? data.density : data.distribution} margin={{ top: 10, right: 0, left: -15, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
+                        <XAxis dataKey="value" type="number" domain={['dataMin', 'dataMax']} stroke="#8b949e" tick={{ fontSize: 12 }} tickFormatter={(val) => val.toFixed(1)} />
+                        <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
+                        <Tooltip
+                            contentStyle={tooltipStyle}
+                            labelFormatter={(val) => `${val.toFixed(2)} ${unit}`}
+                            formatter={(val) => [`${val.toFixed(2)}%`, 'Probability']}
+                        />
+                        <Area type="monotone" dataKey="probability" stroke={color} fill={color} fillOpacity={0.4} />
+                        {percentileLines}
+                    </AreaChart>
+                )}
+            </ResponsiveContainer>
+            {data.rainModel && view === "model" && (
+                <p className="text-xs text-[#8b949e] mt-2">
+                    {(data.rainModel.dryProbability * 100).toFixed(0)}% of historical days were dry (&lt; {data.rainModel.wetThreshold.toPrecision(2)} {unit}); the curve shows wet-day amounts.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default DistributionChart;
@@ -0,0 +1,88 @@
+import { useState } from "react";
+import { ComposedChart, Area, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { parseTargetDate } from "../engine/forecast";
+
+const tooltipStyle = { backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' };
+
+const shortDate = (iso) => parseTargetDate(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// `event` is a display-unit forecastEvent() result; `summary` the `[label, text]`
+// aggregate lines the exports use as well.
+const EventTimeline = ({ event, summary, getVarInfo, getUnit }) => {
+    const params = Object.keys(event.days[0].forecast);
+    const [selected, setSelected] = useState(params[0]);
+    const param = params.includes(selected) ? selected : params[0];
+    const varInfo = getVarInfo(param);
+    const unit = getUnit(param);
+
+    const points = event.days.map(day => {
+        const data = day.forecast[param];
+        return {
+            date: day.date,
+            value: data ? data.value : null,
+            band: data ? [data.percentiles.p10, data.percentiles.p90] : null,
+        };
+    });
+
+    return (
+        <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
+            <h3 className="text-xl font-semibold mb-1 flex items-center gap-2">
+                <i className="fas fa-calendar-week"></i> Event Outlook
+            </h3>
+            <p className="text-xs text-[#8b949e] mb-4">
+                {shortDate(event.start)} - {shortDate(event.end)}, {event.days.length} days. The forecast cards below show the first day.
+            </p>
+
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6 text-sm">
+                {summary.map(([label, text]) => (
+                    <div key={label} className="bg-[#0d1117] border border-[#30363d] rounded-lg p-3">
+                        <div className="text-xs text-[#8b949e] mb-1">{label}</div>
+                        <div className="font-semibold">{text}</div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="chart-container" data-param="event" data-chart-type="timeline">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                    <h5 className="text-sm font-semibold text-[#c9d1d9]">
+                        <i className={varInfo.icon}></i> {varInfo.label} by day
+                        <span className="text-xs font-normal text-[#8b949e] ml-2">expected value, shaded P10-P90</span>
+                    </h5>
+                    <div className="flex flex-wrap gap-1">
+                        {params.map(p => (
+                            <button
+                                key={p}
+                                onClick={() => setSelected(p)}
+                                className={`px-2 py-1 rounded text-xs transition-colors ${p === param ? "bg-[#4dc2f5] text-white" : "bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                            >
+                                {getVarInfo(p).label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={points} margin={{ top: 10, right: 0, left: -15, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
+                        <XAxis dataKey="date" stroke="#8b949e" tick={{ fontSize: 12 }} tickFormatter={shortDate} />
+                        <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
+                        <Tooltip
+                            contentStyle={tooltipStyle}
+                            labelFormatter={shortDate}
+                            formatter={(val, name) => Array.isArray(val)
+                                ? [`${val[0].toFixed(2)} - ${val[1].toFixed(2)} ${unit}`, 'P10 - P90']
+                                : [`${val.toFixed(2)} ${unit}`, name]}
+                        />
+                        <Area type="monotone" dataKey="band" stroke="none" fill={varInfo.color} fillOpacity={0.2} />
+                        {varInfo.quantity === "precipitation" ? (
+                            <Bar dataKey="value" name="Expected" fill={varInfo.color} fillOpacity={0.7} />
+                        ) : (
+                            <Line type="monotone" dataKey="value" name="Expected" stroke={varInfo.color} strokeWidth={2} dot={{ r: 3, fill: varInfo.color }} />
+                        )}
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+};
+
+export default EventTimeline;
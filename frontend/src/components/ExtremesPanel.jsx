@@ -0,0 +1,89 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { RELIABLE_YEARS } from "../engine/extremes";
+
+const tooltipStyle = { backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' };
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// `result` comes from analyzeExtremes() on display-unit samples.
+const ExtremesPanel = ({ result, unit, color, thresholdText, windowDays }) => {
+    if (!result) {
+        return <p className="text-sm text-[#8b949e]">No historical samples in the window to analyse.</p>;
+    }
+
+    const { recordHigh, recordLow, exceedance, blocks, returnLevels, tail } = result;
+    const tenYear = returnLevels.find(r => r.period === 10);
+    const blockLabel = tail === "high" ? "Annual maximum" : "Annual minimum";
+
+    return (
+        <div className="space-y-4">
+            <div className="grid md:grid-cols-3 gap-4 text-sm">
+                <div className="bg-[#161b22] border border-[#30363d] rounded-lg p-3">
+                    <div className="text-[#8b949e] mb-1">Record high</div>
+                    <div className="text-xl font-semibold">{recordHigh.value.toFixed(2)} {unit}</div>
+                    <div className="text-xs text-[#8b949e]">{formatDate(recordHigh.date)}</div>
+                </div>
+                <div className="bg-[#161b22] border border-[#30363d] rounded-lg p-3">
+                    <div className="text-[#8b949e] mb-1">Record low</div>
+                    <div className="text-xl font-semibold">{recordLow.value.toFixed(2)} {unit}</div>
+                    <div className="text-xs text-[#8b949e]">{formatDate(recordLow.date)}</div>
+                </div>
+                <div className="bg-[#161b22] border border-[#30363d] rounded-lg p-3">
+                    <div className="text-[#8b949e] mb-1">Days {thresholdText}</div>
+                    {exceedance ? (
+                        <>
+                            <div className="text-xl font-semibold">{exceedance.days} <span className="text-sm font-normal text-[#8b949e]">of {result.days}</span></div>
+                            <div className="text-xs text-[#8b949e]">
+                                {exceedance.perYear.toFixed(1)} per year, {exceedance.yearsAffected} of {result.years} years, longest run {exceedance.longestRun} day{exceedance.longestRun === 1 ? "" : "s"}
+                            </div>
+                        </>
+                    ) : (
+                        <div className="text-xs text-[#8b949e]">Set a threshold to count days</div>
+                    )}
+                </div>
+            </div>
+
+            <div>
+                <h5 className="text-sm font-semibold text-[#c9d1d9] mb-2">
+                    <i className="fas fa-history"></i> Return levels ({tail === "high" ? "highest" : "lowest"} value within ±{windowDays} days)
+                </h5>
+                {returnLevels.length > 0 ? (
+                    <div className="grid grid-cols-5 gap-2 text-sm">
+                        {returnLevels.map(level => (
+                            <div key={level.period} className={`bg-[#161b22] border rounded-lg p-2 text-center ${level.period === 10 ? "border-[#4dc2f5]" : "border-[#30363d]"}`}>
+                                <div className="text-xs text-[#8b949e]">1-in-{level.period} yr</div>
+                                <div className={`font-semibold ${level.extrapolated ? "text-[#8b949e]" : ""}`}>
+                                    {level.value.toFixed(1)}{level.extrapolated ? "*" : ""}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-xs text-[#8b949e]">Not enough distinct years to fit an extreme-value model.</p>
+                )}
+                <p className="text-xs text-[#8b949e] mt-2">
+                    Gumbel fit to {blocks.length} years of {blockLabel.toLowerCase()}s in {unit}.
+                    {returnLevels.some(l => l.extrapolated) && " * Longer than the baseline, extrapolated."}
+                    {!result.reliable && ` Fewer than ${RELIABLE_YEARS} years: pick a 30-year or full-record baseline before relying on these.`}
+                </p>
+            </div>
+
+            {blocks.length > 0 && (
+                <ResponsiveContainer width="100%" height={180}>
+                    <BarChart data={blocks} margin={{ top: 10, right: 0, left: -15, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
+                        <XAxis dataKey="year" stroke="#8b949e" tick={{ fontSize: 12 }} />
+                        <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
+                        <Tooltip contentStyle={tooltipStyle} formatter={(val) => [`${val.toFixed(2)} ${unit}`, blockLabel]} />
+                        <Bar dataKey="value" fill={color} radius={[3, 3, 0, 0]} />
+                        {tenYear && (
+                            <ReferenceLine y={tenYear.value} stroke="#f75555" strokeDasharray="4 4" label={{ value: "1-in-10", fill: '#f75555', fontSize: 10, position: 'right' }} />
+                        )}
+                    </BarChart>
+                </ResponsiveContainer>
+            )}
+        </div>
+    );
+};
+
+export default ExtremesPanel;
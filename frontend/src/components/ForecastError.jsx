@@ -0,0 +1,29 @@
+const HINTS = {
+    network: "The request never reached NASA POWER. Check your internet connection, then retry.",
+    "rate-limit": "NASA POWER is rate limiting requests. Wait a minute before retrying, or shorten the baseline.",
+    server: "NASA POWER is having trouble right now. Retrying in a few minutes usually helps.",
+    http: "NASA POWER rejected the request. The location may be outside its coverage or a variable may be unavailable.",
+    malformed: "The response did not have the expected format, so no forecast was computed from it.",
+    truncated: "The response was cut off before every day arrived, so no forecast was computed from partial data.",
+};
+
+const ForecastError = ({ error, onRetry }) => {
+    const hint = HINTS[error.kind] || "Something went wrong while building the forecast.";
+
+    return (
+        <div className="flex flex-col items-center justify-center h-64 text-center space-y-3">
+            <div className="text-4xl text-[#f75555]"><i className="fas fa-exclamation-triangle"></i></div>
+            <p className="text-lg font-semibold">Could not generate the forecast</p>
+            <p className="text-sm text-[#c9d1d9] max-w-lg">{hint}</p>
+            <p className="text-xs text-[#8b949e] font-mono">{error.message}</p>
+            <button
+                onClick={onRetry}
+                className="px-4 py-2 bg-[#4dc2f5] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
+            >
+                <i className="fas fa-redo"></i> Retry
+            </button>
+        </div>
+    );
+};
+
+export default ForecastError;
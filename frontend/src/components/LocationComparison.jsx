@@ -0,0 +1,187 @@
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { generateForecast, generateTimeSeriesData } from "../engine/forecast";
+import { scoreActivity } from "../engine/activities";
+import { fetchDailySeries } from "../services/dataSource";
+
+const VENUE_COLORS = ["#4dc2f5", "#f75555", "#36c891", "#927fe1", "#f5a623"];
+
+const tooltipStyle = { backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' };
+
+// Venues are compared on the same target date, variables, baseline and window
+// as the main forecast. Results are fetched on demand so pinning several sites
+// does not fire a request per change.
+const LocationComparison = ({
+    venues,
+    maxVenues,
+    onRemoveVenue,
+    targetDate,
+    params,
+    period,
+    windowDays,
+    activityProfile,
+    getVarInfo,
+    getUnit,
+    toDisplay,
+    toDisplayValue,
+}) => {
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const runComparison = async () => {
+        if (!targetDate || params.length === 0) {
+            toast.error("Please select a date and at least one variable");
+            return;
+        }
+        setLoading(true);
+        try {
+            const entries = [];
+            for (const venue of venues) {
+                const historical = await fetchDailySeries({
+                    lat: venue.lat.toFixed(2),
+                    lon: venue.lng.toFixed(2),
+                    params,
+                    startYear: period.startYear,
+                    endYear: period.endYear,
+                });
+                const forecast = generateForecast(historical, targetDate, { windowDays });
+                entries.push({
+                    venue,
+                    forecast,
+                    timeSeries: generateTimeSeriesData(historical, targetDate),
+                    activity: activityProfile ? scoreActivity(activityProfile, forecast) : null,
+                });
+            }
+            setResults({ targetDate, params, entries });
+            toast.success(`Compared ${venues.length} locations`);
+        } catch (err) {
+            console.error("Comparison error:", err);
+            toast.error(`Failed to compare locations: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const colorOf = (venue) => VENUE_COLORS[venues.findIndex(v => v.id === venue.id) % VENUE_COLORS.length] || "#8b949e";
+    const current = results && results.entries.filter(entry => venues.some(v => v.id === entry.venue.id));
+
+    return (
+        <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold flex items-center gap-2">
+                    <i className="fas fa-columns"></i> Compare Locations
+                </h3>
+                {venues.length >= 2 && (
+                    <button
+                        onClick={runComparison}
+                        disabled={loading}
+                        className="px-4 py-2 bg-[#4dc2f5] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm disabled:opacity-50"
+                    >
+                        <i className={loading ? "fas fa-spinner fa-spin" : "fas fa-balance-scale"}></i> {loading ? "Comparing..." : "Compare"}
+                    </button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+                {venues.map(venue => (
+                    <span key={venue.id} className="flex items-center gap-2 px-3 py-1 rounded-full bg-[#0d1117] border text-sm" style={{ borderColor: colorOf(venue) }}>
+                        <i className="fas fa-map-pin" style={{ color: colorOf(venue) }}></i>
+                        {venue.name}
+                        <button onClick={() => onRemoveVenue(venue.id)} className="text-[#8b949e] hover:text-[#f75555]" aria-label={`Remove ${venue.name}`}>
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </span>
+                ))}
+            </div>
+            {venues.length < 2 && (
+                <p className="text-sm text-[#8b949e]">
+                    Pin at least two locations from the map (up to {maxVenues}) to compare them side by side.
+                </p>
+            )}
+
+            {current && current.length > 0 && (
+                <>
+                    <p className="text-xs text-[#8b949e] mb-3">Forecast for {results.targetDate}, {period.startYear} - {period.endYear} baseline</p>
+                    <div className="overflow-x-auto mb-6">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-[#8b949e] border-b border-[#30363d]">
+                                    <th className="py-2 pr-4">Variable</th>
+                                    {current.map(entry => (
+                                        <th key={entry.venue.id} className="py-2 pr-4" style={{ color: colorOf(entry.venue) }}>{entry.venue.name}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {results.params.map(param => (
+                                    <tr key={param} className="border-b border-[#30363d]">
+                                        <td className="py-2 pr-4 text-[#c9d1d9]">{getVarInfo(param).label}</td>
+                                        {current.map(entry => {
+                                            const data = entry.forecast[param] && toDisplay(param, entry.forecast[param]);
+                                            return (
+                                                <td key={entry.venue.id} className="py-2 pr-4">
+                                                    {data ? (
+                                                        <>
+                                                            <div className="font-semibold">{data.value.toFixed(2)} {getUnit(param)}</div>
+                                                            <div className="text-xs text-[#8b949e]">P10-P90: {data.percentiles.p10.toFixed(1)} - {data.percentiles.p90.toFixed(1)}</div>
+                                                        </>
+                                                    ) : "—"}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                                {activityProfile && (
+                                    <tr>
+                                        <td className="py-2 pr-4 text-[#c9d1d9]">{activityProfile.label} suitability</td>
+                                        {current.map(entry => (
+                                            <td key={entry.venue.id} className="py-2 pr-4 font-semibold">
+                                                {entry.activity && entry.activity.score !== null
+                                                    ? `${entry.activity.score.toFixed(0)}/100 (${entry.activity.verdict.label})`
+                                                    : "—"}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="grid md:grid-cols-2 gap-6">
+                        {results.params.map(param => (
+                            <div key={param}>
+                                <h5 className="text-sm font-semibold text-[#c9d1d9] mb-3">
+                                    <i className={getVarInfo(param).icon}></i> {getVarInfo(param).label} - Historical Trend
+                                </h5>
+                                <ResponsiveContainer width="100%" height={180}>
+                                    <LineChart margin={{ top: 0, right: 0, left: -15, bottom: 0 }}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
+                                        <XAxis dataKey="year" type="number" domain={['dataMin', 'dataMax']} allowDuplicatedCategory={false} stroke="#8b949e" tick={{ fontSize: 12 }} />
+                                        <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
+                                        <Tooltip contentStyle={tooltipStyle} formatter={(val) => `${val.toFixed(2)} ${getUnit(param)}`} />
+                                        <Legend wrapperStyle={{ fontSize: 12 }} />
+                                        {current.map(entry => (
+                                            <Line
+                                                key={entry.venue.id}
+                                                data={(entry.timeSeries[param] || []).map(point => ({ ...point, value: toDisplayValue(param, point.value) }))}
+                                                dataKey="value"
+                                                name={entry.venue.name}
+                                                type="monotone"
+                                                stroke={colorOf(entry.venue)}
+                                                strokeWidth={2}
+                                                dot={{ r: 3, fill: colorOf(entry.venue) }}
+                                            />
+                                        ))}
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default LocationComparison;
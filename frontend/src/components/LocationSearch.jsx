@@ -0,0 +1,144 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { describePlace } from "../services/geocoder";
+import { isAbortError } from "../services/errors";
+
+// Pause before a search-as-you-type request, for geocoders that allow it.
+const TYPING_DELAY_MS = 400;
+const MIN_QUERY_LENGTH = 3;
+
+// Search box with a candidate list. Arrow keys move through the candidates,
+// Enter picks the highlighted one (or searches), Escape closes the list.
+const LocationSearch = ({ geocoder, onSelect }) => {
+    const [query, setQuery] = useState("");
+    const [suggestions, setSuggestions] = useState([]);
+    const [active, setActive] = useState(-1);
+    const [open, setOpen] = useState(false);
+    const [searching, setSearching] = useState(false);
+    const requestRef = useRef(null);
+
+    const runSearch = useCallback(async (text, { quiet = false } = {}) => {
+        requestRef.current?.abort();
+        const controller = new AbortController();
+        requestRef.current = controller;
+        setSearching(true);
+        try {
+            const places = await geocoder.search(text, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+            setSuggestions(places);
+            setActive(places.length ? 0 : -1);
+            setOpen(true);
+            if (!places.length && !quiet) toast.error("Location not found. Please try a different search term.");
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Location search error:", err);
+            if (!quiet) toast.error(`Location search failed: ${err.message}`);
+        } finally {
+            if (requestRef.current === controller) setSearching(false);
+        }
+    }, [geocoder]);
+
+    useEffect(() => {
+        if (!geocoder.autocomplete || query.trim().length < MIN_QUERY_LENGTH) return;
+        const timer = setTimeout(() => runSearch(query.trim(), { quiet: true }), TYPING_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [query, geocoder, runSearch]);
+
+    useEffect(() => () => requestRef.current?.abort(), []);
+
+    const submit = () => {
+        if (!query.trim()) {
+            toast.error("Please enter a location to search.");
+            return;
+        }
+        runSearch(query.trim());
+    };
+
+    const choose = (place) => {
+        setQuery(describePlace(place));
+        setOpen(false);
+        setSuggestions([]);
+        onSelect(place);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "ArrowDown" && suggestions.length) {
+            e.preventDefault();
+            setOpen(true);
+            setActive(i => (i + 1) % suggestions.length);
+        } else if (e.key === "ArrowUp" && suggestions.length) {
+            e.preventDefault();
+            setActive(i => (i <= 0 ? suggestions.length - 1 : i - 1));
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            if (open && suggestions[active]) choose(suggestions[active]);
+            else submit();
+        } else if (e.key === "Escape") {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative mb-4">
+            <div className="flex items-center space-x-2">
+                <input
+                    type="text"
+                    value={query}
+                    placeholder="Search city, country..."
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        if (!geocoder.autocomplete) setOpen(false);
+                    }}
+                    onKeyDown={handleKeyDown}
+                    onBlur={() => setTimeout(() => setOpen(false), 150)}
+                    onFocus={() => suggestions.length && setOpen(true)}
+                    role="combobox"
+                    aria-expanded={open}
+                    aria-controls="location-suggestions"
+                    aria-activedescendant={open && active >= 0 ? `location-suggestion-${active}` : undefined}
+                    className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors"
+                />
+                <button
+                    onClick={submit}
+                    className="p-3 bg-[#4dc2f5] rounded-lg text-white hover:bg-opacity-90 transition-colors"
+                    aria-label="Search"
+                >
+                    <i className={searching ? "fas fa-spinner fa-spin" : "fas fa-search"}></i>
+                </button>
+            </div>
+
+            {open && suggestions.length > 0 && (
+                <ul
+                    id="location-suggestions"
+                    role="listbox"
+                    className="absolute left-0 right-0 top-full mt-2 z-[1000] bg-[#161b22] border border-[#30363d] rounded-lg shadow-xl py-1 max-h-64 overflow-y-auto"
+                >
+                    {suggestions.map((place, i) => (
+                        <li
+                            key={place.id}
+                            id={`location-suggestion-${i}`}
+                            role="option"
+                            aria-selected={i === active}
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                choose(place);
+                            }}
+                            onMouseEnter={() => setActive(i)}
+                            className={`px-3 py-2 cursor-pointer ${i === active ? "bg-[#1f242c]" : ""}`}
+                        >
+                            <div className="flex justify-between gap-2 text-sm">
+                                <span className="truncate">{place.name}</span>
+                                {place.type && <span className="text-[10px] uppercase text-[#8b949e] shrink-0 pt-1">{place.type}</span>}
+                            </div>
+                            <div className="text-xs text-[#8b949e] truncate">
+                                {[place.region, place.country].filter(Boolean).join(", ") || place.label}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default LocationSearch;
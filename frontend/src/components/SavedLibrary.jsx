@@ -0,0 +1,144 @@
+import { useState } from "react";
+
+const inputClass = "w-full px-3 py-2 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors";
+
+const tabClass = (active) =>
+    `flex-1 px-3 py-2 rounded-lg text-xs font-medium transition-colors flex items-center justify-center gap-1 ${active ? "bg-[#4dc2f5] text-white" : "bg-[#0d1117] border border-[#30363d] text-[#8b949e] hover:bg-[#1f242c]"}`;
+
+// Saved places and scenarios for the Find Location panel. The lists open as
+// a popover so the panel keeps the map's height.
+const SavedLibrary = ({
+    places,
+    scenarios,
+    currentPlace,
+    canSaveScenario,
+    defaultScenarioName,
+    onSavePlace,
+    onSelectPlace,
+    onDeletePlace,
+    onSaveScenario,
+    onApplyScenario,
+    onDeleteScenario,
+    onImport,
+    onExport,
+}) => {
+    const [open, setOpen] = useState(null);
+    const [draft, setDraft] = useState(null);
+
+    const toggle = (list) => {
+        setOpen(prev => (prev === list ? null : list));
+        setDraft(null);
+    };
+
+    const startDraft = () => {
+        setDraft(open === "places"
+            ? { name: currentPlace.name, notes: "" }
+            : { name: defaultScenarioName, notes: "" });
+    };
+
+    const submitDraft = (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        if (open === "places") onSavePlace(draft);
+        else onSaveScenario(draft.name);
+        setDraft(null);
+    };
+
+    const items = open === "places" ? places : scenarios;
+    const canSave = open === "places" ? Boolean(currentPlace) : canSaveScenario;
+
+    return (
+        <div className="relative mb-4">
+            <div className="flex gap-2">
+                <button onClick={() => toggle("places")} className={tabClass(open === "places")}>
+                    <i className="fas fa-star"></i> Places ({places.length})
+                </button>
+                <button onClick={() => toggle("scenarios")} className={tabClass(open === "scenarios")}>
+                    <i className="fas fa-bookmark"></i> Scenarios ({scenarios.length})
+                </button>
+            </div>
+
+            {open && (
+                <div className="absolute left-0 right-0 top-full mt-2 z-[1000] bg-[#161b22] border border-[#30363d] rounded-lg shadow-xl p-3">
+                    {draft ? (
+                        <form onSubmit={submitDraft} className="space-y-2">
+                            <input autoFocus value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Name" className={inputClass} />
+                            {open === "places" && (
+                                <textarea value={draft.notes} onChange={(e) => setDraft({ ...draft, notes: e.target.value })} placeholder="Notes (optional)" rows={2} className={inputClass} />
+                            )}
+                            <div className="flex gap-2 justify-end">
+                                <button type="button" onClick={() => setDraft(null)} className="px-3 py-1 text-xs text-[#8b949e] hover:text-[#e6edf3]">Cancel</button>
+                                <button type="submit" className="px-3 py-1 bg-[#4dc2f5] text-white rounded text-xs font-medium hover:bg-opacity-90">Save</button>
+                            </div>
+                        </form>
+                    ) : (
+                        <>
+                            <ul className="max-h-48 overflow-y-auto space-y-1 mb-2">
+                                {items.length === 0 && (
+                                    <li className="text-xs text-[#8b949e] py-2">
+                                        {open === "places" ? "No saved places yet." : "No saved scenarios yet. A scenario stores the place, dates and variables."}
+                                    </li>
+                                )}
+                                {items.map(item => (
+                                    <li key={item.id} className="flex items-start justify-between gap-2 rounded px-2 py-1 hover:bg-[#0d1117]">
+                                        <button
+                                            onClick={() => {
+                                                if (open === "places") onSelectPlace(item);
+                                                else onApplyScenario(item);
+                                                setOpen(null);
+                                            }}
+                                            className="text-left text-sm flex-grow min-w-0"
+                                        >
+                                            <div className="truncate">{item.name}</div>
+                                            <div className="text-xs text-[#8b949e] truncate">
+                                                {open === "places"
+                                                    ? (item.notes || `${item.lat.toFixed(3)}, ${item.lng.toFixed(3)}`)
+                                                    : `${item.place.name}, ${item.targetDate}${item.eventEnd ? ` to ${item.eventEnd}` : ""}, ${item.variables.length} variable${item.variables.length === 1 ? "" : "s"}`}
+                                            </div>
+                                        </button>
+                                        <button
+                                            onClick={() => (open === "places" ? onDeletePlace(item.id) : onDeleteScenario(item.id))}
+                                            className="text-[#8b949e] hover:text-[#f75555] text-xs pt-1"
+                                            aria-label={`Delete ${item.name}`}
+                                        >
+                                            <i className="fas fa-trash"></i>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="flex flex-wrap gap-2 justify-between border-t border-[#30363d] pt-2">
+                                <button
+                                    onClick={startDraft}
+                                    disabled={!canSave}
+                                    title={canSave ? "" : open === "places" ? "Pick a location first" : "Pick a location, date and variables first"}
+                                    className="px-3 py-1 bg-[#4dc2f5] text-white rounded text-xs font-medium hover:bg-opacity-90 disabled:opacity-50"
+                                >
+                                    <i className="fas fa-plus"></i> Save current {open === "places" ? "place" : "scenario"}
+                                </button>
+                                <div className="flex gap-2">
+                                    <label className="px-3 py-1 bg-[#0d1117] border border-[#30363d] rounded text-xs text-[#c9d1d9] cursor-pointer hover:bg-[#1f242c]">
+                                        <i className="fas fa-file-upload"></i> Import
+                                        <input
+                                            type="file"
+                                            accept="application/json,.json"
+                                            className="hidden"
+                                            onChange={(e) => {
+                                                if (e.target.files[0]) onImport(e.target.files[0]);
+                                                e.target.value = "";
+                                            }}
+                                        />
+                                    </label>
+                                    <button onClick={onExport} className="px-3 py-1 bg-[#0d1117] border border-[#30363d] rounded text-xs text-[#c9d1d9] hover:bg-[#1f242c]">
+                                        <i className="fas fa-file-download"></i> Export
+                                    </button>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavedLibrary;
@@ -0,0 +1,62 @@
+import { THRESHOLD_OPS, exceedanceProbability, describeThreshold } from "../engine/exceedance";
+
+const inputClass = "w-full px-3 py-2 bg-[#161b22] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors";
+
+const parseNumber = (raw) => (raw === "" ? NaN : Number(raw));
+
+const ThresholdPanel = ({ label, unit, threshold, sampleValues, onChange }) => {
+    const result = exceedanceProbability(sampleValues, threshold);
+
+    return (
+        <div className="bg-[#161b22] rounded-xl p-4 border border-[#30363d] h-fit">
+            <h5 className="text-sm font-semibold text-[#c9d1d9] mb-3 flex items-center gap-2">
+                <i className="fas fa-percentage"></i> Chance of {label.toLowerCase()}
+            </h5>
+            <div className="space-y-2">
+                <select
+                    value={threshold.op}
+                    onChange={(e) => onChange({ ...threshold, op: e.target.value })}
+                    className={inputClass}
+                >
+                    {THRESHOLD_OPS.map(op => (
+                        <option key={op.id} value={op.id}>{op.label}</option>
+                    ))}
+                </select>
+                <div className="flex items-center gap-2">
+                    <input
+                        type="number"
+                        step="any"
+                        value={Number.isFinite(threshold.value) ? threshold.value : ""}
+                        onChange={(e) => onChange({ ...threshold, value: parseNumber(e.target.value) })}
+                        className={inputClass}
+                    />
+                    {threshold.op === "between" && (
+                        <>
+                            <span className="text-xs text-[#8b949e]">and</span>
+                            <input
+                                type="number"
+                                step="any"
+                                value={Number.isFinite(threshold.upper) ? threshold.upper : ""}
+                                onChange={(e) => onChange({ ...threshold, upper: parseNumber(e.target.value) })}
+                                className={inputClass}
+                            />
+                        </>
+                    )}
+                    <span className="text-xs text-[#8b949e]">{unit}</span>
+                </div>
+            </div>
+            {result ? (
+                <div className="mt-4">
+                    <div className="text-3xl font-bold text-[#4dc2f5]">{result.probability.toFixed(0)}%</div>
+                    <p className="text-xs text-[#8b949e] mt-1">
+                        {result.count} of {result.total} historical days were {describeThreshold(threshold, unit)}
+                    </p>
+                </div>
+            ) : (
+                <p className="text-xs text-[#8b949e] mt-4">Enter a threshold to see how often it was reached</p>
+            )}
+        </div>
+    );
+};
+
+export default ThresholdPanel;
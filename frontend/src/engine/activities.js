@@ -0,0 +1,154 @@
+// Activity profiles: combine per-variable forecasts into one suitability score.
+//
+// Each factor names a POWER parameter with a comfortable range (full marks)
+// and a tolerable range (zero marks outside it), both in canonical units.
+// Every historical sample in the seasonal window is scored, so the factor
+// score is the expected suitability of that variable on the target date and
+// `unacceptable` is the empirical probability of leaving the tolerable range.
+
+export const ACTIVITY_PROFILES = [
+  {
+    id: "hiking",
+    label: "Hiking",
+    icon: "fas fa-hiking",
+    factors: [
+      { param: "PRECTOTCORR", label: "Rainfall", weight: 3, comfortable: [0, 2], tolerable: [0, 15] },
+      { param: "T2M", label: "Temperature", weight: 2, comfortable: [8, 24], tolerable: [-5, 35] },
+      { param: "WS2M", label: "Wind Speed", weight: 1, comfortable: [0, 6], tolerable: [0, 15] },
+      { param: "RH2M", label: "Humidity", weight: 1, comfortable: [20, 75], tolerable: [5, 95] },
+    ],
+  },
+  {
+    id: "beach",
+    label: "Beach Day",
+    icon: "fas fa-umbrella-beach",
+    factors: [
+      { param: "T2M", label: "Temperature", weight: 3, comfortable: [24, 32], tolerable: [18, 38] },
+      { param: "PRECTOTCORR", label: "Rainfall", weight: 3, comfortable: [0, 1], tolerable: [0, 8] },
+      { param: "WS2M", label: "Wind Speed", weight: 2, comfortable: [0, 5], tolerable: [0, 12] },
+      { param: "RH2M", label: "Humidity", weight: 1, comfortable: [30, 75], tolerable: [10, 95] },
+    ],
+  },
+  {
+    id: "wedding",
+    label: "Outdoor Wedding",
+    icon: "fas fa-ring",
+    factors: [
+      { param: "PRECTOTCORR", label: "Rainfall", weight: 4, comfortable: [0, 0.5], tolerable: [0, 5] },
+      { param: "T2M", label: "Temperature", weight: 2, comfortable: [16, 28], tolerable: [8, 35] },
+      { param: "WS2M", label: "Wind Speed", weight: 2, comfortable: [0, 5], tolerable: [0, 10] },
+      { param: "RH2M", label: "Humidity", weight: 1, comfortable: [30, 70], tolerable: [10, 90] },
+    ],
+  },
+  {
+    id: "concrete",
+    label: "Concrete Pour",
+    icon: "fas fa-hard-hat",
+    factors: [
+      { param: "PRECTOTCORR", label: "Rainfall", weight: 4, comfortable: [0, 0.5], tolerable: [0, 5] },
+      { param: "T2M", label: "Temperature", weight: 3, comfortable: [10, 30], tolerable: [5, 35] },
+      { param: "WS2M", label: "Wind Speed", weight: 1, comfortable: [0, 6], tolerable: [0, 12] },
+      { param: "RH2M", label: "Humidity", weight: 1, comfortable: [40, 90], tolerable: [15, 100] },
+    ],
+  },
+  {
+    id: "drone",
+    label: "Drone Flight",
+    icon: "fas fa-helicopter",
+    factors: [
+      { param: "WS2M", label: "Wind Speed", weight: 4, comfortable: [0, 5], tolerable: [0, 10] },
+      { param: "PRECTOTCORR", label: "Rainfall", weight: 3, comfortable: [0, 0.2], tolerable: [0, 3] },
+      { param: "T2M", label: "Temperature", weight: 1, comfortable: [0, 35], tolerable: [-10, 40] },
+    ],
+  },
+  {
+    id: "spraying",
+    label: "Crop Spraying",
+    icon: "fas fa-tractor",
+    factors: [
+      // too calm risks temperature inversions, too windy causes drift
+      { param: "WS2M", label: "Wind Speed", weight: 4, comfortable: [1, 4], tolerable: [0, 7] },
+      { param: "PRECTOTCORR", label: "Rainfall", weight: 3, comfortable: [0, 1], tolerable: [0, 5] },
+      { param: "T2M", label: "Temperature", weight: 2, comfortable: [10, 28], tolerable: [5, 32] },
+      { param: "RH2M", label: "Humidity", weight: 1, comfortable: [40, 90], tolerable: [25, 100] },
+    ],
+  },
+];
+
+export const VERDICTS = [
+  { id: "go", label: "Go", minScore: 70 },
+  { id: "marginal", label: "Marginal", minScore: 45 },
+  { id: "no-go", label: "No-go", minScore: 0 },
+];
+
+export const getActivityProfile = (id) => ACTIVITY_PROFILES.find(p => p.id === id) || null;
+
+export const activityParams = (profile) => profile.factors.map(f => f.param);
+
+// 1 inside the comfortable range, falling linearly to 0 at the tolerable edge.
+export const sampleSuitability = (value, { comfortable: [cLo, cHi], tolerable: [tLo, tHi] }) => {
+  if (value >= cLo && value <= cHi) return 1;
+  if (value < tLo || value > tHi) return 0;
+  if (value < cLo) return cLo === tLo ? 0 : (value - tLo) / (cLo - tLo);
+  return cHi === tHi ? 0 : (tHi - value) / (tHi - cHi);
+};
+
+export const verdictFor = (score) => VERDICTS.find(v => score >= v.minScore);
+
+export const scoreFactor = (factor, values) => {
+  const scores = values.map(v => sampleSuitability(v, factor));
+  const outside = values.filter(v => v < factor.tolerable[0] || v > factor.tolerable[1]).length;
+  const uncomfortable = values.filter(v => v < factor.comfortable[0] || v > factor.comfortable[1]).length;
+
+  return {
+    ...factor,
+    score: (scores.reduce((a, b) => a + b, 0) / values.length) * 100,
+    unacceptable: (outside / values.length) * 100,
+    uncomfortable: (uncomfortable / values.length) * 100,
+    samples: values.length,
+  };
+};
+
+// `forecast` is a generateForecast() result in canonical units. Factors whose
+// parameter was not forecast are reported in `missing` and left out of the
+// score.
+export const scoreActivity = (profile, forecast) => {
+  const factors = [];
+  const missing = [];
+
+  profile.factors.forEach(factor => {
+    const values = forecast[factor.param]?.sampleValues;
+    if (values && values.length) factors.push(scoreFactor(factor, values));
+    else missing.push(factor.param);
+  });
+
+  if (factors.length === 0) {
+    return { profile, score: null, verdict: null, factors, missing, driver: null };
+  }
+
+  const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+  const score = factors.reduce((sum, f) => sum + f.score * f.weight, 0) / totalWeight;
+
+  // the factor costing the most weighted points is what drives the risk
+  const driver = factors.reduce((worst, f) =>
+    (100 - f.score) * f.weight > (100 - worst.score) * worst.weight ? f : worst
+  );
+
+  return {
+    profile,
+    score,
+    verdict: verdictFor(score),
+    factors,
+    missing,
+    driver: driver.score < 100 ? driver : null,
+  };
+};
+
+// `formatRange(param, [lo, hi])` renders a canonical range in display units.
+export const explainActivity = (result, formatRange = (param, [lo, hi]) => `${lo} - ${hi}`) => {
+  if (result.score === null) return `Select ${result.profile.label.toLowerCase()} variables to score this activity.`;
+  const { driver } = result;
+  if (!driver) return `Every factor was within its comfortable range on all historical days.`;
+
+  return `${driver.label} drives the risk: ${driver.uncomfortable.toFixed(0)}% of historical days fell outside the comfortable ${formatRange(driver.param, driver.comfortable)} range, and ${driver.unacceptable.toFixed(0)}% outside the tolerable ${formatRange(driver.param, driver.tolerable)}.`;
+};
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import {
+  ACTIVITY_PROFILES,
+  getActivityProfile,
+  sampleSuitability,
+  scoreActivity,
+  explainActivity,
+  verdictFor,
+} from "./activities";
+import { generateForecast } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+describe("sampleSuitability", () => {
+  const factor = { comfortable: [10, 20], tolerable: [0, 30] };
+
+  it("is 1 inside the comfortable range and 0 outside the tolerable one", () => {
+    expect(sampleSuitability(15, factor)).toBe(1);
+    expect(sampleSuitability(-1, factor)).toBe(0);
+    expect(sampleSuitability(31, factor)).toBe(0);
+  });
+
+  it("ramps linearly in between", () => {
+    expect(sampleSuitability(5, factor)).toBeCloseTo(0.5);
+    expect(sampleSuitability(27.5, factor)).toBeCloseTo(0.25);
+    expect(sampleSuitability(0.3, { comfortable: [0, 0.5], tolerable: [0, 5] })).toBe(1);
+  });
+});
+
+describe("scoreActivity", () => {
+  it("defines every advertised profile", () => {
+    expect(ACTIVITY_PROFILES.map(p => p.id)).toEqual(["hiking", "beach", "wedding", "concrete", "drone", "spraying"]);
+  });
+
+  it("scores wet-season weddings lower than dry-season ones and blames rainfall", () => {
+    const wedding = getActivityProfile("wedding");
+    const monsoon = scoreActivity(wedding, generateForecast(historical, "2026-09-10"));
+    const winter = scoreActivity(wedding, generateForecast(historical, "2026-01-20"));
+
+    expect(monsoon.score).toBeLessThan(winter.score);
+    expect(monsoon.driver.param).toBe("PRECTOTCORR");
+    expect(explainActivity(monsoon)).toMatch(/^Rainfall drives the risk/);
+  });
+
+  it("reports parameters that were not forecast", () => {
+    const forecast = generateForecast({ WS2M: historical.WS2M }, "2026-03-01");
+    const result = scoreActivity(getActivityProfile("drone"), forecast);
+    expect(result.factors).toHaveLength(1);
+    expect(result.missing).toEqual(["PRECTOTCORR", "T2M"]);
+  });
+
+  it("returns no score without any matching variable", () => {
+    const result = scoreActivity(getActivityProfile("beach"), {});
+    expect(result.score).toBeNull();
+    expect(explainActivity(result)).toContain("Select");
+  });
+});
+
+describe("verdictFor", () => {
+  it("maps scores to go / marginal / no-go", () => {
+    expect(verdictFor(85).id).toBe("go");
+    expect(verdictFor(50).id).toBe("marginal");
+    expect(verdictFor(10).id).toBe("no-go");
+  });
+});
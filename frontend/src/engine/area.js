@@ -0,0 +1,183 @@
+// Area forecasts: a drawn rectangle or polygon is sampled on the POWER grid
+// and the daily series of the cells inside it are averaged day by day, so the
+// rest of the engine forecasts an area exactly like a point.
+//
+// POWER answers a point request from the grid cell containing the point, so
+// one sample per cell centre reads every cell once. Meteorological parameters
+// come from MERRA-2 on a 0.5° × 0.625° grid; solar ones sit on a coarser 1°
+// grid, where neighbouring samples repeat the same values. Shapes covering
+// more than MAX_AREA_CELLS cells are thinned to that many evenly spread cells
+// to keep the number of requests bounded.
+//
+// A shape is `{ type: "rectangle" | "polygon", points: [{ lat, lng }] }`, the
+// points being the vertices of an open ring (a rectangle has four).
+
+import { isMissingValue, POWER_FILL_VALUE } from "./quality";
+
+export const AREA_TYPES = ["rectangle", "polygon"];
+
+export const GRID_LAT_STEP = 0.5;
+export const GRID_LON_STEP = 0.625;
+
+export const MAX_AREA_CELLS = 16;
+
+const KM_PER_DEGREE = 111.32;
+
+export const rectangleFromCorners = (a, b) => {
+  const south = Math.min(a.lat, b.lat);
+  const north = Math.max(a.lat, b.lat);
+  const west = Math.min(a.lng, b.lng);
+  const east = Math.max(a.lng, b.lng);
+  return {
+    type: "rectangle",
+    points: [
+      { lat: south, lng: west },
+      { lat: north, lng: west },
+      { lat: north, lng: east },
+      { lat: south, lng: east },
+    ],
+  };
+};
+
+export const isValidShape = (shape) =>
+  Boolean(shape) &&
+  AREA_TYPES.includes(shape.type) &&
+  Array.isArray(shape.points) &&
+  shape.points.length >= 3 &&
+  shape.points.every(p => Number.isFinite(p?.lat) && Number.isFinite(p?.lng) && Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180);
+
+// Ray casting; points exactly on an edge may fall either way.
+export const containsPoint = (points, { lat, lng }) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.lat > lat) !== (b.lat > lat) && lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+export const shapeBounds = (points) => ({
+  south: Math.min(...points.map(p => p.lat)),
+  north: Math.max(...points.map(p => p.lat)),
+  west: Math.min(...points.map(p => p.lng)),
+  east: Math.max(...points.map(p => p.lng)),
+});
+
+// Signed shoelace sum in degrees², positive for counter-clockwise rings.
+const signedArea = (points) =>
+  points.reduce((sum, a, i) => {
+    const b = points[(i + 1) % points.length];
+    return sum + a.lng * b.lat - b.lng * a.lat;
+  }, 0) / 2;
+
+// Area centroid of the ring, or the vertex mean for a degenerate one.
+export const shapeCentroid = (points) => {
+  const area = signedArea(points);
+  if (Math.abs(area) < 1e-12) {
+    return {
+      lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+      lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+    };
+  }
+  let lat = 0;
+  let lng = 0;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const cross = a.lng * b.lat - b.lng * a.lat;
+    lat += (a.lat + b.lat) * cross;
+    lng += (a.lng + b.lng) * cross;
+  });
+  return { lat: lat / (6 * area), lng: lng / (6 * area) };
+};
+
+// Approximate area in km², on an equirectangular projection at the centroid
+// latitude. Good enough to label a shape, not for surveying.
+export const shapeAreaKm2 = (points) => {
+  const { lat } = shapeCentroid(points);
+  return Math.abs(signedArea(points)) * KM_PER_DEGREE * KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+};
+
+const snap = (value, step) => Math.round(value / step) * step;
+
+// Grid-cell centres to sample for `shape`: `{ cells, inside }` where `inside`
+// counts every cell centre in the shape and `cells` holds at most `maxCells`
+// of them. A shape smaller than one cell samples the cell under its centroid.
+export const gridCells = (shape, { maxCells = MAX_AREA_CELLS } = {}) => {
+  const { south, north, west, east } = shapeBounds(shape.points);
+  const found = [];
+  for (let lat = Math.ceil(south / GRID_LAT_STEP) * GRID_LAT_STEP; lat <= north; lat += GRID_LAT_STEP) {
+    for (let lng = Math.ceil(west / GRID_LON_STEP) * GRID_LON_STEP; lng <= east; lng += GRID_LON_STEP) {
+      const cell = { lat: Number(lat.toFixed(4)), lng: Number(lng.toFixed(4)) };
+      if (containsPoint(shape.points, cell)) found.push(cell);
+    }
+  }
+
+  if (found.length === 0) {
+    const centroid = shapeCentroid(shape.points);
+    return { cells: [{ lat: snap(centroid.lat, GRID_LAT_STEP), lng: snap(centroid.lng, GRID_LON_STEP) }], inside: 0 };
+  }
+  if (found.length <= maxCells) return { cells: found, inside: found.length };
+
+  const stride = found.length / maxCells;
+  return {
+    cells: Array.from({ length: maxCells }, (_, i) => found[Math.floor(i * stride + stride / 2)]),
+    inside: found.length,
+  };
+};
+
+// Day-by-day mean of several `{ PARAM: { YYYYMMDD: value } }` series. Missing
+// values are skipped; a day with no usable cell keeps the POWER fill value so
+// quality screening still counts it.
+export const averageSeries = (seriesList) => {
+  const params = [...new Set(seriesList.flatMap(series => Object.keys(series)))];
+  return Object.fromEntries(params.map(param => {
+    const dates = [...new Set(seriesList.flatMap(series => Object.keys(series[param] || {})))].sort();
+    return [param, Object.fromEntries(dates.map(date => {
+      const values = seriesList
+        .map(series => series[param]?.[date])
+        .filter(value => !isMissingValue(value));
+      return [date, values.length ? values.reduce((a, b) => a + b, 0) / values.length : POWER_FILL_VALUE];
+    }))];
+  }));
+};
+
+// Spread of the expected value between cells, from one forecast per cell
+// (see generateForecast), in canonical units.
+export const cellSpread = (cellForecasts) => {
+  const params = [...new Set(cellForecasts.flatMap(forecast => Object.keys(forecast)))];
+  return Object.fromEntries(params.map(param => {
+    const values = cellForecasts.map(forecast => forecast[param]?.value).filter(Number.isFinite);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return [param, {
+      cells: values.length,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      stdDev: Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length),
+    }];
+  }).filter(([, spread]) => spread.cells > 0));
+};
+
+// GeoJSON FeatureCollection with the shape as a Polygon and every sampled
+// cell as a Point. GeoJSON orders coordinates longitude first and closes
+// rings by repeating the first vertex.
+export const areaToGeoJSON = (shape, { properties = {}, cells = [] } = {}) => {
+  const ring = shape.points.map(p => [p.lng, p.lat]);
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: { type: "Polygon", coordinates: [[...ring, ring[0]]] },
+        properties: { shape: shape.type, ...properties },
+      },
+      ...cells.map(({ lat, lng, ...cellProperties }) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [lng, lat] },
+        properties: { role: "grid-cell", ...cellProperties },
+      })),
+    ],
+  };
+};
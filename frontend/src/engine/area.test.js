@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest";
+import {
+  rectangleFromCorners,
+  isValidShape,
+  containsPoint,
+  shapeCentroid,
+  shapeAreaKm2,
+  gridCells,
+  averageSeries,
+  cellSpread,
+  areaToGeoJSON,
+  GRID_LAT_STEP,
+  GRID_LON_STEP,
+} from "./area";
+import { POWER_FILL_VALUE } from "./quality";
+
+const farm = rectangleFromCorners({ lat: 13.2, lng: 77.9 }, { lat: 12.1, lng: 76.6 });
+
+// L-shaped ring: the notch at the top right is outside.
+const corridor = {
+  type: "polygon",
+  points: [
+    { lat: 0, lng: 0 },
+    { lat: 2, lng: 0 },
+    { lat: 2, lng: 1 },
+    { lat: 1, lng: 1 },
+    { lat: 1, lng: 2 },
+    { lat: 0, lng: 2 },
+  ],
+};
+
+describe("shapes", () => {
+  it("orders rectangle corners whichever way they were drawn", () => {
+    expect(farm.points[0]).toEqual({ lat: 12.1, lng: 76.6 });
+    expect(farm.points[2]).toEqual({ lat: 13.2, lng: 77.9 });
+    expect(isValidShape(farm)).toBe(true);
+    expect(isValidShape({ type: "polygon", points: farm.points.slice(0, 2) })).toBe(false);
+  });
+
+  it("tests points against concave rings", () => {
+    expect(containsPoint(corridor.points, { lat: 0.5, lng: 1.5 })).toBe(true);
+    expect(containsPoint(corridor.points, { lat: 1.5, lng: 1.5 })).toBe(false);
+  });
+
+  it("finds the area centroid and an approximate size", () => {
+    const centroid = shapeCentroid(corridor.points);
+    expect(centroid.lat).toBeCloseTo(5 / 6);
+    expect(centroid.lng).toBeCloseTo(5 / 6);
+    // one degree square at the equator is about 12,400 km²
+    expect(shapeAreaKm2(rectangleFromCorners({ lat: 0, lng: 0 }, { lat: 1, lng: 1 }).points)).toBeCloseTo(12392, -2);
+  });
+});
+
+describe("gridCells", () => {
+  it("samples every cell centre inside the shape", () => {
+    const { cells, inside } = gridCells(corridor);
+    expect(inside).toBe(cells.length);
+    cells.forEach(cell => {
+      expect(containsPoint(corridor.points, cell)).toBe(true);
+      expect((cell.lat / GRID_LAT_STEP) % 1).toBe(0);
+      expect((cell.lng / GRID_LON_STEP) % 1).toBe(0);
+    });
+    expect(cells).not.toContainEqual({ lat: 1.5, lng: 1.875 });
+  });
+
+  it("falls back to the cell under a small shape", () => {
+    const small = rectangleFromCorners({ lat: 12.91, lng: 77.51 }, { lat: 12.99, lng: 77.59 });
+    expect(gridCells(small)).toEqual({ cells: [{ lat: 13, lng: 77.5 }], inside: 0 });
+  });
+
+  it("thins large shapes to the cell limit", () => {
+    const region = rectangleFromCorners({ lat: 10, lng: 70 }, { lat: 20, lng: 80 });
+    const { cells, inside } = gridCells(region, { maxCells: 8 });
+    expect(inside).toBeGreaterThan(100);
+    expect(cells).toHaveLength(8);
+    expect(new Set(cells.map(c => `${c.lat},${c.lng}`)).size).toBe(8);
+  });
+});
+
+describe("averageSeries", () => {
+  it("averages the usable cells of each day", () => {
+    const averaged = averageSeries([
+      { T2M: { 20240101: 20, 20240102: POWER_FILL_VALUE, 20240103: POWER_FILL_VALUE } },
+      { T2M: { 20240101: 24, 20240102: 18, 20240103: POWER_FILL_VALUE } },
+    ]);
+    expect(averaged.T2M).toEqual({ 20240101: 22, 20240102: 18, 20240103: POWER_FILL_VALUE });
+  });
+});
+
+describe("cellSpread", () => {
+  it("reports the range of expected values between cells", () => {
+    const spread = cellSpread([{ T2M: { value: 20 } }, { T2M: { value: 24 } }, { T2M: { value: 22 } }]);
+    expect(spread.T2M).toMatchObject({ cells: 3, min: 20, max: 24 });
+    expect(spread.T2M.stdDev).toBeCloseTo(Math.sqrt(8 / 3));
+  });
+});
+
+describe("areaToGeoJSON", () => {
+  it("writes a closed lon/lat ring and the sampled cells", () => {
+    const geojson = areaToGeoJSON(farm, { properties: { name: "Farm" }, cells: [{ lat: 12.5, lng: 77.5, T2M: 24.1 }] });
+    const [polygon, cell] = geojson.features;
+    expect(polygon.geometry.coordinates[0]).toHaveLength(5);
+    expect(polygon.geometry.coordinates[0][0]).toEqual([76.6, 12.1]);
+    expect(polygon.geometry.coordinates[0][4]).toEqual([76.6, 12.1]);
+    expect(polygon.properties).toEqual({ shape: "rectangle", name: "Farm" });
+    expect(cell).toEqual({ type: "Feature", geometry: { type: "Point", coordinates: [77.5, 12.5] }, properties: { role: "grid-cell", T2M: 24.1 } });
+  });
+});
@@ -0,0 +1,115 @@
+// Leave-one-year-out backtest of the forecasting engine.
+//
+// Each baseline year is hidden in turn and every day of that year's seasonal
+// window (target ± windowDays) is forecast from the remaining years, then
+// compared with what was actually observed. Forecasting the whole window
+// rather than the single target day gives enough cases per year for the
+// scores to mean something while still testing the season the user asked
+// about.
+
+import { forecastSeries, selectSeasonalSamples, parseTargetDate, formatISODate, DEFAULT_OPTIONS } from "./forecast";
+import { getDistributionSpec } from "./distribution";
+import { getPlausibleRange, isUsableValue } from "./quality";
+import { exceedanceProbability, isValidThreshold, thresholdMatcher } from "./exceedance";
+import { seasonYear } from "./trend";
+
+// P10-P90 is an 80% central interval, so a calibrated forecast covers 80% of
+// observed days.
+export const NOMINAL_COVERAGE = 80;
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const atYear = (target, year) => new Date(year, target.getMonth(), Math.min(target.getDate(), new Date(year, target.getMonth() + 1, 0).getDate()));
+
+// `[{ year, date, observed, predicted, p10, p90, probability, exceeded }]`
+// for one variable. `threshold` is in the series' own units.
+const backtestCases = (series, target, { windowDays, distribution, validRange, threshold }) => {
+  // every window of every forecast day lies within twice the window (plus a
+  // day either side of 29 February) of the target, so cut that out once and
+  // leave the rest of the record alone
+  const items = selectSeasonalSamples(series, target, { windowDays: 2 * windowDays + 2, validRange });
+  const byDate = new Map(items.map(item => [formatISODate(item.date), item.value]));
+  const years = [...new Set(items.map(item => seasonYear(item.date, target)))].sort((a, b) => a - b);
+  const test = threshold ? thresholdMatcher(threshold) : null;
+  const forecastOptions = { windowDays, distribution, validRange, bootstrapResamples: 0, distributionSamples: 0 };
+  const cases = [];
+
+  years.forEach(year => {
+    // one training array per held-out year, so its calendar-day index is
+    // built once and shared by every day of the window
+    const training = items.filter(item => seasonYear(item.date, target) !== year);
+    if (training.length === 0) return;
+    const centre = atYear(target, year);
+
+    for (let offset = -windowDays; offset <= windowDays; offset++) {
+      const date = new Date(centre.getFullYear(), centre.getMonth(), centre.getDate() + offset);
+      const observed = byDate.get(formatISODate(date));
+      if (!isUsableValue(observed, validRange)) continue;
+
+      const prediction = forecastSeries(training, date, forecastOptions);
+      if (!prediction) continue;
+
+      const exceedance = test && exceedanceProbability(prediction.sampleValues, threshold);
+      cases.push({
+        year,
+        date: formatISODate(date),
+        observed,
+        predicted: prediction.value,
+        p10: prediction.percentiles.p10,
+        p90: prediction.percentiles.p90,
+        probability: exceedance ? exceedance.probability / 100 : null,
+        exceeded: test ? test(observed) : null,
+      });
+    }
+  });
+  return cases;
+};
+
+// Summary scores over the cases: MAE and bias (predicted − observed) in the
+// variable's units, P10-P90 coverage in percent and the Brier score of the
+// exceedance probability (0 is perfect, 0.25 is a constant 50% guess).
+export const scoreCases = (cases) => {
+  if (cases.length === 0) return null;
+  const errors = cases.map(c => c.predicted - c.observed);
+  const scored = cases.filter(c => c.probability !== null);
+  return {
+    cases: cases.length,
+    years: new Set(cases.map(c => c.year)).size,
+    mae: mean(errors.map(Math.abs)),
+    bias: mean(errors),
+    coverage: (cases.filter(c => c.observed >= c.p10 && c.observed <= c.p90).length / cases.length) * 100,
+    brier: scored.length ? mean(scored.map(c => Math.pow(c.probability - (c.exceeded ? 1 : 0), 2))) : null,
+    observedRate: scored.length ? (scored.filter(c => c.exceeded).length / scored.length) * 100 : null,
+  };
+};
+
+// Backtests one parameter's series: `{ threshold, scores, cases }`, or null
+// with fewer than two years of data. `threshold` is in canonical units;
+// without a valid one there is no Brier score. Callers running several
+// parameters can yield between them.
+export const backtestParam = (series, param, targetDate, { windowDays = DEFAULT_OPTIONS.windowDays, threshold = null } = {}) => {
+  const valid = isValidThreshold(threshold) ? threshold : null;
+  const cases = backtestCases(series, parseTargetDate(targetDate), {
+    windowDays,
+    distribution: getDistributionSpec(param),
+    validRange: getPlausibleRange(param),
+    threshold: valid,
+  });
+  const scores = scoreCases(cases);
+  return scores && scores.years >= 2 ? { threshold: valid, scores, cases } : null;
+};
+
+// Backtests every parameter in a POWER payload. `thresholds` maps parameters
+// to exceedance thresholds in canonical units. Returns
+// `{ [PARAM]: { threshold, scores, cases } }`, leaving out parameters with
+// fewer than two years of data.
+export const runBacktest = (historicalData, targetDate, { windowDays = DEFAULT_OPTIONS.windowDays, thresholds = {} } = {}) => {
+  const results = {};
+
+  Object.keys(historicalData).forEach(param => {
+    const result = backtestParam(historicalData[param], param, targetDate, { windowDays, threshold: thresholds[param] });
+    if (result) results[param] = result;
+  });
+
+  return results;
+};
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { runBacktest, backtestParam, scoreCases } from "./backtest";
+import { formatISODate } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+// 1 to 31 July of each year, valued by `value(year, day)`.
+const steadySeries = (fromYear, toYear, value) => {
+  const series = {};
+  for (let year = fromYear; year <= toYear; year++) {
+    for (let day = 1; day <= 31; day++) {
+      series[formatISODate(new Date(year, 6, day)).replace(/-/g, "")] = value(year, day);
+    }
+  }
+  return series;
+};
+
+describe("scoreCases", () => {
+  it("computes MAE, bias, coverage and Brier score", () => {
+    const scores = scoreCases([
+      { year: 2020, observed: 10, predicted: 12, p10: 8, p90: 14, probability: 0.8, exceeded: true },
+      { year: 2021, observed: 20, predicted: 16, p10: 8, p90: 14, probability: 0.2, exceeded: false },
+    ]);
+    expect(scores.cases).toBe(2);
+    expect(scores.years).toBe(2);
+    expect(scores.mae).toBeCloseTo(3);
+    expect(scores.bias).toBeCloseTo(-1);
+    expect(scores.coverage).toBe(50);
+    expect(scores.brier).toBeCloseTo(0.04);
+    expect(scores.observedRate).toBe(50);
+  });
+
+  it("leaves the Brier score out without probabilities", () => {
+    const scores = scoreCases([{ year: 2020, observed: 1, predicted: 1, p10: 0, p90: 2, probability: null, exceeded: null }]);
+    expect(scores.brier).toBeNull();
+    expect(scoreCases([])).toBeNull();
+  });
+});
+
+describe("runBacktest", () => {
+  it("scores a perfectly repeating climate as error-free", () => {
+    const series = steadySeries(2015, 2020, () => 20);
+    const { T2M } = runBacktest({ T2M: series }, "2026-07-15", { windowDays: 3, thresholds: { T2M: { op: ">", value: 19.5 } } });
+
+    expect(T2M.scores.years).toBe(6);
+    expect(T2M.scores.cases).toBe(6 * 7);
+    expect(T2M.scores.mae).toBeCloseTo(0);
+    expect(T2M.scores.bias).toBeCloseTo(0);
+    expect(T2M.scores.coverage).toBe(100);
+    expect(T2M.scores.brier).toBe(0);
+  });
+
+  it("never uses the hidden year to forecast it", () => {
+    // every year is flat, but one is 10 degrees warmer: forecasting it from
+    // the others must miss by the whole offset
+    const series = steadySeries(2015, 2020, (year) => (year === 2018 ? 30 : 20));
+    const { T2M } = runBacktest({ T2M: series }, "2026-07-15", { windowDays: 2 });
+    const hidden = T2M.cases.filter(c => c.year === 2018);
+
+    expect(hidden).toHaveLength(5);
+    hidden.forEach(c => expect(c.predicted).toBeCloseTo(20));
+    expect(T2M.threshold).toBeNull();
+    expect(T2M.scores.brier).toBeNull();
+  });
+
+  it("backtests the synthetic Bengaluru series", () => {
+    const results = runBacktest({ PRECTOTCORR: historical.PRECTOTCORR }, "2026-07-15", {
+      thresholds: { PRECTOTCORR: { op: ">", value: 5 } },
+    });
+    const { scores } = results.PRECTOTCORR;
+
+    expect(scores.years).toBe(5);
+    expect(scores.mae).toBeGreaterThan(0);
+    expect(scores.coverage).toBeGreaterThanOrEqual(0);
+    expect(scores.coverage).toBeLessThanOrEqual(100);
+    expect(scores.brier).toBeGreaterThanOrEqual(0);
+    expect(scores.brier).toBeLessThanOrEqual(1);
+  });
+
+  it("needs at least two years of history", () => {
+    expect(runBacktest({ T2M: steadySeries(2020, 2020, () => 20) }, "2026-07-15")).toEqual({});
+    expect(backtestParam(steadySeries(2020, 2020, () => 20), "T2M", "2026-07-15")).toBeNull();
+  });
+
+  it("backtests one variable at a time like the full run", () => {
+    const threshold = { op: ">", value: 5 };
+    const single = backtestParam(historical.PRECTOTCORR, "PRECTOTCORR", "2026-07-15", { threshold });
+    const { PRECTOTCORR } = runBacktest(historical, "2026-07-15", { thresholds: { PRECTOTCORR: threshold } });
+    expect(single).toEqual(PRECTOTCORR);
+  });
+
+  it("backtests a full 45-year record quickly", () => {
+    const series = {};
+    for (let day = new Date(1981, 0, 1); day.getFullYear() <= 2025; day.setDate(day.getDate() + 1)) {
+      series[formatISODate(day).replace(/-/g, "")] = 20 + 8 * Math.sin(day.getTime() / 5e9);
+    }
+    const started = performance.now();
+    const result = backtestParam(series, "T2M", "2026-07-15", { windowDays: 7 });
+    expect(result.scores.years).toBe(45);
+    expect(result.scores.cases).toBe(45 * 15);
+    expect(performance.now() - started).toBeLessThan(3000);
+  });
+});
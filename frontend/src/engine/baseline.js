@@ -0,0 +1,46 @@
+// Historical baseline ("climatology period") used to build a forecast.
+//
+// Baselines always end with the last complete calendar year so every year in
+// the window contributes the same calendar days.
+
+export const POWER_FIRST_YEAR = 1981;
+
+// POWER accepts long point requests but responses grow quickly with several
+// parameters, so long baselines are fetched in spans of at most this many years.
+export const MAX_YEARS_PER_REQUEST = 10;
+
+export const BASELINES = [
+  { id: "5", label: "5 years", years: 5 },
+  { id: "10", label: "10 years", years: 10 },
+  { id: "20", label: "20 years", years: 20 },
+  { id: "30", label: "30 years", years: 30 },
+  { id: "full", label: `Full record (${POWER_FIRST_YEAR}+)`, years: null },
+];
+
+export const DEFAULT_BASELINE = "10";
+
+export const resolveBaseline = (id, referenceDate = new Date()) => {
+  const baseline = BASELINES.find(b => b.id === String(id)) || BASELINES.find(b => b.id === DEFAULT_BASELINE);
+  const endYear = referenceDate.getFullYear() - 1;
+  const startYear = baseline.years
+    ? Math.max(POWER_FIRST_YEAR, endYear - baseline.years + 1)
+    : POWER_FIRST_YEAR;
+
+  return {
+    id: baseline.id,
+    startYear,
+    endYear,
+    years: endYear - startYear + 1,
+  };
+};
+
+export const describeBaseline = ({ startYear, endYear, years }) =>
+  `${years} Years (${startYear} - ${endYear})`;
+
+export const splitYearSpan = (startYear, endYear, maxYears = MAX_YEARS_PER_REQUEST) => {
+  const chunks = [];
+  for (let year = startYear; year <= endYear; year += maxYears) {
+    chunks.push({ startYear: year, endYear: Math.min(endYear, year + maxYears - 1) });
+  }
+  return chunks;
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { resolveBaseline, splitYearSpan, describeBaseline, POWER_FIRST_YEAR } from "./baseline";
+
+const reference = new Date(2026, 9, 19);
+
+describe("resolveBaseline", () => {
+  it("ends with the last complete year", () => {
+    expect(resolveBaseline("5", reference)).toEqual({ id: "5", startYear: 2021, endYear: 2025, years: 5 });
+    expect(resolveBaseline("30", reference)).toEqual({ id: "30", startYear: 1996, endYear: 2025, years: 30 });
+  });
+
+  it("starts the full record at the first POWER year", () => {
+    const full = resolveBaseline("full", reference);
+    expect(full.startYear).toBe(POWER_FIRST_YEAR);
+    expect(full.years).toBe(2025 - POWER_FIRST_YEAR + 1);
+  });
+
+  it("falls back to the default baseline for unknown ids", () => {
+    expect(resolveBaseline("bogus", reference).years).toBe(10);
+  });
+});
+
+describe("splitYearSpan", () => {
+  it("covers the span with contiguous chunks", () => {
+    expect(splitYearSpan(1996, 2025, 10)).toEqual([
+      { startYear: 1996, endYear: 2005 },
+      { startYear: 2006, endYear: 2015 },
+      { startYear: 2016, endYear: 2025 },
+    ]);
+    expect(splitYearSpan(2021, 2025, 10)).toEqual([{ startYear: 2021, endYear: 2025 }]);
+    expect(splitYearSpan(1981, 2025, 10)).toHaveLength(5);
+  });
+});
+
+describe("describeBaseline", () => {
+  it("formats the period for reports", () => {
+    expect(describeBaseline(resolveBaseline("20", reference))).toBe("20 Years (2006 - 2025)");
+  });
+});
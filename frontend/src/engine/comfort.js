@@ -0,0 +1,51 @@
+// Comfort and heat-stress indices from daily POWER variables.
+//
+// All inputs and outputs are canonical units: °C, % relative humidity and
+// m/s. POWER gives daily means, so these describe a typical moment of the day
+// rather than the afternoon peak; heat indices on the hottest hours run higher.
+
+// Saturation-weighted water vapour pressure in hPa (Magnus/Tetens form used by
+// the Australian Bureau of Meteorology).
+export const vapourPressure = (tC, rh) => (rh / 100) * 6.105 * Math.exp((17.27 * tC) / (237.7 + tC));
+
+const toF = (tC) => tC * 9 / 5 + 32;
+const toC = (tF) => (tF - 32) * 5 / 9;
+
+// NWS heat index (Rothfusz regression with the NWS low/high humidity
+// adjustments, and Steadman's simple formula below 80 °F).
+export const heatIndex = (tC, rh) => {
+  const t = toF(tC);
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < 80) return toC(simple);
+
+  let hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+    - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+    + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  if (rh < 13 && t >= 80 && t <= 112) {
+    hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t >= 80 && t <= 87) {
+    hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return toC(hi);
+};
+
+// North American wind chill (JAG/TI 2001), wind at 10 m. Only defined at or
+// below 10 °C with wind above 4.8 km/h; otherwise the air temperature.
+export const windChill = (tC, windMs) => {
+  const v = windMs * 3.6;
+  if (tC > 10 || v <= 4.8) return tC;
+  const p = Math.pow(v, 0.16);
+  return 13.12 + 0.6215 * tC - 11.37 * p + 0.3965 * tC * p;
+};
+
+// Environment Canada humidex.
+export const humidex = (tC, rh) => tC + 0.5555 * (vapourPressure(tC, rh) - 10);
+
+// Simplified WBGT (Australian BoM) for shade and light wind; it ignores solar
+// load so it understates WBGT in full sun.
+export const wbgtApprox = (tC, rh) => 0.567 * tC + 0.393 * vapourPressure(tC, rh) + 3.94;
+
+// Steadman apparent temperature without radiation (BoM form), wind at 10 m.
+export const apparentTemperature = (tC, rh, windMs) =>
+  tC + 0.33 * vapourPressure(tC, rh) - 0.7 * windMs - 4;
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { heatIndex, windChill, humidex, wbgtApprox, apparentTemperature } from "./comfort";
+import { sourceParams, selectSeries } from "./derived";
+import { POWER_FILL_VALUE } from "./quality";
+import { generateForecast } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+describe("comfort indices", () => {
+  it("matches the NWS heat index table", () => {
+    // 90 °F at 60% RH reads 100 °F in the NWS chart
+    expect(heatIndex((90 - 32) * 5 / 9, 60) * 9 / 5 + 32).toBeCloseTo(100, 0);
+    // mild conditions fall back to roughly the air temperature
+    expect(heatIndex(20, 50)).toBeCloseTo(19.7, 0);
+  });
+
+  it("matches the Environment Canada wind chill and humidex tables", () => {
+    // -20 °C with a 30 km/h wind
+    expect(windChill(-20, 30 / 3.6)).toBeCloseTo(-33, 0);
+    expect(windChill(15, 10)).toBe(15);
+    // 30 °C with a 20 °C dew point (about 55% RH) is a humidex of about 37
+    expect(humidex(30, 55.1)).toBeCloseTo(37, 0);
+  });
+
+  it("orders heat stress sensibly", () => {
+    expect(wbgtApprox(35, 70)).toBeGreaterThan(wbgtApprox(35, 20));
+    expect(apparentTemperature(25, 50, 8)).toBeLessThan(apparentTemperature(25, 50, 0));
+  });
+});
+
+describe("derived series", () => {
+  it("fetches inputs instead of derived codes", () => {
+    expect(sourceParams(["T2M", "HEAT_INDEX", "APPARENT_T"])).toEqual(["T2M", "RH2M", "WS10M"]);
+  });
+
+  it("computes requested indices, drops unrequested inputs and carries gaps", () => {
+    const data = {
+      T2M: { 20230101: 30, 20230102: -999 },
+      RH2M: { 20230101: 60, 20230102: 50 },
+    };
+    const series = selectSeries(data, ["HEAT_INDEX"]);
+    expect(Object.keys(series)).toEqual(["HEAT_INDEX"]);
+    expect(series.HEAT_INDEX["20230101"]).toBeCloseTo(heatIndex(30, 60));
+    expect(series.HEAT_INDEX["20230102"]).toBe(POWER_FILL_VALUE);
+  });
+
+  it("forecasts derived variables with the same engine", () => {
+    const series = selectSeries(historical, ["T2M", "HUMIDEX"]);
+    const forecast = generateForecast(series, "2026-04-15");
+    expect(forecast.HUMIDEX.value).toBeGreaterThan(forecast.T2M.value);
+    expect(forecast.HUMIDEX.quality.coverage).toBe(100);
+  });
+});
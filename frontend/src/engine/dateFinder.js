@@ -0,0 +1,66 @@
+// Best-date finder: scores every candidate day in a range against an activity
+// profile using the historical series already fetched for the location.
+
+import { indexSeries, seasonalClimatology, parseTargetDate, formatISODate } from "./forecast";
+import { getDistributionSpec } from "./distribution";
+import { getPlausibleRange } from "./quality";
+import { activityParams, scoreActivity } from "./activities";
+
+// A year of candidates keeps ranking interactive on long baselines.
+export const MAX_CANDIDATE_DAYS = 366;
+
+export const WEEKDAYS = [
+  { id: 1, short: "Mon" },
+  { id: 2, short: "Tue" },
+  { id: 3, short: "Wed" },
+  { id: 4, short: "Thu" },
+  { id: 5, short: "Fri" },
+  { id: 6, short: "Sat" },
+  { id: 0, short: "Sun" },
+];
+
+// Days from `start` to `end` inclusive whose weekday (Date#getDay) is in
+// `weekdays`; an empty filter keeps every day.
+export const candidateDates = (start, end, weekdays = []) => {
+  const from = parseTargetDate(start);
+  const to = parseTargetDate(end);
+  const dates = [];
+
+  for (let d = new Date(from); d <= to && dates.length < MAX_CANDIDATE_DAYS; d.setDate(d.getDate() + 1)) {
+    if (weekdays.length === 0 || weekdays.includes(d.getDay())) dates.push(new Date(d));
+  }
+  return dates;
+};
+
+// Returns one entry per candidate date, best first:
+// `{ date: "YYYY-MM-DD", score, verdict, driver }`. Each date is scored on the
+// same trend-adjusted samples its forecast would use, so the ranking agrees
+// with the activity card.
+export const rankDates = (historicalData, profile, { start, end, weekdays = [], windowDays } = {}) => {
+  const params = activityParams(profile).filter(param => historicalData[param]);
+  // indexed once, so each candidate only looks at the days around it
+  const indexed = Object.fromEntries(params.map(param => [param, indexSeries(historicalData[param])]));
+
+  return candidateDates(start, end, weekdays)
+    .map(date => {
+      const samples = Object.fromEntries(params.map(param => [
+        param,
+        {
+          sampleValues: seasonalClimatology(indexed[param], date, {
+            windowDays,
+            distribution: getDistributionSpec(param),
+            validRange: getPlausibleRange(param),
+          }).items.map(item => item.value),
+        },
+      ]));
+      const result = scoreActivity(profile, samples);
+      return {
+        date: formatISODate(date),
+        score: result.score,
+        verdict: result.verdict,
+        driver: result.driver ? result.driver.label : null,
+      };
+    })
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+};
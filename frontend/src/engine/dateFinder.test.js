@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { candidateDates, rankDates } from "./dateFinder";
+import { getActivityProfile, scoreActivity } from "./activities";
+import { generateForecast, formatISODate } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+describe("candidateDates", () => {
+  it("includes both ends of the range", () => {
+    expect(candidateDates("2026-05-01", "2026-05-31")).toHaveLength(31);
+  });
+
+  it("filters by weekday", () => {
+    const saturdays = candidateDates("2026-05-01", "2026-05-31", [6]);
+    expect(saturdays.map(d => d.getDate())).toEqual([2, 9, 16, 23, 30]);
+  });
+
+  it("is capped to keep ranking fast", () => {
+    expect(candidateDates("2026-01-01", "2028-12-31")).toHaveLength(366);
+  });
+});
+
+describe("rankDates", () => {
+  const wedding = getActivityProfile("wedding");
+
+  it("sorts candidate dates best first", () => {
+    const ranking = rankDates(historical, wedding, { start: "2026-05-01", end: "2026-10-31", weekdays: [6] });
+    expect(ranking.length).toBe(27);
+    ranking.slice(1).forEach((entry, i) => expect(entry.score).toBeLessThanOrEqual(ranking[i].score));
+    // the monsoon peak should not win a wedding ranking
+    expect(ranking[0].date < "2026-07-01" || ranking[0].date > "2026-10-15").toBe(true);
+  });
+
+  it("matches the single-date suitability score", () => {
+    const [entry] = rankDates(historical, wedding, { start: "2026-02-14", end: "2026-02-14" });
+    const single = scoreActivity(wedding, generateForecast(historical, "2026-02-14"));
+    expect(entry.score).toBeCloseTo(single.score, 10);
+  });
+
+  it("scores the trend-adjusted samples the forecast uses", () => {
+    // a long, fast-warming record: the forecast shifts temperatures to 2026
+    const warming = { T2M: {}, PRECTOTCORR: {} };
+    for (let day = new Date(2012, 0, 1); day.getFullYear() <= 2025; day.setDate(day.getDate() + 1)) {
+      const key = formatISODate(day).replace(/-/g, "");
+      warming.T2M[key] = 16 + (day.getFullYear() - 2012) + (day.getDate() % 3);
+      warming.PRECTOTCORR[key] = 0;
+    }
+    const forecast = generateForecast(warming, "2026-03-14");
+    expect(forecast.T2M.trend.applied).toBe(true);
+
+    const [entry] = rankDates(warming, wedding, { start: "2026-03-14", end: "2026-03-14" });
+    const single = scoreActivity(wedding, forecast);
+    expect(entry.score).toBeCloseTo(single.score, 10);
+    expect(entry.verdict).toBe(single.verdict);
+  });
+});
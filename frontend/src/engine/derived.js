@@ -0,0 +1,38 @@
+// Derived variables: series computed day by day from fetched POWER series
+// (see the `derived` field in variables.js).
+
+import { getVariableByParam } from "./variables";
+import { POWER_FILL_VALUE, getPlausibleRange, isUsableValue } from "./quality";
+
+// POWER parameters needed to produce `params`: derived variables are replaced
+// by their inputs.
+export const sourceParams = (params) => [
+  ...new Set(params.flatMap(param => getVariableByParam(param)?.derived?.inputs || [param])),
+];
+
+export const deriveSeries = (historicalData, { inputs, compute }) => {
+  const [first, ...rest] = inputs.map(param => historicalData[param]);
+  if (!first || rest.some(series => !series)) return null;
+
+  const derived = {};
+  Object.keys(first).forEach(key => {
+    const values = inputs.map(param => historicalData[param][key]);
+    // a gap in any input is a gap in the result, so quality reporting sees it
+    derived[key] = values.every((value, i) => isUsableValue(value, getPlausibleRange(inputs[i])))
+      ? compute(...values)
+      : POWER_FILL_VALUE;
+  });
+  return derived;
+};
+
+// Picks `params` out of a fetch of `sourceParams(params)`, computing derived
+// series on the way. Inputs that were not requested themselves are dropped.
+export const selectSeries = (historicalData, params) => {
+  const out = {};
+  params.forEach(param => {
+    const derived = getVariableByParam(param)?.derived;
+    const series = derived ? deriveSeries(historicalData, derived) : historicalData[param];
+    if (series) out[param] = series;
+  });
+  return out;
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { sourceParams, deriveSeries, selectSeries } from "./derived";
+import { getVariableByParam } from "./variables";
+import { POWER_FILL_VALUE } from "./quality";
+
+const fetched = {
+  T2M: { 20240101: 30, 20240102: POWER_FILL_VALUE, 20240103: 32, 20240104: 31 },
+  RH2M: { 20240101: 60, 20240102: 65, 20240103: 150, 20240104: 70 },
+};
+
+describe("sourceParams", () => {
+  it("replaces derived variables by their inputs, once each", () => {
+    expect(sourceParams(["T2M", "HEAT_INDEX", "APPARENT_T"])).toEqual(["T2M", "RH2M", "WS10M"]);
+    expect(sourceParams(["PRECTOTCORR", "PS"])).toEqual(["PRECTOTCORR", "PS"]);
+  });
+});
+
+describe("deriveSeries", () => {
+  const sum = { inputs: ["T2M", "RH2M"], compute: (t, rh) => t + rh };
+
+  it("computes each day from its inputs", () => {
+    expect(deriveSeries(fetched, sum)[20240101]).toBe(90);
+    expect(deriveSeries(fetched, sum)[20240104]).toBe(101);
+  });
+
+  it("turns a gap in any input into a gap in the result", () => {
+    const derived = deriveSeries({ ...fetched, RH2M: { ...fetched.RH2M, 20240104: undefined } }, sum);
+    // missing, implausible and absent input values respectively
+    expect(derived[20240102]).toBe(POWER_FILL_VALUE);
+    expect(derived[20240103]).toBe(POWER_FILL_VALUE);
+    expect(derived[20240104]).toBe(POWER_FILL_VALUE);
+  });
+
+  it("needs every input series", () => {
+    expect(deriveSeries({ T2M: fetched.T2M }, sum)).toBeNull();
+  });
+});
+
+describe("selectSeries", () => {
+  it("drops inputs that were not requested", () => {
+    const selected = selectSeries(fetched, ["HEAT_INDEX"]);
+    expect(Object.keys(selected)).toEqual(["HEAT_INDEX"]);
+    const { compute } = getVariableByParam("HEAT_INDEX").derived;
+    expect(selected.HEAT_INDEX[20240101]).toBeCloseTo(compute(30, 60));
+  });
+
+  it("keeps inputs that were requested as well", () => {
+    expect(Object.keys(selectSeries(fetched, ["T2M", "HUMIDEX"]))).toEqual(["T2M", "HUMIDEX"]);
+  });
+
+  it("leaves out variables whose inputs did not arrive", () => {
+    expect(selectSeries(fetched, ["T2M", "WIND_CHILL"])).toEqual({ T2M: fetched.T2M });
+  });
+});
@@ -0,0 +1,151 @@
+// Empirical distributions of the seasonal samples.
+//
+// Densities are reported like the normal curve used to be: `probability` is the
+// density at `value` times 100, so every curve can share one chart.
+
+import { VARIABLES } from "./variables";
+
+// Rainfall below this (mm/day) counts as a dry day for the mixed model.
+export const WET_DAY_THRESHOLD = 0.1;
+
+// How each POWER parameter's samples are bounded and modelled (see the
+// `distribution` field in variables.js).
+export const PARAM_DISTRIBUTIONS = Object.fromEntries(VARIABLES.map(v => [v.param, v.distribution]));
+
+export const getDistributionSpec = (param) =>
+  PARAM_DISTRIBUTIONS[param] || { model: "normal" };
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const stdDev = (values) => {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / values.length);
+};
+
+const sortedPercentile = (sorted, p) => {
+  if (!sorted.length) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+};
+
+const sortValues = (values) => [...values].sort((a, b) => a - b);
+
+// Linear interpolation between closest ranks (same as numpy's default).
+export const percentile = (values, p) => sortedPercentile(sortValues(values), p);
+
+export const computePercentiles = (values) => {
+  const sorted = sortValues(values);
+  return {
+    p10: sortedPercentile(sorted, 10),
+    p50: sortedPercentile(sorted, 50),
+    p90: sortedPercentile(sorted, 90),
+  };
+};
+
+export const histogram = (values, bins = Math.min(30, Math.max(8, Math.ceil(Math.sqrt(values.length))))) => {
+  if (!values.length) return [];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+
+  values.forEach(v => {
+    counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  });
+
+  return counts.map((count, i) => ({
+    value: min + (i + 0.5) * width,
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count,
+    probability: (count / values.length) * 100,
+  }));
+};
+
+const gaussianKernel = (u) => Math.exp(-0.5 * u * u) / Math.sqrt(2 * Math.PI);
+
+// Gaussian kernel density estimate with Silverman's bandwidth. Mass that would
+// spill past a physical bound is reflected back inside it. `points: 0` skips
+// the curve.
+export const kernelDensity = (values, { lower = -Infinity, upper = Infinity, points = 50 } = {}) => {
+  if (values.length < 2 || points < 1) return [];
+  const sorted = sortValues(values);
+  const sigma = stdDev(values);
+  const iqr = sortedPercentile(sorted, 75) - sortedPercentile(sorted, 25);
+  const spread = Math.min(sigma, iqr / 1.34) || sigma || 1;
+  const bandwidth = 0.9 * spread * Math.pow(values.length, -0.2);
+
+  const from = Math.max(lower, sorted[0] - 3 * bandwidth);
+  const to = Math.min(upper, sorted[sorted.length - 1] + 3 * bandwidth);
+  const step = (to - from) / (points - 1);
+
+  const density = (x) => values.reduce((sum, v) => {
+    let k = gaussianKernel((x - v) / bandwidth);
+    if (Number.isFinite(lower)) k += gaussianKernel((x - (2 * lower - v)) / bandwidth);
+    if (Number.isFinite(upper)) k += gaussianKernel((x - (2 * upper - v)) / bandwidth);
+    return sum + k;
+  }, 0) / (values.length * bandwidth);
+
+  return Array.from({ length: points }, (_, i) => {
+    const x = from + i * step;
+    return { value: x, probability: density(x) * 100 };
+  });
+};
+
+// Lanczos approximation of ln Γ(x).
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+export const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let a = 0.99999999999980993;
+  LANCZOS.forEach((c, i) => { a += c / (z + i + 1); });
+  const t = z + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+export const gammaPdf = (x, shape, scale) => {
+  if (x <= 0) return 0;
+  return Math.exp((shape - 1) * Math.log(x) - x / scale - logGamma(shape) - shape * Math.log(scale));
+};
+
+// Mixed dry-day / gamma model for daily rainfall: a point mass of dry days
+// plus a gamma fitted to wet-day amounts with Thom's maximum-likelihood
+// approximation.
+export const fitMixedGamma = (values, wetThreshold = WET_DAY_THRESHOLD) => {
+  if (!values.length) return null;
+  const wet = values.filter(v => v >= wetThreshold);
+  const dryProbability = (values.length - wet.length) / values.length;
+
+  if (wet.length < 2) {
+    return { dryProbability, wetDays: wet.length, shape: null, scale: null, wetThreshold };
+  }
+
+  const wetMean = mean(wet);
+  const a = Math.log(wetMean) - mean(wet.map(v => Math.log(v)));
+  const shape = a > 0 ? (1 + Math.sqrt(1 + (4 * a) / 3)) / (4 * a) : 1;
+
+  return {
+    dryProbability,
+    wetDays: wet.length,
+    shape,
+    scale: wetMean / shape,
+    wetThreshold,
+  };
+};
+
+// Wet-day density curve of a mixed gamma fit, scaled by the wet-day
+// probability so the curve integrates to the chance of rain.
+export const mixedGammaCurve = (fit, max, points = 50) => {
+  if (!fit || !fit.shape) return [];
+  const step = max / points;
+  return Array.from({ length: points }, (_, i) => {
+    const x = fit.wetThreshold + i * step;
+    return { value: x, probability: (1 - fit.dryProbability) * gammaPdf(x, fit.shape, fit.scale) * 100 };
+  });
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import {
+  percentile,
+  computePercentiles,
+  histogram,
+  kernelDensity,
+  logGamma,
+  gammaPdf,
+  fitMixedGamma,
+} from "./distribution";
+import { generateForecast } from "./forecast";
+
+const integrate = (curve) =>
+  curve.slice(1).reduce((sum, p, i) => sum + ((p.probability + curve[i].probability) / 200) * (p.value - curve[i].value), 0);
+
+describe("percentile", () => {
+  it("interpolates between ranks", () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([0, 10], 10)).toBeCloseTo(1);
+    expect(computePercentiles([5])).toEqual({ p10: 5, p50: 5, p90: 5 });
+  });
+});
+
+describe("histogram", () => {
+  it("puts every sample in exactly one bin", () => {
+    const values = [0, 1, 1, 2, 3, 5, 8, 13, 21];
+    const bins = histogram(values, 4);
+    expect(bins).toHaveLength(4);
+    expect(bins.reduce((sum, b) => sum + b.count, 0)).toBe(values.length);
+    expect(bins.reduce((sum, b) => sum + b.probability, 0)).toBeCloseTo(100);
+  });
+});
+
+describe("kernelDensity", () => {
+  it("integrates to roughly one and respects bounds", () => {
+    const humidity = [92, 95, 97, 98, 99, 99, 96, 94, 90, 88];
+    const curve = kernelDensity(humidity, { lower: 0, upper: 100, points: 200 });
+    expect(curve[curve.length - 1].value).toBeLessThanOrEqual(100);
+    expect(integrate(curve)).toBeCloseTo(1, 1);
+  });
+});
+
+describe("gamma", () => {
+  it("matches known values", () => {
+    expect(Math.exp(logGamma(5))).toBeCloseTo(24, 6);
+    expect(Math.exp(logGamma(0.5))).toBeCloseTo(Math.sqrt(Math.PI), 6);
+    // shape 1 is the exponential distribution
+    expect(gammaPdf(2, 1, 2)).toBeCloseTo(Math.exp(-1) / 2, 8);
+  });
+
+  it("fits dry days and wet-day amounts separately", () => {
+    const fit = fitMixedGamma([0, 0, 0, 0, 0, 0.05, 2, 4, 6, 8]);
+    expect(fit.dryProbability).toBeCloseTo(0.6);
+    expect(fit.wetDays).toBe(4);
+    expect(fit.shape * fit.scale).toBeCloseTo(5);
+  });
+});
+
+describe("forecast distributions", () => {
+  const forecast = generateForecast(fixture.properties.parameter, "2026-08-20");
+
+  it("models monsoon rainfall with the mixed gamma", () => {
+    const rain = forecast.PRECTOTCORR;
+    expect(rain.distributionModel).toBe("mixed-gamma");
+    expect(rain.rainModel.dryProbability).toBeGreaterThan(0);
+    expect(rain.rainModel.dryProbability).toBeLessThan(1);
+    rain.distribution.forEach(point => expect(point.value).toBeGreaterThan(0));
+  });
+
+  it("reports ordered percentiles for every variable", () => {
+    Object.values(forecast).forEach(({ percentiles }) => {
+      expect(percentiles.p10).toBeLessThanOrEqual(percentiles.p50);
+      expect(percentiles.p50).toBeLessThanOrEqual(percentiles.p90);
+    });
+  });
+
+  it("keeps non-rain variables on the normal curve", () => {
+    expect(forecast.T2M.distributionModel).toBe("normal");
+    expect(forecast.T2M.rainModel).toBeNull();
+  });
+});
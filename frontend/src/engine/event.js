@@ -0,0 +1,139 @@
+// Multi-day event forecasts: a day-by-day strip from the single-day engine
+// plus event-level aggregates.
+//
+// Daily forecasts are marginal: the chance of rain on each day says nothing
+// about the chance of at least one rainy day across the event, because wet and
+// hot days come in spells. Event aggregates are therefore scored on
+// historical analogues instead: the same run of calendar days in every
+// baseline year, slid by up to ±windowDays, each treated as one whole event.
+
+import { generateForecast, prepareSeries, indexSeries, parseTargetDate, formatISODate, DEFAULT_OPTIONS } from "./forecast";
+import { percentile } from "./distribution";
+import { getPlausibleRange, isUsableValue } from "./quality";
+
+export const MAX_EVENT_DAYS = 31;
+
+// Plain-language description for report methodology sections.
+export const EVENT_METHODOLOGY = "Each day of the event is forecast on its own. Event totals, the chance of at least one rainy day and the event peak are taken from analogue events: the same run of calendar days in every baseline year, shifted by up to the analysis window, so that spells of wet or hot days are counted the way they actually occurred.";
+
+// A day with at least this much rain (mm) counts as rainy.
+export const RAINY_DAY_MM = 1;
+
+const RAIN_PARAM = "PRECTOTCORR";
+
+// The hottest-day statistics prefer the daily maximum when it is loaded.
+const HEAT_PARAMS = ["T2M_MAX", "T2M"];
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Inclusive day count, 0 when `end` is before `start`.
+export const eventLength = (start, end) => {
+  const from = parseTargetDate(start);
+  const to = parseTargetDate(end);
+  return Math.max(0, Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000) + 1);
+};
+
+export const eventDates = (start, end) => {
+  const from = parseTargetDate(start);
+  return Array.from({ length: eventLength(start, end) }, (_, i) => new Date(from.getFullYear(), from.getMonth(), from.getDate() + i));
+};
+
+// Last end date allowed for an event starting on `start`, as `YYYY-MM-DD`.
+export const latestEventEnd = (start) => {
+  const from = parseTargetDate(start);
+  return formatISODate(new Date(from.getFullYear(), from.getMonth(), from.getDate() + MAX_EVENT_DAYS - 1));
+};
+
+// Values of every complete analogue run for one parameter: `length` days
+// starting within ±windowDays of the start's calendar day, in each year of
+// the series. Runs with a missing or implausible day are skipped.
+const analogueRuns = (series, param, start, length, windowDays) => {
+  const range = getPlausibleRange(param);
+  const lookup = new Map(
+    prepareSeries(series)
+      .filter(item => isUsableValue(item.value, range))
+      .map(item => [formatISODate(item.date), item.value])
+  );
+  const years = [...new Set([...lookup.keys()].map(key => Number(key.slice(0, 4))))];
+  const runs = [];
+
+  years.forEach(year => {
+    const day = Math.min(start.getDate(), daysInMonth(year, start.getMonth()));
+    for (let shift = -windowDays; shift <= windowDays; shift++) {
+      const values = [];
+      for (let i = 0; i < length; i++) {
+        const value = lookup.get(formatISODate(new Date(year, start.getMonth(), day + shift + i)));
+        if (value === undefined) break;
+        values.push(value);
+      }
+      if (values.length === length) runs.push(values);
+    }
+  });
+  return runs;
+};
+
+const rainAggregates = (runs) => {
+  if (runs.length === 0) return null;
+  const totals = runs.map(sum);
+  const rainyDays = runs.map(values => values.filter(v => v >= RAINY_DAY_MM).length);
+  return {
+    param: RAIN_PARAM,
+    rainyDayThreshold: RAINY_DAY_MM,
+    anyRainyProbability: (rainyDays.filter(n => n > 0).length / runs.length) * 100,
+    expectedRainyDays: mean(rainyDays),
+    expectedTotal: mean(totals),
+    totalP90: percentile(totals, 90),
+    analogues: runs.length,
+  };
+};
+
+const heatAggregates = (param, runs, days) => {
+  const forecasts = days.filter(day => day.forecast[param]);
+  if (runs.length === 0 || forecasts.length === 0) return null;
+  const hottest = forecasts.reduce((best, day) => (day.forecast[param].value > best.forecast[param].value ? day : best));
+  const peaks = runs.map(values => Math.max(...values));
+  return {
+    param,
+    hottestDay: { date: hottest.date, value: hottest.forecast[param].value },
+    expectedPeak: mean(peaks),
+    peakP90: percentile(peaks, 90),
+    analogues: runs.length,
+  };
+};
+
+// `{ start, end, days: [{ date, forecast }], aggregates: { rain, heat } }`.
+// `forecast` is what generateForecast() returns for that day; `rain` and
+// `heat` are null when their variables are not loaded.
+export const forecastEvent = (historicalData, start, end, options = {}) => {
+  const length = eventLength(start, end);
+  if (length < 1 || length > MAX_EVENT_DAYS) {
+    throw new Error(`An event must span 1 to ${MAX_EVENT_DAYS} days`);
+  }
+  const windowDays = options.windowDays ?? DEFAULT_OPTIONS.windowDays;
+  const from = parseTargetDate(start);
+
+  // index once; every day of the strip cuts its window from the same
+  // calendar-day index. The per-day bootstrap and distribution curves are
+  // skipped by default: a month of days times every variable is too slow, and
+  // the strip only shows values and percentiles.
+  const indexed = Object.fromEntries(Object.entries(historicalData).map(([param, series]) => [param, indexSeries(series)]));
+  const days = eventDates(start, end).map(date => ({
+    date: formatISODate(date),
+    forecast: generateForecast(indexed, date, { bootstrapResamples: 0, distributionSamples: 0, ...options }),
+  }));
+
+  const heatParam = HEAT_PARAMS.find(param => indexed[param]);
+  return {
+    start: formatISODate(from),
+    end: days[days.length - 1].date,
+    days,
+    aggregates: {
+      rain: indexed[RAIN_PARAM] ? rainAggregates(analogueRuns(indexed[RAIN_PARAM], RAIN_PARAM, from, length, windowDays)) : null,
+      heat: heatParam ? heatAggregates(heatParam, analogueRuns(indexed[heatParam], heatParam, from, length, windowDays), days) : null,
+    },
+  };
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { eventLength, eventDates, latestEventEnd, forecastEvent, MAX_EVENT_DAYS, RAINY_DAY_MM } from "./event";
+import { generateForecast, formatISODate } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+// June and July of each year, valued by `value(year, month, day)`.
+const summerSeries = (fromYear, toYear, value) => {
+  const series = {};
+  for (let year = fromYear; year <= toYear; year++) {
+    for (const month of [5, 6]) {
+      for (let day = 1; day <= 30; day++) {
+        series[formatISODate(new Date(year, month, day)).replace(/-/g, "")] = value(year, month, day);
+      }
+    }
+  }
+  return series;
+};
+
+describe("eventDates", () => {
+  it("counts both ends and crosses month boundaries", () => {
+    expect(eventLength("2026-06-29", "2026-07-02")).toBe(4);
+    expect(eventDates("2026-06-29", "2026-07-02").map(formatISODate)).toEqual(["2026-06-29", "2026-06-30", "2026-07-01", "2026-07-02"]);
+    expect(eventLength("2026-07-02", "2026-06-29")).toBe(0);
+    expect(eventLength("2026-07-10", latestEventEnd("2026-07-10"))).toBe(MAX_EVENT_DAYS);
+  });
+});
+
+describe("forecastEvent", () => {
+  it("forecasts each day like the single-day engine", () => {
+    const event = forecastEvent(historical, "2026-07-10", "2026-07-13");
+    expect(event.days.map(day => day.date)).toEqual(["2026-07-10", "2026-07-11", "2026-07-12", "2026-07-13"]);
+    const single = generateForecast(historical, "2026-07-12", { bootstrapResamples: 0 });
+    expect(event.days[2].forecast.T2M.value).toBeCloseTo(single.T2M.value);
+    expect(event.days[2].forecast.T2M.percentiles).toEqual(single.T2M.percentiles);
+    // the strip draws no curves, so they are not worked out per day
+    expect(event.days[2].forecast.T2M.density).toEqual([]);
+  });
+
+  it("forecasts a month-long event on a long baseline quickly", () => {
+    const series = {};
+    for (let day = new Date(1981, 0, 1); day.getFullYear() <= 2025; day.setDate(day.getDate() + 1)) {
+      series[formatISODate(day).replace(/-/g, "")] = 20 + 8 * Math.sin(day.getTime() / 5e9);
+    }
+    const started = performance.now();
+    const event = forecastEvent({ T2M: series, T2M_MAX: series }, "2026-08-01", "2026-08-31", { windowDays: 30 });
+    expect(event.days).toHaveLength(31);
+    expect(performance.now() - started).toBeLessThan(2000);
+  });
+
+  it("scores rain on whole analogue events, not single days", () => {
+    // exactly one rainy day every fifth day of June: a five-day event always
+    // catches one, although each day is rainy only a fifth of the time
+    const rain = summerSeries(2015, 2020, (year, month, day) => (day % 5 === 0 ? 4 : 0));
+    const { aggregates } = forecastEvent({ PRECTOTCORR: rain }, "2026-06-10", "2026-06-14", { windowDays: 3 });
+
+    expect(aggregates.rain.anyRainyProbability).toBe(100);
+    expect(aggregates.rain.expectedRainyDays).toBe(1);
+    expect(aggregates.rain.expectedTotal).toBeCloseTo(4);
+    expect(aggregates.rain.rainyDayThreshold).toBe(RAINY_DAY_MM);
+    expect(aggregates.rain.analogues).toBe(6 * 7);
+    expect(aggregates.heat).toBeNull();
+  });
+
+  it("finds the hottest day and the expected event peak", () => {
+    const heat = summerSeries(2015, 2020, (year, month, day) => 25 + (day === 12 ? 6 : 0));
+    const { aggregates } = forecastEvent({ T2M_MAX: heat }, "2026-06-10", "2026-06-14", { windowDays: 0 });
+
+    expect(aggregates.heat.param).toBe("T2M_MAX");
+    expect(aggregates.heat.hottestDay.date).toBe("2026-06-12");
+    expect(aggregates.heat.expectedPeak).toBeCloseTo(31);
+    expect(aggregates.rain).toBeNull();
+  });
+
+  it("rejects empty and overlong events", () => {
+    expect(() => forecastEvent(historical, "2026-07-10", "2026-07-09")).toThrow();
+    const end = formatISODate(new Date(2026, 6, 10 + MAX_EVENT_DAYS));
+    expect(() => forecastEvent(historical, "2026-07-10", end)).toThrow(/1 to 31 days/);
+  });
+});
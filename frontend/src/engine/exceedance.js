@@ -0,0 +1,64 @@
+// Empirical exceedance probabilities over the seasonal samples of a forecast.
+//
+// A threshold is `{ op, value, upper }` where `op` is one of THRESHOLD_OPS and
+// `upper` is only read for "between" (inclusive on both ends). An optional
+// `unit` records which unit the bounds were entered in.
+
+import { convert } from "./units";
+
+export const THRESHOLD_OPS = [
+  { id: ">", label: "More than" },
+  { id: "<", label: "Less than" },
+  { id: "between", label: "Between" },
+];
+
+// Predicate for a threshold, or null for an unknown `op`.
+export const thresholdMatcher = ({ op, value, upper }) => {
+  switch (op) {
+    case ">": return (x) => x > value;
+    case "<": return (x) => x < value;
+    case "between": {
+      const lo = Math.min(value, upper);
+      const hi = Math.max(value, upper);
+      return (x) => x >= lo && x <= hi;
+    }
+    default: return null;
+  }
+};
+
+export const isValidThreshold = (threshold) =>
+  !!threshold &&
+  Number.isFinite(threshold.value) &&
+  (threshold.op !== "between" || Number.isFinite(threshold.upper)) &&
+  thresholdMatcher(threshold) !== null;
+
+export const exceedanceProbability = (values, threshold) => {
+  if (!isValidThreshold(threshold) || !values || values.length === 0) return null;
+
+  const test = thresholdMatcher(threshold);
+  const count = values.filter(test).length;
+  return {
+    probability: (count / values.length) * 100,
+    count,
+    total: values.length,
+  };
+};
+
+export const describeThreshold = ({ op, value, upper }, unit = "") => {
+  const suffix = unit ? ` ${unit}` : "";
+  if (op === "between") return `between ${value}${suffix} and ${upper}${suffix}`;
+  return `${op === ">" ? "above" : "below"} ${value}${suffix}`;
+};
+
+const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : value);
+
+// Re-expresses a threshold in another unit, rounded so it stays editable.
+export const convertThreshold = (threshold, to, digits = 2) => {
+  if (!threshold.unit || threshold.unit === to) return threshold;
+  return {
+    ...threshold,
+    value: round(convert(threshold.value, threshold.unit, to), digits),
+    upper: round(convert(threshold.upper, threshold.unit, to), digits),
+    unit: to,
+  };
+};
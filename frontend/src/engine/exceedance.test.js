@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { exceedanceProbability, describeThreshold, isValidThreshold, convertThreshold } from "./exceedance";
+import { generateForecast } from "./forecast";
+
+describe("exceedanceProbability", () => {
+  const values = [0, 0, 1, 2, 5, 8, 12, 20];
+
+  it("counts samples strictly above or below the threshold", () => {
+    expect(exceedanceProbability(values, { op: ">", value: 5 })).toEqual({ probability: 37.5, count: 3, total: 8 });
+    expect(exceedanceProbability(values, { op: "<", value: 1 })).toEqual({ probability: 25, count: 2, total: 8 });
+  });
+
+  it("treats between as inclusive and order-independent", () => {
+    expect(exceedanceProbability(values, { op: "between", value: 12, upper: 2 }).count).toBe(4);
+  });
+
+  it("returns null for incomplete thresholds or no samples", () => {
+    expect(exceedanceProbability(values, { op: ">", value: NaN })).toBeNull();
+    expect(exceedanceProbability(values, { op: "between", value: 1 })).toBeNull();
+    expect(exceedanceProbability([], { op: ">", value: 1 })).toBeNull();
+    expect(isValidThreshold({ op: ">=", value: 1 })).toBe(false);
+  });
+
+  it("works on the samples kept by the forecast", () => {
+    const forecast = generateForecast(fixture.properties.parameter, "2026-08-20");
+    const rain = forecast.PRECTOTCORR;
+    expect(rain.sampleValues).toHaveLength(rain.samples);
+
+    const wet = exceedanceProbability(rain.sampleValues, { op: ">", value: 0 });
+    const dry = exceedanceProbability(rain.sampleValues, { op: "<", value: 0.0001 });
+    expect(wet.probability + dry.probability).toBeCloseTo(100);
+  });
+});
+
+describe("describeThreshold", () => {
+  it("reads naturally in reports", () => {
+    expect(describeThreshold({ op: ">", value: 5 }, "mm")).toBe("above 5 mm");
+    expect(describeThreshold({ op: "between", value: 18, upper: 26 }, "°C")).toBe("between 18 °C and 26 °C");
+  });
+});
+
+describe("convertThreshold", () => {
+  it("converts and rounds both bounds", () => {
+    expect(convertThreshold({ op: "between", value: 0, upper: 32, unit: "C" }, "F")).toEqual({ op: "between", value: 32, upper: 89.6, unit: "F" });
+    expect(convertThreshold({ op: ">", value: 5, unit: "mm" }, "in").value).toBe(0.2);
+  });
+});
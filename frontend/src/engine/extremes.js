@@ -0,0 +1,113 @@
+// Tail statistics for one variable around the target date.
+//
+// Works on the screened `{ date, value }` samples of the seasonal window (see
+// selectSeasonalSamples), in whatever unit they are given, so the dashboard can
+// pass display-unit values and thresholds straight through.
+//
+// Return levels come from a Gumbel (EV1) fit to each year's most extreme
+// window value, estimated with L-moments, which behave better than moments on
+// the 5-40 values a baseline gives. The tail follows the threshold: "<" looks
+// at annual minima, everything else at annual maxima.
+
+import { thresholdMatcher, isValidThreshold } from "./exceedance";
+import { parseTargetDate } from "./forecast";
+import { seasonYear } from "./trend";
+
+export const RETURN_PERIODS = [2, 5, 10, 25, 50];
+
+// Fewer years than this give return levels too noisy to act on.
+export const RELIABLE_YEARS = 20;
+
+const EULER_GAMMA = 0.5772156649;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const fitGumbel = (values) => {
+  if (values.length < 3) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const b0 = sorted.reduce((a, b) => a + b, 0) / n;
+  const b1 = sorted.reduce((sum, x, i) => sum + (i / (n - 1)) * x, 0) / n;
+  const l2 = 2 * b1 - b0;
+  if (!(l2 > 0)) return null;
+
+  const scale = l2 / Math.LN2;
+  return { location: b0 - EULER_GAMMA * scale, scale };
+};
+
+// Value exceeded on average once every `period` years.
+export const gumbelReturnLevel = ({ location, scale }, period) =>
+  location - scale * Math.log(-Math.log(1 - 1 / period));
+
+const longestRun = (dates) => {
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  [...dates].sort((a, b) => a - b).forEach(date => {
+    run = previous && Math.round((date - previous) / DAY_MS) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = date;
+  });
+  return best;
+};
+
+export const analyzeExtremes = (samples, targetDate, { threshold = null } = {}) => {
+  if (!samples.length) return null;
+  const target = parseTargetDate(targetDate);
+  const tail = threshold?.op === "<" ? "low" : "high";
+
+  const recordHigh = samples.reduce((best, s) => (s.value > best.value ? s : best));
+  const recordLow = samples.reduce((best, s) => (s.value < best.value ? s : best));
+
+  const byYear = new Map();
+  samples.forEach(s => {
+    const year = seasonYear(s.date, target);
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(s);
+  });
+
+  // the first and last years can be cut short by the baseline edges
+  const fullest = Math.max(...[...byYear.values()].map(list => list.length));
+  const blocks = [...byYear.entries()]
+    .filter(([, list]) => list.length >= fullest / 2)
+    .map(([year, list]) => ({
+      year,
+      value: tail === "high" ? Math.max(...list.map(s => s.value)) : Math.min(...list.map(s => s.value)),
+    }))
+    .sort((a, b) => a.year - b.year);
+
+  let exceedance = null;
+  if (isValidThreshold(threshold)) {
+    const test = thresholdMatcher(threshold);
+    const hits = samples.filter(s => test(s.value));
+    exceedance = {
+      days: hits.length,
+      perYear: hits.length / byYear.size,
+      yearsAffected: new Set(hits.map(s => seasonYear(s.date, target))).size,
+      longestRun: longestRun(hits.map(s => s.date)),
+    };
+  }
+
+  // minima are fitted as negated maxima
+  const sign = tail === "high" ? 1 : -1;
+  const fit = fitGumbel(blocks.map(b => sign * b.value));
+  const returnLevels = fit
+    ? RETURN_PERIODS.map(period => ({
+      period,
+      value: sign * gumbelReturnLevel(fit, period),
+      extrapolated: period > blocks.length,
+    }))
+    : [];
+
+  return {
+    tail,
+    years: byYear.size,
+    days: samples.length,
+    recordHigh,
+    recordLow,
+    exceedance,
+    blocks,
+    fit: fit && { ...fit, sign },
+    returnLevels,
+    reliable: blocks.length >= RELIABLE_YEARS,
+  };
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { fitGumbel, gumbelReturnLevel, analyzeExtremes, RETURN_PERIODS } from "./extremes";
+import { selectSeasonalSamples, parseTargetDate } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+// Evenly spaced Gumbel quantiles, so the fit should land close to the truth.
+const gumbelSample = (location, scale, n) =>
+  Array.from({ length: n }, (_, i) => location - scale * Math.log(-Math.log((i + 0.5) / n)));
+
+describe("fitGumbel", () => {
+  it("recovers location and scale", () => {
+    const fit = fitGumbel(gumbelSample(40, 8, 200));
+    expect(fit.location).toBeCloseTo(40, 0);
+    expect(fit.scale).toBeCloseTo(8, 0);
+  });
+
+  it("gives increasing return levels", () => {
+    const fit = { location: 40, scale: 8 };
+    expect(gumbelReturnLevel(fit, 2)).toBeCloseTo(40 - 8 * Math.log(-Math.log(0.5)));
+    expect(gumbelReturnLevel(fit, 10)).toBeGreaterThan(gumbelReturnLevel(fit, 5));
+  });
+
+  it("needs a spread of at least three values", () => {
+    expect(fitGumbel([1, 2])).toBeNull();
+    expect(fitGumbel([3, 3, 3])).toBeNull();
+  });
+});
+
+describe("analyzeExtremes", () => {
+  it("finds records, threshold days and annual maxima in the window", () => {
+    const samples = selectSeasonalSamples(historical.PRECTOTCORR, "2026-07-15");
+    const result = analyzeExtremes(samples, "2026-07-15", { threshold: { op: ">", value: 10 } });
+
+    expect(result.tail).toBe("high");
+    expect(result.years).toBe(5);
+    expect(result.recordHigh.value).toBe(Math.max(...samples.map(s => s.value)));
+    expect(result.blocks.map(b => b.year)).toEqual([2020, 2021, 2022, 2023, 2024]);
+    expect(result.exceedance.days).toBe(samples.filter(s => s.value > 10).length);
+    expect(result.returnLevels.map(r => r.period)).toEqual(RETURN_PERIODS);
+    expect(result.returnLevels.find(r => r.period === 10).extrapolated).toBe(true);
+    expect(result.reliable).toBe(false);
+  });
+
+  it("uses annual minima for a below-threshold question", () => {
+    const samples = selectSeasonalSamples(historical.T2M, "2026-01-10");
+    const result = analyzeExtremes(samples, "2026-01-10", { threshold: { op: "<", value: 18 } });
+    const levels = result.returnLevels.map(r => r.value);
+    expect(result.tail).toBe("low");
+    expect(levels[1]).toBeLessThan(levels[0]);
+    result.blocks.forEach(b => expect(b.value).toBeGreaterThanOrEqual(result.recordLow.value));
+  });
+
+  it("keeps New Year windows together in the target's year", () => {
+    const samples = [
+      { date: parseTargetDate("2021-12-29"), value: 1 },
+      { date: parseTargetDate("2022-01-02"), value: 5 },
+      { date: parseTargetDate("2022-01-03"), value: 6 },
+    ];
+    const result = analyzeExtremes(samples, "2026-12-31", { threshold: { op: ">", value: 4 } });
+    expect(result.blocks).toEqual([{ year: 2021, value: 6 }]);
+    expect(result.exceedance.longestRun).toBe(2);
+  });
+});
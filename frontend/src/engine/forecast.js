@@ -0,0 +1,303 @@
+// Climatology forecasting engine.
+//
+// Pure functions over a NASA POWER daily point payload (`properties.parameter`),
+// i.e. an object of the form `{ [PARAM]: { YYYYMMDD: value } }`. Nothing in
+// here touches React, the DOM or the network so the dashboard, the exports and
+// tests all share the same numbers.
+
+import {
+  getDistributionSpec,
+  computePercentiles,
+  histogram,
+  kernelDensity,
+  fitMixedGamma,
+  mixedGammaCurve,
+} from "./distribution";
+import { getPlausibleRange, isUsableValue, screenSamples } from "./quality";
+import { aggregationFor } from "./variables";
+import { groupBySeasonYear, summarizeGroups, fitTrend, adjustForTrend, adjustedMean, bootstrapInterval, BOOTSTRAP_OPTIONS, MIN_TREND_YEARS } from "./trend";
+
+export const DEFAULT_OPTIONS = {
+  windowDays: 7,
+  distributionSamples: 50,
+  // year resamples for the interval around the expected value; 0 skips it
+  bootstrapResamples: BOOTSTRAP_OPTIONS.resamples,
+};
+
+export const parsePowerDate = (key) =>
+  new Date(Number(key.substring(0, 4)), Number(key.substring(4, 6)) - 1, Number(key.substring(6, 8)));
+
+// Accepts a Date or an ISO `YYYY-MM-DD` string. Date-only strings are read as
+// local calendar dates so the target day does not shift with the timezone.
+export const parseTargetDate = (targetDate) => {
+  if (targetDate instanceof Date) return targetDate;
+  const [year, month, day] = String(targetDate).split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const formatISODate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Parses a `{ YYYYMMDD: value }` series into `{ date, value }` items. Already
+// prepared arrays pass straight through, so callers forecasting many dates
+// from one series only parse it once. Missing values are kept so quality
+// screening (see quality.js) can count them.
+export const prepareSeries = (series) =>
+  Array.isArray(series)
+    ? series
+    : series.byDay
+      ? series.items
+      : Object.entries(series).map(([key, value]) => ({ date: parsePowerDate(key), value: value === null ? null : Number(value) }));
+
+export const generateNormalDistribution = (mean, stdDev, samples = DEFAULT_OPTIONS.distributionSamples) => {
+  const data = [];
+  const range = stdDev * 4;
+  const step = range / samples;
+
+  for (let i = 0; i < samples; i++) {
+    const x = mean - range / 2 + i * step;
+    const exponent = -Math.pow(x - mean, 2) / (2 * Math.pow(stdDev, 2));
+    const y = (1 / (stdDev * Math.sqrt(2 * Math.PI))) * Math.exp(exponent);
+    data.push({ value: x, probability: y * 100 });
+  }
+  return data;
+};
+
+// One point per year: the target month's daily values summarised with the
+// variable's aggregation rule (mean unless variables.js says otherwise).
+export const generateTimeSeriesData = (historicalData, targetDate) => {
+  const seriesData = {};
+  const targetMonth = parseTargetDate(targetDate).getMonth();
+
+  Object.keys(historicalData).forEach(param => {
+    const yearlyData = {};
+    const range = getPlausibleRange(param);
+    prepareSeries(historicalData[param])
+      .filter(item => item.date.getMonth() === targetMonth && isUsableValue(item.value, range))
+      .forEach(item => {
+        const year = item.date.getFullYear();
+        if (!yearlyData[year]) yearlyData[year] = [];
+        yearlyData[year].push(item.value);
+      });
+
+    const { reduce } = aggregationFor(param);
+    seriesData[param] = Object.keys(yearlyData)
+      .map(year => ({
+        year: parseInt(year),
+        value: reduce(yearlyData[year]),
+      }))
+      .sort((a, b) => a.year - b.year);
+  });
+
+  return seriesData;
+};
+
+export const WINDOW_OPTIONS = [3, 7, 10, 15, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// The target's calendar day in a given year. 29 February falls back to the
+// 28th in common years.
+const anniversary = (target, year) =>
+  Date.UTC(year, target.getMonth(), Math.min(target.getDate(), daysInMonth(year, target.getMonth())));
+
+// Distance in days between `date` and the nearest occurrence of the target's
+// calendar day, so 31 December and 2 January are 2 days apart.
+export const seasonalDistance = (date, target) => {
+  const time = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const year = date.getFullYear();
+  return Math.min(
+    ...[year - 1, year, year + 1].map(y => Math.abs(Math.round((time - anniversary(target, y)) / DAY_MS)))
+  );
+};
+
+// Calendar-day slots 0-365 on a leap-year calendar, so 29 February has one.
+const DAY_SLOTS = 366;
+const SLOT_OFFSETS = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+
+const daySlot = (date) => SLOT_OFFSETS[date.getMonth()] + date.getDate() - 1;
+
+const utcDay = (date) => Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+
+const seriesIndexes = new WeakMap();
+
+// `{ items, byDay }`: the prepared items of a series and the same items
+// bucketed by calendar day as `{ item, year, day }` entries (`day` counting
+// days since 1970). Built once per series object (raw payload or prepared
+// array) and kept while that object lives, so forecasting many dates from one
+// series, as the date finder, event strip and backtest do, cuts each window
+// from a few dozen buckets instead of scanning every day again.
+export const indexSeries = (series) => {
+  if (series.byDay) return series;
+  if (!seriesIndexes.has(series)) {
+    const items = prepareSeries(series);
+    const byDay = Array.from({ length: DAY_SLOTS }, () => []);
+    items.forEach(item => byDay[daySlot(item.date)].push({ item, year: item.date.getFullYear(), day: utcDay(item.date) }));
+    seriesIndexes.set(series, { items, byDay });
+  }
+  return seriesIndexes.get(series);
+};
+
+// Same rule as seasonalDistance, with the target's anniversaries worked out
+// once per year rather than once per day.
+const seasonalWindow = (series, targetDate, options) => {
+  const windowDays = options.windowDays ?? DEFAULT_OPTIONS.windowDays;
+  const target = parseTargetDate(targetDate);
+  const { byDay } = indexSeries(series);
+
+  const anniversaries = new Map();
+  const anniversaryDay = (year) => {
+    if (!anniversaries.has(year)) anniversaries.set(year, Math.round(anniversary(target, year) / DAY_MS));
+    return anniversaries.get(year);
+  };
+  const distance = ({ year, day }) =>
+    Math.min(Math.abs(day - anniversaryDay(year - 1)), Math.abs(day - anniversaryDay(year)), Math.abs(day - anniversaryDay(year + 1)));
+
+  // slot distances can be a day or two off the real ones around 29 February,
+  // so take a little more and let the exact distance decide
+  const reach = windowDays + 2;
+  const candidates = 2 * reach + 1 >= DAY_SLOTS
+    ? byDay.flat()
+    : Array.from({ length: 2 * reach + 1 }, (_, i) => byDay[(daySlot(target) - reach + i + DAY_SLOTS) % DAY_SLOTS]).flat();
+
+  return candidates
+    .filter(entry => distance(entry) <= windowDays)
+    .sort((a, b) => a.day - b.day)
+    .map(entry => entry.item);
+};
+
+// Usable days within the window. `options.validRange` additionally drops
+// physically implausible values.
+export const selectSeasonalSamples = (series, targetDate, options = {}) =>
+  screenSamples(seasonalWindow(series, targetDate, options), options.validRange).valid;
+
+// Model curve for the chart: the mixed dry-day/gamma fit for rainfall when
+// there are enough wet days, otherwise a normal curve.
+const modelDistribution = (values, predicted, stdDev, spec, samples) => {
+  if (spec.model === "mixed-gamma") {
+    const fit = fitMixedGamma(values);
+    if (fit && fit.shape) {
+      return { model: "mixed-gamma", fit, curve: mixedGammaCurve(fit, Math.max(...values), samples) };
+    }
+  }
+  return { model: "normal", fit: null, curve: generateNormalDistribution(predicted, stdDev, samples) };
+};
+
+// Additive trend shifts only make sense for unbounded variables; shifting
+// rainfall, wind or humidity would push samples past their physical limits,
+// so those keep their observed values and only report the trend.
+const isDetrendable = (spec) => spec.lower === undefined && spec.upper === undefined;
+
+// The samples a forecast is built from: the usable window days grouped by
+// season year, shifted along the trend when the variable allows it. Anything
+// that scores samples itself (the date finder) starts from here so it agrees
+// with the forecast. Returns `{ quality, groups, detrend, trend, applied,
+// items }`.
+export const seasonalClimatology = (series, targetDate, options = {}) => {
+  const spec = options.distribution ?? { model: "normal" };
+  const { valid, quality } = screenSamples(seasonalWindow(series, targetDate, options), options.validRange);
+  const target = parseTargetDate(targetDate);
+  const detrend = isDetrendable(spec);
+  const groups = groupBySeasonYear(valid, target);
+  const trend = fitTrend(groups);
+  const applied = Boolean(detrend && trend);
+  return {
+    quality,
+    groups,
+    detrend,
+    trend,
+    applied,
+    items: applied ? adjustForTrend(groups, trend, target.getFullYear()) : groups.flatMap(g => g.items),
+  };
+};
+
+// Confidence score, 0-100: the share of the typical day-to-day spread (±2σ)
+// that is not taken up by uncertainty about the expected value itself,
+//   100 × (1 − width of the 95% bootstrap interval / 4σ)
+// clamped to 0-100. It measures how well the baseline pins down the
+// climatology, not the chance the day lands near the value, and it does not
+// blow up when the mean is near zero. Without an interval (a single year of
+// data) the score is 0.
+export const confidenceScore = (interval, stdDev) => {
+  if (!interval) return 0;
+  if (stdDev === 0) return 100;
+  return Math.max(0, Math.min(100, 100 * (1 - (interval.upper - interval.lower) / (4 * stdDev))));
+};
+
+// Report levels for the confidence score, read as the width of the 95%
+// interval against the day-to-day σ: High when the interval is under σ/2 wide,
+// Medium when it is under σ, Low otherwise.
+export const CONFIDENCE_LEVELS = [
+  { min: 87.5, level: "High", category: "High Confidence" },
+  { min: 75, level: "Medium", category: "Moderate Confidence" },
+  { min: 0, level: "Low", category: "Lower Confidence" },
+];
+
+export const confidenceLevel = (score) => CONFIDENCE_LEVELS.find(entry => score >= entry.min) ?? CONFIDENCE_LEVELS[CONFIDENCE_LEVELS.length - 1];
+
+// Plain-language description of the model for report methodology sections.
+export const METHODOLOGY = {
+  algorithm: `Equal-weight mean of every usable day within the seasonal window. Unbounded variables (temperatures, pressure) are first shifted to the target year along a Theil-Sen trend of the yearly window means (needs ${MIN_TREND_YEARS}+ years); bounded variables (rain, wind, humidity, cloud) are used as observed.`,
+  interval: `95% interval for the expected value from ${BOOTSTRAP_OPTIONS.resamples} bootstrap resamples of whole years (drawn as each year's window total and mean), refitting the trend each time.`,
+  confidence: "Confidence = 100 × (1 − width of the 95% interval / 4σ), clamped to 0-100, where σ is the day-to-day standard deviation in the window. It measures how firmly the baseline pins down the climatological expectation, not the chance that the day lands on the value. Reports call 87.5 and above High (interval under σ/2 wide), 75 and above Medium (under σ) and anything lower Low.",
+};
+
+// Expected value for the target day: the mean of every usable window day,
+// each year equally weighted by construction, after shifting unbounded
+// variables along their robust trend to the target year.
+export const forecastSeries = (series, targetDate, options = {}) => {
+  const { distributionSamples, bootstrapResamples, distribution: spec = { model: "normal" } } = { ...DEFAULT_OPTIONS, ...options };
+  const { quality, groups, detrend, trend, applied, items } = seasonalClimatology(series, targetDate, options);
+  if (items.length === 0) return null;
+
+  const targetYear = parseTargetDate(targetDate).getFullYear();
+
+  const summaries = summarizeGroups(groups);
+  const sampleValues = items.map(item => item.value);
+  // the mean of `sampleValues`, worked out the way the bootstrap works it out
+  const predicted = adjustedMean(summaries, applied ? trend : null, targetYear);
+  const stdDev = Math.sqrt(sampleValues.reduce((sum, v) => sum + Math.pow(v - predicted, 2), 0) / sampleValues.length);
+  // resampling per-year summaries gives the same estimate as resampling the
+  // years' samples, without re-adjusting every sample each time
+  const interval = bootstrapInterval(
+    summaries,
+    (resampled) => adjustedMean(resampled, detrend ? fitTrend(resampled) : null, targetYear),
+    { resamples: bootstrapResamples }
+  );
+  const model = modelDistribution(sampleValues, predicted, stdDev, spec, distributionSamples);
+
+  return {
+    value: predicted,
+    confidence: confidenceScore(interval, stdDev),
+    interval,
+    trend: trend && { slope: trend.slope, years: trend.years, applied },
+    range: { min: predicted - stdDev, max: predicted + stdDev },
+    stdDev: stdDev,
+    samples: items.length,
+    sampleValues,
+    percentiles: computePercentiles(sampleValues),
+    histogram: histogram(sampleValues),
+    density: kernelDensity(sampleValues, { lower: spec.lower, upper: spec.upper, points: distributionSamples }),
+    distributionModel: model.model,
+    rainModel: model.fit,
+    distribution: model.curve,
+    quality,
+  };
+};
+
+export const generateForecast = (historicalData, targetDate, options = {}) => {
+  const predictions = {};
+
+  Object.keys(historicalData).forEach(param => {
+    const prediction = forecastSeries(historicalData[param], targetDate, {
+      distribution: getDistributionSpec(param),
+      validRange: getPlausibleRange(param),
+      ...options,
+    });
+    if (prediction) predictions[param] = prediction;
+  });
+
+  return predictions;
+};
@@ -0,0 +1,143 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import {
+  generateForecast,
+  generateTimeSeriesData,
+  generateNormalDistribution,
+  selectSeasonalSamples,
+  seasonalDistance,
+  parseTargetDate,
+  prepareSeries,
+  indexSeries,
+} from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+describe("parseTargetDate", () => {
+  it("reads ISO dates as local calendar days", () => {
+    const date = parseTargetDate("2026-03-02");
+    expect(date.getFullYear()).toBe(2026);
+    expect(date.getMonth()).toBe(2);
+    expect(date.getDate()).toBe(2);
+  });
+});
+
+describe("generateNormalDistribution", () => {
+  it("spans ±2σ around the mean and peaks in the middle", () => {
+    const dist = generateNormalDistribution(10, 2, 50);
+    expect(dist).toHaveLength(50);
+    expect(dist[0].value).toBeCloseTo(6);
+    const peak = dist.reduce((best, p) => (p.probability > best.probability ? p : best));
+    expect(peak.value).toBeCloseTo(10);
+  });
+});
+
+describe("seasonalDistance", () => {
+  it("measures day-of-year distance across month and year boundaries", () => {
+    const target = parseTargetDate("2026-12-31");
+    expect(seasonalDistance(new Date(2023, 0, 2), target)).toBe(2);
+    expect(seasonalDistance(new Date(2023, 11, 24), target)).toBe(7);
+    expect(seasonalDistance(parseTargetDate("2022-02-27"), parseTargetDate("2026-03-02"))).toBe(3);
+  });
+
+  it("maps 29 February onto 28 February in common years", () => {
+    const target = parseTargetDate("2028-02-29");
+    expect(seasonalDistance(new Date(2023, 1, 28), target)).toBe(0);
+    expect(seasonalDistance(new Date(2024, 1, 29), target)).toBe(0);
+  });
+});
+
+describe("selectSeasonalSamples", () => {
+  it("keeps days within the window of the target day", () => {
+    const samples = selectSeasonalSamples(historical.T2M, "2026-07-15");
+    // 15 days (8th..22nd) in each of the 5 fixture years
+    expect(samples).toHaveLength(75);
+    samples.forEach(item => {
+      expect(item.date.getMonth()).toBe(6);
+      expect(Math.abs(item.date.getDate() - 15)).toBeLessThanOrEqual(7);
+    });
+  });
+
+  it("reaches into the previous month near its start", () => {
+    const samples = selectSeasonalSamples(historical.T2M, "2026-03-02");
+    expect(samples.some(item => item.date.getMonth() === 1)).toBe(true);
+    // the window is measured in days, so leap years still give 15 per year
+    expect(samples).toHaveLength(75);
+  });
+
+  it("wraps around the end of the year", () => {
+    const samples = selectSeasonalSamples(historical.T2M, "2026-12-31");
+    expect(samples.filter(item => item.date.getMonth() === 0)).toHaveLength(35);
+    expect(samples).toHaveLength(75);
+  });
+
+  it("honours the window width option", () => {
+    expect(selectSeasonalSamples(historical.T2M, "2026-07-15", { windowDays: 3 })).toHaveLength(35);
+    expect(selectSeasonalSamples(historical.T2M, "2026-07-15", { windowDays: 30 })).toHaveLength(305);
+  });
+
+  it("cuts the same window from the calendar-day index as a full scan", () => {
+    const items = prepareSeries(historical.T2M);
+    ["2028-02-29", "2027-02-28", "2026-03-01", "2026-12-31", "2026-01-01", "2026-07-15"].forEach(targetDate => {
+      [0, 7, 30].forEach(windowDays => {
+        const scanned = items.filter(item => item.value > -999 && seasonalDistance(item.date, parseTargetDate(targetDate)) <= windowDays);
+        expect(selectSeasonalSamples(indexSeries(historical.T2M), targetDate, { windowDays })).toEqual(scanned);
+      });
+    });
+  });
+
+  it("builds the index once per series", () => {
+    expect(indexSeries(historical.T2M)).toBe(indexSeries(historical.T2M));
+    expect(indexSeries(indexSeries(historical.T2M))).toBe(indexSeries(historical.T2M));
+  });
+});
+
+describe("generateForecast", () => {
+  const forecast = generateForecast(historical, "2026-07-15");
+
+  it("produces a prediction for every parameter in the payload", () => {
+    expect(Object.keys(forecast).sort()).toEqual(Object.keys(historical).sort());
+    expect(Object.keys(forecast)).toHaveLength(14);
+  });
+
+  it("returns the prediction shape the dashboard renders", () => {
+    const t2m = forecast.T2M;
+    expect(t2m.samples).toBe(75);
+    expect(t2m.range.min).toBeCloseTo(t2m.value - t2m.stdDev);
+    expect(t2m.range.max).toBeCloseTo(t2m.value + t2m.stdDev);
+    expect(t2m.confidence).toBeGreaterThanOrEqual(0);
+    expect(t2m.confidence).toBeLessThanOrEqual(100);
+    expect(t2m.distribution).toHaveLength(50);
+  });
+
+  it("stays within the physical range of the fixture", () => {
+    expect(forecast.T2M.value).toBeGreaterThan(15);
+    expect(forecast.T2M.value).toBeLessThan(35);
+    expect(forecast.PS.value).toBeGreaterThan(85);
+    expect(forecast.PS.value).toBeLessThan(95);
+    expect(forecast.PRECTOTCORR.value).toBeGreaterThanOrEqual(0);
+  });
+
+  it("skips parameters with no samples in the window", () => {
+    const result = generateForecast({ T2M: { "20240101": 20 } }, "2026-07-15");
+    expect(result).toEqual({});
+  });
+
+  it("ignores non-numeric values", () => {
+    const result = generateForecast({ T2M: { "20240714": 20, "20240715": NaN, "20240716": 22 } }, "2026-07-15");
+    expect(result.T2M.samples).toBe(2);
+  });
+});
+
+describe("generateTimeSeriesData", () => {
+  it("averages the target month for each year", () => {
+    const series = generateTimeSeriesData(historical, "2026-07-15");
+    expect(series.T2M.map(point => point.year)).toEqual([2020, 2021, 2022, 2023, 2024]);
+
+    const july2022 = Object.entries(historical.T2M)
+      .filter(([key]) => key.startsWith("202207"))
+      .map(([, value]) => value);
+    const expected = july2022.reduce((a, b) => a + b, 0) / july2022.length;
+    expect(series.T2M[2].value).toBeCloseTo(expected);
+  });
+});
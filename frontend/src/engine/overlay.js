@@ -0,0 +1,80 @@
+// Climatology map layer: which POWER grid cells to sample for the visible map
+// and how to colour them.
+//
+// Every sampled cell costs one request per uncached baseline, so a view
+// holding more than MAX_OVERLAY_CELLS grid cells is drawn in coarser blocks of
+// k × k cells, each sampled at its middle cell. k stays odd so block edges
+// fall on cell edges. The grid is the one engine/area.js samples areas on.
+
+import { GRID_LAT_STEP, GRID_LON_STEP } from "./area";
+
+export const MAX_OVERLAY_CELLS = 36;
+
+// Low to high, blue through yellow to red (ColorBrewer RdYlBu, reversed).
+export const OVERLAY_RAMP = ["#2c7bb6", "#abd9e9", "#ffffbf", "#fdae61", "#d7191c"];
+
+const clamp = (value, lo, hi) => Math.min(hi, Math.max(lo, value));
+
+const round4 = (value) => Number(value.toFixed(4));
+
+// `bounds` is `{ south, north, west, east }` in degrees. Returns `{ cells,
+// blockSize }` where each cell is `{ lat, lng, bounds: [[s, w], [n, e]] }`,
+// `lat`/`lng` being the grid-cell centre to request.
+export const visibleCells = (bounds, { maxCells = MAX_OVERLAY_CELLS } = {}) => {
+  const south = clamp(bounds.south, -90, 90);
+  const north = clamp(bounds.north, -90, 90);
+  const west = clamp(bounds.west, -180, 180);
+  const east = clamp(bounds.east, -180, 180);
+
+  // block `i` is centred on i × block size and spans half a block either side
+  const rows = (k) => Math.ceil((north + (k * GRID_LAT_STEP) / 2) / (k * GRID_LAT_STEP)) - Math.floor((south + (k * GRID_LAT_STEP) / 2) / (k * GRID_LAT_STEP));
+  const cols = (k) => Math.ceil((east + (k * GRID_LON_STEP) / 2) / (k * GRID_LON_STEP)) - Math.floor((west + (k * GRID_LON_STEP) / 2) / (k * GRID_LON_STEP));
+
+  let blockSize = 1;
+  while (rows(blockSize) * cols(blockSize) > maxCells) blockSize += 2;
+
+  const latStep = blockSize * GRID_LAT_STEP;
+  const lonStep = blockSize * GRID_LON_STEP;
+  const firstRow = Math.floor((south + latStep / 2) / latStep);
+  const firstCol = Math.floor((west + lonStep / 2) / lonStep);
+
+  const cells = [];
+  for (let row = firstRow; row < firstRow + rows(blockSize); row++) {
+    for (let col = firstCol; col < firstCol + cols(blockSize); col++) {
+      const s = row * latStep - latStep / 2;
+      const w = col * lonStep - lonStep / 2;
+      cells.push({
+        lat: round4(clamp(row * latStep, -90, 90)),
+        lng: round4(clamp(col * lonStep, -180, 180)),
+        bounds: [[round4(s), round4(w)], [round4(s + latStep), round4(w + lonStep)]],
+      });
+    }
+  }
+  return { cells, blockSize };
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Colour at `t` in [0, 1] along the ramp, linearly between stops.
+export const rampColor = (t, ramp = OVERLAY_RAMP) => {
+  const position = clamp(Number.isFinite(t) ? t : 0, 0, 1) * (ramp.length - 1);
+  const index = Math.min(Math.floor(position), ramp.length - 2);
+  const from = hexToRgb(ramp[index]);
+  const to = hexToRgb(ramp[index + 1]);
+  const mix = position - index;
+  return `#${from.map((c, i) => Math.round(c + (to[i] - c) * mix).toString(16).padStart(2, "0")).join("")}`;
+};
+
+// Maps values onto the ramp. The domain defaults to the range of `values`;
+// pass one (e.g. [0, 100] for probabilities) to keep colours comparable
+// between views.
+export const colorScale = (values, domain = null) => {
+  const finite = values.filter(Number.isFinite);
+  const [min, max] = domain ?? (finite.length ? [Math.min(...finite), Math.max(...finite)] : [0, 1]);
+  const span = max - min;
+  return {
+    min,
+    max,
+    colorOf: (value) => rampColor(span > 0 ? (value - min) / span : 0.5),
+  };
+};
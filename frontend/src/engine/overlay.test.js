@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { visibleCells, rampColor, colorScale, OVERLAY_RAMP } from "./overlay";
+import { GRID_LAT_STEP, GRID_LON_STEP } from "./area";
+
+describe("visibleCells", () => {
+  it("covers a small view with one sample per grid cell", () => {
+    const { cells, blockSize } = visibleCells({ south: 12.6, north: 13.4, west: 77.2, east: 78.1 });
+    expect(blockSize).toBe(1);
+    // rows at 12.5, 13, 13.5 and columns at 77.5, 78.125
+    expect(cells).toHaveLength(6);
+    expect(cells[0]).toEqual({ lat: 12.5, lng: 77.5, bounds: [[12.25, 77.1875], [12.75, 77.8125]] });
+    cells.forEach(cell => {
+      expect((cell.lat / GRID_LAT_STEP) % 1).toBe(0);
+      expect((cell.lng / GRID_LON_STEP) % 1).toBe(0);
+    });
+  });
+
+  it("switches to coarser odd-sized blocks for wide views", () => {
+    const { cells, blockSize } = visibleCells({ south: 5, north: 25, west: 65, east: 90 }, { maxCells: 36 });
+    expect(blockSize % 2).toBe(1);
+    expect(blockSize).toBeGreaterThan(1);
+    expect(cells.length).toBeLessThanOrEqual(36);
+    const [[s, w], [n, e]] = cells[0].bounds;
+    expect(n - s).toBeCloseTo(blockSize * GRID_LAT_STEP);
+    expect(e - w).toBeCloseTo(blockSize * GRID_LON_STEP);
+    expect(cells[0].lat).toBeCloseTo((s + n) / 2);
+  });
+});
+
+describe("colours", () => {
+  it("runs along the ramp", () => {
+    expect(rampColor(0)).toBe(OVERLAY_RAMP[0]);
+    expect(rampColor(1)).toBe(OVERLAY_RAMP[OVERLAY_RAMP.length - 1]);
+    expect(rampColor(0.5)).toBe(OVERLAY_RAMP[2]);
+    expect(rampColor(2)).toBe(rampColor(1));
+  });
+
+  it("scales to the values unless given a domain", () => {
+    const scale = colorScale([10, 20, 30]);
+    expect([scale.min, scale.max]).toEqual([10, 30]);
+    expect(scale.colorOf(10)).toBe(OVERLAY_RAMP[0]);
+    expect(colorScale([10, 20], [0, 100]).colorOf(100)).toBe(OVERLAY_RAMP[4]);
+    expect(colorScale([5, 5]).colorOf(5)).toBe(OVERLAY_RAMP[2]);
+  });
+});
@@ -0,0 +1,51 @@
+// Data-quality screening for POWER daily series.
+//
+// POWER marks days it has no estimate for with the fill value -999 (and the
+// JSON can carry null/NaN after merging). Those days are "missing". Values that
+// parse fine but are physically implausible for the parameter, e.g. negative
+// rainfall, are "outliers". Both are removed before any statistics are taken
+// and counted so the dashboard can say how much of the window was usable.
+
+import { VARIABLES } from "./variables";
+
+export const POWER_FILL_VALUE = -999;
+
+// Generous physical limits in canonical units (`plausible` in variables.js);
+// anything outside is an error in the source rather than weather.
+export const PLAUSIBLE_RANGES = Object.fromEntries(VARIABLES.map(v => [v.param, v.plausible]));
+
+export const getPlausibleRange = (param) => PLAUSIBLE_RANGES[param] || null;
+
+export const isMissingValue = (value) =>
+  value === null || value === undefined || !Number.isFinite(value) || value <= POWER_FILL_VALUE;
+
+const isOutlier = (value, range) => Boolean(range) && (value < range[0] || value > range[1]);
+
+export const isUsableValue = (value, range = null) => !isMissingValue(value) && !isOutlier(value, range);
+
+// Splits `{ date, value }` items into usable ones and a quality summary.
+export const screenSamples = (items, range = null) => {
+  const valid = [];
+  let missing = 0;
+  let outliers = 0;
+
+  items.forEach(item => {
+    if (isMissingValue(item.value)) missing += 1;
+    else if (isOutlier(item.value, range)) outliers += 1;
+    else valid.push(item);
+  });
+
+  return {
+    valid,
+    quality: {
+      days: items.length,
+      usable: valid.length,
+      missing,
+      outliers,
+      coverage: items.length ? (valid.length / items.length) * 100 : 0,
+    },
+  };
+};
+
+export const describeQuality = ({ coverage, missing, outliers }) =>
+  `${coverage.toFixed(1)}% coverage, ${missing} missing day${missing === 1 ? "" : "s"}, ${outliers} outlier${outliers === 1 ? "" : "s"} removed`;
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { POWER_FILL_VALUE, isMissingValue, screenSamples, describeQuality } from "./quality";
+import { generateForecast, generateTimeSeriesData } from "./forecast";
+
+const historical = fixture.properties.parameter;
+
+// Copy of the fixture T2M series with fill values and a bogus reading in the
+// 8th-22nd July window of 2022.
+const withGaps = () => {
+  const series = { ...historical.T2M };
+  ["20220710", "20220711", "20220712"].forEach(key => { series[key] = POWER_FILL_VALUE; });
+  series["20220713"] = 412.5;
+  return series;
+};
+
+describe("isMissingValue", () => {
+  it("treats fill values, null and NaN as missing", () => {
+    expect(isMissingValue(POWER_FILL_VALUE)).toBe(true);
+    expect(isMissingValue(null)).toBe(true);
+    expect(isMissingValue(NaN)).toBe(true);
+    expect(isMissingValue(0)).toBe(false);
+    expect(isMissingValue(-40)).toBe(false);
+  });
+});
+
+describe("screenSamples", () => {
+  it("counts missing days and out-of-range values separately", () => {
+    const items = [-999, 12, null, 80, 20].map(value => ({ value }));
+    const { valid, quality } = screenSamples(items, [-90, 60]);
+    expect(valid.map(item => item.value)).toEqual([12, 20]);
+    expect(quality).toMatchObject({ days: 5, usable: 2, missing: 2, outliers: 1 });
+    expect(quality.coverage).toBeCloseTo(40);
+    expect(describeQuality(quality)).toBe("40.0% coverage, 2 missing days, 1 outlier removed");
+  });
+});
+
+describe("forecast quality", () => {
+  it("keeps fill values out of the forecast and reports them", () => {
+    const clean = generateForecast({ T2M: historical.T2M }, "2026-07-15").T2M;
+    const gappy = generateForecast({ T2M: withGaps() }, "2026-07-15").T2M;
+
+    expect(gappy.samples).toBe(clean.samples - 4);
+    expect(Math.abs(gappy.value - clean.value)).toBeLessThan(1);
+    expect(Math.min(...gappy.sampleValues)).toBeGreaterThan(0);
+    expect(gappy.quality).toMatchObject({ days: 75, missing: 3, outliers: 1 });
+    expect(clean.quality.coverage).toBe(100);
+  });
+
+  it("leaves fill values out of the monthly trend", () => {
+    const trend = generateTimeSeriesData({ T2M: withGaps() }, "2026-07-15").T2M;
+    trend.forEach(point => expect(point.value).toBeGreaterThan(15));
+    expect(trend.find(point => point.year === 2022).value).toBeLessThan(40);
+  });
+});
@@ -0,0 +1,110 @@
+// Status rules: one declarative table per variable drives the dashboard badge,
+// the written implications and the PDF colours.
+//
+// A rule set is plain JSON so teams can load their own profile at runtime:
+//
+//   {
+//     "name": "Construction site",
+//     "variables": {
+//       "wind": { "bands": [
+//         { "below": 8, "severity": "good", "label": "Crane work OK", "advice": "Winds around {value}." },
+//         { "severity": "danger", "label": "Stop lifting operations" }
+//       ] }
+//     }
+//   }
+//
+// Band edges (`below`) are in canonical units (see engine/units.js) and must
+// increase; the last band is open-ended. `{value}` in advice is replaced with
+// the forecast value in display units. Variables a custom set leaves out keep
+// the default bands, which live with each variable in engine/variables.js.
+
+import { VARIABLES } from "./variables";
+
+export const SEVERITIES = {
+  good: { badge: "bg-green-500/20 text-green-400 border-green-500/30", rgb: [16, 185, 129] },
+  fair: { badge: "bg-emerald-500/20 text-emerald-400 border-emerald-500/30", rgb: [34, 197, 94] },
+  caution: { badge: "bg-yellow-500/20 text-yellow-400 border-yellow-500/30", rgb: [234, 179, 8] },
+  danger: { badge: "bg-red-500/20 text-red-400 border-red-500/30", rgb: [239, 68, 68] },
+  info: { badge: "bg-blue-500/20 text-blue-400 border-blue-500/30", rgb: [59, 130, 246] },
+  unknown: { badge: "bg-gray-500/20 text-gray-400 border-gray-500/30", rgb: [107, 114, 128] },
+};
+
+const FALLBACK_RULE = {
+  severity: "unknown",
+  label: "Conditions require interpretation",
+  advice: "Predicted value: {value}. Refer to local meteorological standards for interpretation of this parameter in your region.",
+};
+
+export const DEFAULT_RULES = {
+  name: "General",
+  variables: Object.fromEntries(VARIABLES.map(v => [v.id, v.status])),
+};
+
+export const statusBand = (rules, varId, value) => {
+  const bands = rules.variables[varId]?.bands;
+  if (!bands || !Number.isFinite(value)) return -1;
+  const band = bands.findIndex(b => b.below === undefined || value < b.below);
+  return band === -1 ? bands.length - 1 : band;
+};
+
+// `value` is canonical and picks the band; `shown` is the display-unit text
+// substituted into the advice.
+export const evaluateStatus = (rules, varId, value, shown = "") => {
+  const band = statusBand(rules, varId, value);
+  const rule = band === -1 ? FALLBACK_RULE : rules.variables[varId].bands[band];
+  const severity = SEVERITIES[rule.severity] ? rule.severity : "unknown";
+
+  return {
+    band,
+    severity,
+    label: rule.label,
+    advice: (rule.advice || rule.label).replaceAll("{value}", shown),
+    badge: SEVERITIES[severity].badge,
+    rgb: SEVERITIES[severity].rgb,
+  };
+};
+
+const validateBands = (varId, bands) => {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error(`Rule set: "${varId}" needs a non-empty "bands" list`);
+  }
+  bands.forEach((band, i) => {
+    const last = i === bands.length - 1;
+    if (!last && !Number.isFinite(band.below)) {
+      throw new Error(`Rule set: band ${i + 1} of "${varId}" needs a numeric "below" edge`);
+    }
+    if (i > 0 && Number.isFinite(band.below) && band.below <= bands[i - 1].below) {
+      throw new Error(`Rule set: "below" edges of "${varId}" must increase`);
+    }
+    if (typeof band.label !== "string" || !band.label) {
+      throw new Error(`Rule set: band ${i + 1} of "${varId}" needs a label`);
+    }
+    if (!SEVERITIES[band.severity]) {
+      throw new Error(`Rule set: unknown severity "${band.severity}" in "${varId}" (use ${Object.keys(SEVERITIES).join(", ")})`);
+    }
+  });
+};
+
+// Validates a custom rule set and layers it over `base`. Throws with a message
+// suitable for showing to the user.
+export const mergeRuleSet = (custom, base = DEFAULT_RULES) => {
+  if (!custom || typeof custom !== "object" || typeof custom.variables !== "object") {
+    throw new Error('Rule set: expected an object with a "variables" map');
+  }
+  Object.entries(custom.variables).forEach(([varId, rule]) => validateBands(varId, rule?.bands));
+
+  return {
+    name: custom.name || "Custom",
+    variables: { ...base.variables, ...custom.variables },
+  };
+};
+
+export const parseRuleSet = (text, base = DEFAULT_RULES) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("Rule set: file is not valid JSON");
+  }
+  return mergeRuleSet(json, base);
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_RULES, statusBand, evaluateStatus, mergeRuleSet, parseRuleSet } from "./rules";
+
+describe("statusBand", () => {
+  it("bands values against canonical edges", () => {
+    expect(statusBand(DEFAULT_RULES, "precipitation", 0)).toBe(0);
+    expect(statusBand(DEFAULT_RULES, "precipitation", 10)).toBe(2);
+    expect(statusBand(DEFAULT_RULES, "temperature", 40)).toBe(3);
+  });
+
+  it("reads POWER surface pressure in kPa", () => {
+    expect(statusBand(DEFAULT_RULES, "pressure", 97.5)).toBe(0);
+    expect(statusBand(DEFAULT_RULES, "pressure", 101.3)).toBe(1);
+    expect(statusBand(DEFAULT_RULES, "pressure", 102.5)).toBe(2);
+  });
+
+  it("returns -1 for unknown variables or missing values", () => {
+    expect(statusBand(DEFAULT_RULES, "visibility", 3)).toBe(-1);
+    expect(statusBand(DEFAULT_RULES, "wind", NaN)).toBe(-1);
+  });
+});
+
+describe("evaluateStatus", () => {
+  it("gives badge, advice and PDF colour from the same band", () => {
+    const status = evaluateStatus(DEFAULT_RULES, "wind", 12, "26.8 mph");
+    expect(status.label).toBe("Strong winds - Secure loose objects");
+    expect(status.severity).toBe("caution");
+    expect(status.badge).toContain("yellow");
+    expect(status.rgb).toEqual([234, 179, 8]);
+    expect(status.advice).toContain("(26.8 mph)");
+  });
+
+  it("falls back for variables without rules", () => {
+    const status = evaluateStatus(DEFAULT_RULES, "visibility", 3, "3.0 km");
+    expect(status.severity).toBe("unknown");
+    expect(status.advice).toContain("3.0 km");
+  });
+});
+
+describe("custom rule sets", () => {
+  const wedding = {
+    name: "Outdoor wedding",
+    variables: {
+      precipitation: {
+        bands: [
+          { below: 0.5, severity: "good", label: "Dry - go ahead" },
+          { severity: "danger", label: "Rain likely - book the marquee", advice: "Expect {value} of rain." },
+        ],
+      },
+    },
+  };
+
+  it("overrides only the variables it defines", () => {
+    const rules = mergeRuleSet(wedding);
+    expect(rules.name).toBe("Outdoor wedding");
+    expect(evaluateStatus(rules, "precipitation", 2, "2.0 mm").advice).toBe("Expect 2.0 mm of rain.");
+    expect(evaluateStatus(rules, "precipitation", 0.1).advice).toBe("Dry - go ahead");
+    expect(rules.variables.wind).toBe(DEFAULT_RULES.variables.wind);
+  });
+
+  it("rejects malformed rule sets with a readable message", () => {
+    expect(() => parseRuleSet("{nope")).toThrow("not valid JSON");
+    expect(() => mergeRuleSet({})).toThrow('"variables"');
+    expect(() => mergeRuleSet({ variables: { wind: { bands: [{ severity: "good", label: "a" }, { severity: "bad", label: "b" }] } } }))
+      .toThrow("numeric");
+    expect(() => mergeRuleSet({ variables: { wind: { bands: [{ below: 5, severity: "good", label: "a" }, { below: 3, severity: "good", label: "b" }] } } }))
+      .toThrow("increase");
+    expect(() => mergeRuleSet({ variables: { wind: { bands: [{ severity: "purple", label: "a" }] } } })).toThrow("unknown severity");
+  });
+});
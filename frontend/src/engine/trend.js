@@ -0,0 +1,120 @@
+// Year-to-year structure of the seasonal samples: a robust trend across years
+// and a bootstrap over years for the uncertainty of the expected value.
+//
+// Samples are grouped by "season year" so days in a window that crosses New
+// Year stay with the target day they surround. Resampling whole years rather
+// than single days keeps the strong day-to-day correlation inside a year from
+// making the interval look narrower than it is.
+
+// Below this many years a trend is too easily a couple of unusual seasons.
+export const MIN_TREND_YEARS = 8;
+
+export const BOOTSTRAP_OPTIONS = { resamples: 400, level: 0.95 };
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const seasonYear = (date, target) => {
+  const year = date.getFullYear();
+  if (date.getMonth() === 0 && target.getMonth() === 11) return year - 1;
+  if (date.getMonth() === 11 && target.getMonth() === 0) return year + 1;
+  return year;
+};
+
+// `[{ year, items }]` in year order.
+export const groupBySeasonYear = (items, target) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const year = seasonYear(item.date, target);
+    if (!groups.has(year)) groups.set(year, []);
+    groups.get(year).push(item);
+  });
+  return [...groups.entries()].map(([year, list]) => ({ year, items: list })).sort((a, b) => a.year - b.year);
+};
+
+// `[{ year, count, sum, mean }]`, one per group. Everything the trend and the
+// trend-adjusted mean need, so the bootstrap can work on these instead of
+// touching every sample on every resample.
+export const summarizeGroups = (groups) =>
+  groups.map(({ year, items }) => {
+    const sum = items.reduce((total, item) => total + item.value, 0);
+    return { year, count: items.length, sum, mean: sum / items.length };
+  });
+
+// Theil-Sen estimator: median of pairwise slopes, so one freak year cannot
+// tilt the line the way it would with least squares.
+export const theilSen = (points) => {
+  const slopes = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      if (points[j].x !== points[i].x) slopes.push((points[j].y - points[i].y) / (points[j].x - points[i].x));
+    }
+  }
+  if (!slopes.length) return null;
+  const slope = median(slopes);
+  return { slope, intercept: median(points.map(p => p.y - slope * p.x)) };
+};
+
+// Trend of the yearly window means, in units per year. Takes groups of items
+// or their summaries.
+export const fitTrend = (groups) => {
+  if (new Set(groups.map(g => g.year)).size < MIN_TREND_YEARS) return null;
+  const fit = theilSen(groups.map(g => ({ x: g.year, y: g.mean ?? mean(g.items.map(item => item.value)) })));
+  return fit && { ...fit, years: new Set(groups.map(g => g.year)).size };
+};
+
+// Mean of the samples after shifting them along `trend` (if any) to the target
+// year, from group summaries alone.
+export const adjustedMean = (summaries, trend, targetYear) => {
+  let total = 0;
+  let count = 0;
+  summaries.forEach(({ year, count: n, sum }) => {
+    total += trend ? sum + n * trend.slope * (targetYear - year) : sum;
+    count += n;
+  });
+  return total / count;
+};
+
+// Samples shifted along the trend to the target year, i.e. "this day as it
+// would have been under today's climate".
+export const adjustForTrend = (groups, trend, targetYear) =>
+  groups.flatMap(({ year, items }) =>
+    items.map(item => ({ ...item, value: item.value + trend.slope * (targetYear - year) }))
+  );
+
+// Small deterministic PRNG (mulberry32) so a forecast is reproducible.
+export const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Percentile interval of `estimate(groups)` over year-resampled groups.
+export const bootstrapInterval = (groups, estimate, options = {}) => {
+  const { resamples, level } = { ...BOOTSTRAP_OPTIONS, ...options };
+  if (groups.length < 2 || resamples <= 0) return null;
+
+  const random = seededRandom(options.seed ?? groups.length * 7919);
+  const estimates = [];
+  for (let b = 0; b < resamples; b++) {
+    // resampled years keep their year so the trend can be refitted on them
+    const resampled = groups.map(() => groups[Math.floor(random() * groups.length)]);
+    const value = estimate(resampled);
+    if (Number.isFinite(value)) estimates.push(value);
+  }
+  if (!estimates.length) return null;
+
+  estimates.sort((a, b) => a - b);
+  const at = (p) => estimates[Math.min(estimates.length - 1, Math.max(0, Math.round(p * (estimates.length - 1))))];
+  return { lower: at((1 - level) / 2), upper: at(1 - (1 - level) / 2), level, resamples: estimates.length };
+};
@@ -0,0 +1,132 @@
+import { describe, it, expect } from "vitest";
+import { theilSen, fitTrend, groupBySeasonYear, summarizeGroups, adjustedMean, adjustForTrend, bootstrapInterval, seededRandom, MIN_TREND_YEARS } from "./trend";
+import { forecastSeries, confidenceScore, confidenceLevel, parseTargetDate, formatISODate } from "./forecast";
+
+// Daily series for 1 to 20 July of each year: `level(year)` plus a fixed
+// day-to-day wiggle.
+const julySeries = (fromYear, toYear, level) => {
+  const series = {};
+  for (let year = fromYear; year <= toYear; year++) {
+    for (let day = 1; day <= 20; day++) {
+      const key = formatISODate(new Date(year, 6, day)).replace(/-/g, "");
+      series[key] = level(year) + ((day % 5) - 2);
+    }
+  }
+  return series;
+};
+
+describe("theilSen", () => {
+  it("ignores a single wild point", () => {
+    const points = [1, 2, 3, 4, 5, 6, 7, 8].map(x => ({ x, y: 2 * x + 1 }));
+    points[3].y = 100;
+    const fit = theilSen(points);
+    expect(fit.slope).toBeCloseTo(2);
+    expect(fit.intercept).toBeCloseTo(1);
+  });
+});
+
+describe("fitTrend", () => {
+  const target = parseTargetDate("2026-07-10");
+
+  it("needs enough distinct years", () => {
+    const items = [2018, 2019, 2020].map(year => ({ date: new Date(year, 6, 10), value: year }));
+    expect(fitTrend(groupBySeasonYear(items, target))).toBeNull();
+  });
+
+  it("measures the change per year of the yearly means", () => {
+    const items = Array.from({ length: MIN_TREND_YEARS + 2 }, (_, i) => ({ date: new Date(2010 + i, 6, 10), value: 20 + 0.05 * i }));
+    const trend = fitTrend(groupBySeasonYear(items, target));
+    expect(trend.slope).toBeCloseTo(0.05);
+    expect(trend.years).toBe(MIN_TREND_YEARS + 2);
+  });
+});
+
+describe("group summaries", () => {
+  const groups = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(i => ({
+    year: 2000 + i,
+    items: [{ value: 10 + i }, { value: 12 + i }, { value: 11 + 0.5 * i }],
+  }));
+
+  it("fit the same trend as the items", () => {
+    expect(fitTrend(summarizeGroups(groups))).toEqual(fitTrend(groups));
+  });
+
+  it("give the mean of the trend-adjusted samples", () => {
+    const trend = fitTrend(groups);
+    const adjusted = adjustForTrend(groups, trend, 2026).map(item => item.value);
+    expect(adjustedMean(summarizeGroups(groups), trend, 2026)).toBeCloseTo(adjusted.reduce((a, b) => a + b, 0) / adjusted.length, 10);
+    expect(adjustedMean(summarizeGroups(groups), null, 2026)).toBeCloseTo(groups.flatMap(g => g.items).reduce((sum, item) => sum + item.value, 0) / 30, 10);
+  });
+});
+
+describe("bootstrapInterval", () => {
+  const groups = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(i => ({ year: 2000 + i, items: [{ value: i }] }));
+  const meanOf = (gs) => gs.reduce((sum, g) => sum + g.items[0].value, 0) / gs.length;
+
+  it("brackets the estimate and is reproducible", () => {
+    const a = bootstrapInterval(groups, meanOf);
+    const b = bootstrapInterval(groups, meanOf);
+    expect(a).toEqual(b);
+    expect(a.lower).toBeLessThan(4.5);
+    expect(a.upper).toBeGreaterThan(4.5);
+    expect(a.level).toBe(0.95);
+  });
+
+  it("needs at least two years", () => {
+    expect(bootstrapInterval(groups.slice(0, 1), meanOf)).toBeNull();
+  });
+
+  it("draws uniformly from [0, 1)", () => {
+    const random = seededRandom(42);
+    const draws = Array.from({ length: 1000 }, random);
+    expect(Math.min(...draws)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...draws)).toBeLessThan(1);
+  });
+});
+
+describe("trend-adjusted forecast", () => {
+  it("projects a warming series to the target year", () => {
+    const series = julySeries(2000, 2024, year => 20 + 0.04 * (year - 2000));
+    const forecast = forecastSeries(series, "2026-07-10");
+    // 20 + 0.04 × 26 years
+    expect(forecast.value).toBeCloseTo(21.04, 1);
+    expect(forecast.trend.applied).toBe(true);
+    expect(forecast.trend.slope).toBeCloseTo(0.04);
+    expect(forecast.interval.lower).toBeLessThanOrEqual(forecast.value);
+    expect(forecast.interval.upper).toBeGreaterThanOrEqual(forecast.value);
+  });
+
+  it("leaves bounded variables as observed", () => {
+    const series = julySeries(2000, 2024, year => 10 + 0.2 * (year - 2000));
+    const forecast = forecastSeries(series, "2026-07-10", { distribution: { model: "normal", lower: 0 } });
+    expect(forecast.trend.applied).toBe(false);
+    expect(forecast.value).toBeCloseTo(12.4, 1);
+  });
+
+  it("keeps the confidence score finite for means near zero", () => {
+    const series = julySeries(2000, 2024, () => 0);
+    const forecast = forecastSeries(series, "2026-07-10");
+    expect(Math.abs(forecast.value)).toBeLessThan(0.5);
+    expect(forecast.confidence).toBeGreaterThan(50);
+    expect(forecast.confidence).toBeLessThanOrEqual(100);
+  });
+});
+
+describe("confidenceScore", () => {
+  it("falls as the interval widens relative to the spread", () => {
+    expect(confidenceScore({ lower: -0.5, upper: 0.5 }, 1)).toBeCloseTo(75);
+    expect(confidenceScore({ lower: -2, upper: 2 }, 1)).toBe(0);
+    expect(confidenceScore(null, 1)).toBe(0);
+  });
+});
+
+describe("confidenceLevel", () => {
+  it("buckets the score by interval width in standard deviations", () => {
+    // an interval σ/4 wide, σ/2 wide and σ wide
+    expect(confidenceLevel(confidenceScore({ lower: -0.125, upper: 0.125 }, 1)).level).toBe("High");
+    expect(confidenceLevel(confidenceScore({ lower: -0.25, upper: 0.25 }, 1)).level).toBe("High");
+    expect(confidenceLevel(confidenceScore({ lower: -0.4, upper: 0.4 }, 1)).level).toBe("Medium");
+    expect(confidenceLevel(confidenceScore({ lower: -0.5, upper: 0.5 }, 1))).toMatchObject({ level: "Medium", category: "Moderate Confidence" });
+    expect(confidenceLevel(confidenceScore({ lower: -1, upper: 1 }, 1)).level).toBe("Low");
+  });
+});
@@ -0,0 +1,131 @@
+// Unit system.
+//
+// Every variable is stored and forecast in its canonical unit (the unit POWER
+// returns). Conversion to the user's display units happens at the edges:
+// cards, charts and exports. All conversions here are affine, `x * factor +
+// offset`, so spreads (std dev, bin widths) only use the factor.
+
+export const UNITS = {
+  C: { label: "°C", quantity: "temperature", factor: 1, offset: 0 },
+  F: { label: "°F", quantity: "temperature", factor: 9 / 5, offset: 32 },
+
+  mm: { label: "mm", quantity: "precipitation", factor: 1, offset: 0 },
+  in: { label: "in", quantity: "precipitation", factor: 1 / 25.4, offset: 0 },
+
+  "m/s": { label: "m/s", quantity: "speed", factor: 1, offset: 0 },
+  "km/h": { label: "km/h", quantity: "speed", factor: 3.6, offset: 0 },
+  mph: { label: "mph", quantity: "speed", factor: 3600 / 1609.344, offset: 0 },
+  kn: { label: "knots", quantity: "speed", factor: 3600 / 1852, offset: 0 },
+
+  kPa: { label: "kPa", quantity: "pressure", factor: 1, offset: 0 },
+  hPa: { label: "hPa", quantity: "pressure", factor: 10, offset: 0 },
+  inHg: { label: "inHg", quantity: "pressure", factor: 1 / 3.386389, offset: 0 },
+
+  "%": { label: "%", quantity: "fraction", factor: 1, offset: 0 },
+
+  // daily totals; POWER's AG community reports irradiance in MJ/m²/day
+  "MJ/m2": { label: "MJ/m²/day", quantity: "energy", factor: 1, offset: 0 },
+  "kWh/m2": { label: "kWh/m²/day", quantity: "energy", factor: 1 / 3.6, offset: 0 },
+
+  uvi: { label: "UVI", quantity: "uv", factor: 1, offset: 0 },
+
+  cm: { label: "cm", quantity: "depth", factor: 1, offset: 0 },
+  inch: { label: "in", quantity: "depth", factor: 1 / 2.54, offset: 0 },
+};
+
+// Canonical unit per quantity; factors above are relative to these.
+export const CANONICAL_UNITS = {
+  temperature: "C",
+  precipitation: "mm",
+  speed: "m/s",
+  pressure: "kPa",
+  fraction: "%",
+  energy: "MJ/m2",
+  uv: "uvi",
+  depth: "cm",
+};
+
+export const DEFAULT_DISPLAY_UNITS = { ...CANONICAL_UNITS };
+
+export const IMPERIAL_DISPLAY_UNITS = {
+  ...CANONICAL_UNITS,
+  temperature: "F",
+  precipitation: "in",
+  speed: "mph",
+  pressure: "inHg",
+  depth: "inch",
+};
+
+export const QUANTITY_LABELS = {
+  temperature: "Temperature",
+  precipitation: "Precipitation",
+  speed: "Wind Speed",
+  pressure: "Pressure",
+  energy: "Solar Energy",
+  depth: "Snow Depth",
+};
+
+export const unitsFor = (quantity) =>
+  Object.keys(UNITS).filter(id => UNITS[id].quantity === quantity);
+
+export const unitLabel = (unit) => UNITS[unit]?.label ?? unit ?? "";
+
+const check = (from, to) => {
+  if (!UNITS[from] || !UNITS[to]) throw new Error(`Unknown unit: ${UNITS[from] ? to : from}`);
+  if (UNITS[from].quantity !== UNITS[to].quantity) throw new Error(`Cannot convert ${from} to ${to}`);
+};
+
+export const convert = (value, from, to) => {
+  if (from === to || !Number.isFinite(value)) return value;
+  check(from, to);
+  const canonical = (value - UNITS[from].offset) / UNITS[from].factor;
+  return canonical * UNITS[to].factor + UNITS[to].offset;
+};
+
+// For differences and spreads, where the offset cancels out.
+export const convertDelta = (value, from, to) => {
+  if (from === to || !Number.isFinite(value)) return value;
+  check(from, to);
+  return (value / UNITS[from].factor) * UNITS[to].factor;
+};
+
+const convertCurve = (curve, from, to) => {
+  const scale = convertDelta(1, from, to);
+  return curve.map(point => ({
+    ...point,
+    value: convert(point.value, from, to),
+    // densities are per unit of x, so they shrink as the unit gets finer
+    probability: point.probability / scale,
+  }));
+};
+
+// Converts an engine prediction (see engine/forecast.js) between units of the
+// same quantity. Probabilities, counts and confidence are unit-free.
+export const convertPrediction = (prediction, from, to) => {
+  if (from === to) return prediction;
+  const c = (v) => convert(v, from, to);
+  const d = (v) => convertDelta(v, from, to);
+
+  return {
+    ...prediction,
+    value: c(prediction.value),
+    range: { min: c(prediction.range.min), max: c(prediction.range.max) },
+    interval: prediction.interval && { ...prediction.interval, lower: c(prediction.interval.lower), upper: c(prediction.interval.upper) },
+    trend: prediction.trend && { ...prediction.trend, slope: d(prediction.trend.slope) },
+    stdDev: d(prediction.stdDev),
+    sampleValues: prediction.sampleValues.map(c),
+    percentiles: {
+      p10: c(prediction.percentiles.p10),
+      p50: c(prediction.percentiles.p50),
+      p90: c(prediction.percentiles.p90),
+    },
+    histogram: prediction.histogram.map(bin => ({ ...bin, value: c(bin.value), from: c(bin.from), to: c(bin.to) })),
+    density: convertCurve(prediction.density, from, to),
+    distribution: convertCurve(prediction.distribution, from, to),
+    rainModel: prediction.rainModel && {
+      ...prediction.rainModel,
+      wetThreshold: c(prediction.rainModel.wetThreshold),
+      scale: prediction.rainModel.scale && d(prediction.rainModel.scale),
+    },
+  };
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { convert, convertDelta, convertPrediction, unitsFor } from "./units";
+import { generateForecast } from "./forecast";
+
+describe("convert", () => {
+  it("converts between units of one quantity", () => {
+    expect(convert(100, "C", "F")).toBeCloseTo(212);
+    expect(convert(-40, "F", "C")).toBeCloseTo(-40);
+    expect(convert(25.4, "mm", "in")).toBeCloseTo(1);
+    expect(convert(10, "m/s", "km/h")).toBeCloseTo(36);
+    expect(convert(10, "m/s", "kn")).toBeCloseTo(19.438, 3);
+    expect(convert(101.325, "kPa", "hPa")).toBeCloseTo(1013.25);
+    expect(convert(101.325, "kPa", "inHg")).toBeCloseTo(29.921, 3);
+    expect(convert(30, "mph", "km/h")).toBeCloseTo(48.28, 2);
+  });
+
+  it("drops the offset for spreads", () => {
+    expect(convertDelta(10, "C", "F")).toBeCloseTo(18);
+  });
+
+  it("refuses to mix quantities", () => {
+    expect(() => convert(1, "mm", "C")).toThrow();
+    expect(() => convert(1, "mm", "furlong")).toThrow();
+  });
+
+  it("lists the units available for a quantity", () => {
+    expect(unitsFor("speed")).toEqual(["m/s", "km/h", "mph", "kn"]);
+  });
+});
+
+describe("convertPrediction", () => {
+  const forecast = generateForecast(fixture.properties.parameter, "2026-08-20");
+
+  it("converts every value-bearing field", () => {
+    const t2m = forecast.T2M;
+    const f = convertPrediction(t2m, "C", "F");
+    expect(f.value).toBeCloseTo(t2m.value * 1.8 + 32);
+    expect(f.stdDev).toBeCloseTo(t2m.stdDev * 1.8);
+    expect(f.percentiles.p90).toBeCloseTo(t2m.percentiles.p90 * 1.8 + 32);
+    expect(f.sampleValues).toHaveLength(t2m.sampleValues.length);
+    expect(f.confidence).toBe(t2m.confidence);
+  });
+
+  it("rescales densities so they still integrate to the same mass", () => {
+    const rain = forecast.PRECTOTCORR;
+    const inches = convertPrediction(rain, "mm", "in");
+    const mass = (curve) => curve.slice(1).reduce((sum, p, i) => sum + (p.probability + curve[i].probability) / 2 * (p.value - curve[i].value), 0);
+    expect(mass(inches.density)).toBeCloseTo(mass(rain.density), 6);
+    expect(inches.rainModel.dryProbability).toBe(rain.rainModel.dryProbability);
+  });
+});
@@ -0,0 +1,448 @@
+// Variable registry: every POWER parameter the dashboard can forecast.
+//
+// Everything variable-specific lives here so a new parameter only needs an
+// entry: the selector, forecasts, charts, exports, status badges, quality
+// screening and distribution models all read from this list.
+//
+//   id            stable key used in state, rule sets and saved settings
+//   param         POWER parameter code (community=AG)
+//   quantity/unit canonical unit as returned by POWER (see units.js)
+//   aggregation   how daily values are summarised per month for the trend
+//                 chart: "mean", "max", "min" or "sum"
+//   distribution  model and physical bounds for distribution.js
+//   plausible     values outside this range are treated as bad data
+//   threshold     default exceedance threshold, canonical units
+//   status        default status bands (see rules.js)
+//   derived       optional `{ inputs, compute, description }`: the variable is
+//                 not a POWER parameter but computed day by day from the
+//                 input parameters (see derived.js)
+
+import { heatIndex, windChill, humidex, wbgtApprox, apparentTemperature } from "./comfort";
+
+export const AGGREGATIONS = {
+  mean: { label: "Average", reduce: (values) => values.reduce((a, b) => a + b, 0) / values.length },
+  max: { label: "Maximum", reduce: (values) => Math.max(...values) },
+  min: { label: "Minimum", reduce: (values) => Math.min(...values) },
+  sum: { label: "Total", reduce: (values) => values.reduce((a, b) => a + b, 0) },
+};
+
+export const VARIABLES = [
+  {
+    id: "precipitation",
+    param: "PRECTOTCORR",
+    label: "Rainfall",
+    icon: "fas fa-cloud-showers-heavy",
+    color: "#4dc2f5",
+    quantity: "precipitation",
+    unit: "mm",
+    aggregation: "mean",
+    distribution: { model: "mixed-gamma", lower: 0 },
+    plausible: [0, 1000],
+    threshold: { op: ">", value: 5 },
+    status: {
+      bands: [
+        { below: 1, severity: "good", label: "Dry conditions - Good for outdoor activities", advice: "Minimal rainfall expected ({value}). Dry conditions likely - good for outdoor activities but may require irrigation for crops. Low risk of flooding or water-related disruptions." },
+        { below: 10, severity: "fair", label: "Light rainfall - Generally favorable", advice: "Light to moderate rainfall predicted ({value}). Generally favorable conditions with some precipitation. Suitable for most outdoor activities with minor precautions." },
+        { below: 50, severity: "caution", label: "Wet conditions - Prepare for surface water", advice: "Significant rainfall anticipated ({value}). Wet conditions expected - prepare for potential surface water, delays in outdoor work, and increased soil moisture. Good for agriculture but may limit construction activities." },
+        { severity: "danger", label: "Heavy rain - Flooding risk, take precautions", advice: "Heavy rainfall forecast ({value}). Prepare for substantial precipitation that may cause flooding, transportation disruptions, and waterlogging. High priority for drainage management and flood preparedness." },
+      ],
+    },
+  },
+  {
+    id: "temperature",
+    param: "T2M",
+    label: "Temperature",
+    icon: "fas fa-thermometer-half",
+    color: "#f75555",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-90, 60],
+    threshold: { op: ">", value: 32 },
+    status: {
+      bands: [
+        { below: 10, severity: "info", label: "Cold - Winter clothing and heating needed", advice: "Cold conditions expected ({value}). Prepare for low temperatures - appropriate heating, winter clothing, and frost protection for sensitive plants may be needed. Energy demand for heating will be elevated." },
+        { below: 25, severity: "good", label: "Comfortable - Pleasant for most activities", advice: "Moderate temperatures predicted ({value}). Comfortable conditions for most activities. Generally pleasant weather requiring minimal temperature management for indoor or outdoor operations." },
+        { below: 35, severity: "caution", label: "Hot - Stay hydrated and limit sun exposure", advice: "Warm to hot conditions anticipated ({value}). Prepare for elevated temperatures - ensure adequate cooling, hydration, and heat stress precautions for outdoor workers and vulnerable populations." },
+        { severity: "danger", label: "Extreme heat - Health risk, stay indoors", advice: "Extreme heat forecast ({value}). High-risk conditions requiring serious heat mitigation measures. Limit outdoor exposure during peak hours, ensure cooling systems are operational, and monitor for heat-related health issues." },
+      ],
+    },
+  },
+  {
+    id: "temperatureMax",
+    param: "T2M_MAX",
+    label: "Max Temperature",
+    icon: "fas fa-temperature-high",
+    color: "#ff7b72",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "max",
+    distribution: { model: "normal" },
+    plausible: [-85, 65],
+    threshold: { op: ">", value: 35 },
+    status: {
+      bands: [
+        { below: 10, severity: "info", label: "Cold afternoon - Dress warmly", advice: "Daytime highs around {value}. Even the warmest part of the day stays cold - plan for warm clothing and slower outdoor work." },
+        { below: 30, severity: "good", label: "Comfortable highs", advice: "Daytime highs around {value}. Comfortable peak temperatures for most outdoor activities." },
+        { below: 38, severity: "caution", label: "Hot afternoon - Schedule work for cooler hours", advice: "Daytime highs around {value}. Plan strenuous outdoor work for the morning or evening, provide shade and water, and watch for heat stress." },
+        { severity: "danger", label: "Extreme daytime heat - Heat illness risk", advice: "Daytime highs around {value}. Dangerous afternoon heat - avoid outdoor exertion at peak hours and check on vulnerable people." },
+      ],
+    },
+  },
+  {
+    id: "temperatureMin",
+    param: "T2M_MIN",
+    label: "Min Temperature",
+    icon: "fas fa-temperature-low",
+    color: "#79c0ff",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "min",
+    distribution: { model: "normal" },
+    plausible: [-90, 45],
+    threshold: { op: "<", value: 0 },
+    status: {
+      bands: [
+        { below: -10, severity: "danger", label: "Hard freeze - Protect pipes and livestock", advice: "Overnight lows around {value}. Severe frost can burst pipes, damage crops and endanger livestock and people without shelter." },
+        { below: 0, severity: "caution", label: "Frost likely - Protect sensitive plants", advice: "Overnight lows around {value}. Frost is likely - cover sensitive plants, watch for ice on roads and delay concrete or paint work." },
+        { below: 20, severity: "good", label: "Mild nights", advice: "Overnight lows around {value}. No frost risk and comfortable sleeping conditions." },
+        { severity: "caution", label: "Warm nights - Little overnight relief", advice: "Overnight lows around {value}. Warm nights give little relief from daytime heat, raising heat stress for people and animals." },
+      ],
+    },
+  },
+  {
+    id: "wind",
+    param: "WS2M",
+    label: "Wind Speed",
+    icon: "fas fa-wind",
+    color: "#36c891",
+    quantity: "speed",
+    unit: "m/s",
+    aggregation: "mean",
+    distribution: { model: "normal", lower: 0 },
+    plausible: [0, 75],
+    threshold: { op: ">", value: 10 },
+    status: {
+      bands: [
+        { below: 5, severity: "good", label: "Calm - Ideal for all outdoor activities", advice: "Light winds expected ({value}). Calm conditions favorable for most activities including aviation, construction, and outdoor events. Minimal wind-related concerns." },
+        { below: 10, severity: "fair", label: "Breezy - Minor precautions needed", advice: "Moderate winds predicted ({value}). Noticeable breeze but generally manageable. Minor precautions for lightweight structures, small vessels, and wind-sensitive operations recommended." },
+        { below: 20, severity: "caution", label: "Strong winds - Secure loose objects", advice: "Strong winds anticipated ({value}). Prepare for challenging conditions - secure loose objects, exercise caution with high-profile vehicles, and monitor for potential structural stress on temporary installations." },
+        { severity: "danger", label: "Dangerous winds - Stay indoors if possible", advice: "Very strong winds forecast ({value}). Dangerous conditions requiring significant precautions. High risk for transportation disruptions, structural damage, and safety hazards. Consider postponing non-essential outdoor activities." },
+      ],
+    },
+  },
+  {
+    id: "windMax",
+    param: "WS10M_MAX",
+    label: "Peak Wind (10 m)",
+    icon: "fas fa-fan",
+    color: "#56d4dd",
+    quantity: "speed",
+    unit: "m/s",
+    aggregation: "max",
+    distribution: { model: "normal", lower: 0 },
+    plausible: [0, 100],
+    threshold: { op: ">", value: 15 },
+    status: {
+      bands: [
+        { below: 8, severity: "good", label: "Light peak winds", advice: "Strongest winds around {value} at 10 m. Little risk to structures, cranes or events." },
+        { below: 14, severity: "fair", label: "Fresh peak winds - Secure light items", advice: "Strongest winds around {value} at 10 m. Secure tents, signage and lightweight materials." },
+        { below: 20, severity: "caution", label: "Gale-force peaks - Limit lifting and work at height", advice: "Strongest winds around {value} at 10 m. Suspend crane lifts and work at height during the windiest hours and check temporary structures." },
+        { severity: "danger", label: "Storm-force peaks - Damage likely", advice: "Strongest winds around {value} at 10 m. Expect fallen trees and structural damage; postpone outdoor events and non-essential travel." },
+      ],
+    },
+  },
+  {
+    id: "humidity",
+    param: "RH2M",
+    label: "Humidity",
+    icon: "fas fa-water",
+    color: "#927fe1",
+    quantity: "fraction",
+    unit: "%",
+    aggregation: "mean",
+    distribution: { model: "normal", lower: 0, upper: 100 },
+    plausible: [0, 100],
+    threshold: { op: ">", value: 80 },
+    status: {
+      bands: [
+        { below: 30, severity: "caution", label: "Dry air - May cause discomfort, fire risk", advice: "Low humidity conditions ({value}). Dry air may cause discomfort, increased static electricity, and elevated fire risk. Consider humidification for indoor environments and moisturizing for skin care." },
+        { below: 60, severity: "good", label: "Comfortable - Ideal moisture levels", advice: "Comfortable humidity levels ({value}). Ideal moisture content for most applications. Generally pleasant conditions for human comfort and preservation of materials." },
+        { below: 80, severity: "caution", label: "Muggy - Uncomfortable, mold risk increases", advice: "Elevated humidity expected ({value}). Muggy conditions that may feel uncomfortable. Increased potential for mold growth, reduced evaporative cooling efficiency, and discomfort during physical activity." },
+        { severity: "danger", label: "Very humid - Oppressive conditions, health concerns", advice: "Very high humidity forecast ({value}). Oppressive atmospheric moisture creating significant discomfort. High risk of heat stress amplification, condensation issues, and mold/mildew problems. Enhanced dehumidification may be necessary." },
+      ],
+    },
+  },
+  {
+    id: "dewPoint",
+    param: "T2MDEW",
+    label: "Dew Point",
+    icon: "fas fa-tint",
+    color: "#a371f7",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-90, 40],
+    threshold: { op: ">", value: 20 },
+    status: {
+      bands: [
+        { below: 10, severity: "info", label: "Dry air", advice: "Dew point around {value}. Air feels dry; dew and fog are unlikely." },
+        { below: 16, severity: "good", label: "Comfortable", advice: "Dew point around {value}. Comfortable moisture levels for most people." },
+        { below: 21, severity: "caution", label: "Sticky - Sweat evaporates slowly", advice: "Dew point around {value}. Noticeably humid; sweat evaporates slowly, so physical work feels harder." },
+        { severity: "danger", label: "Oppressive - High heat stress", advice: "Dew point around {value}. Oppressive humidity that sharply amplifies heat stress; plan extra rest and hydration." },
+      ],
+    },
+  },
+  {
+    id: "pressure",
+    param: "PS",
+    label: "Pressure",
+    icon: "fas fa-tachometer-alt",
+    color: "#f5a623",
+    quantity: "pressure",
+    unit: "kPa",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [30, 110],
+    threshold: { op: "<", value: 100 },
+    status: {
+      // kPa, as returned by POWER (980 / 1020 hPa)
+      bands: [
+        { below: 98, severity: "caution", label: "Low pressure - Storms possible, monitor weather", advice: "Low atmospheric pressure ({value}). Associated with unsettled weather systems. Potential for storms, precipitation, and rapidly changing conditions. Monitor weather updates closely." },
+        { below: 102, severity: "good", label: "Normal pressure - Stable weather expected", advice: "Normal atmospheric pressure ({value}). Stable weather conditions expected. Generally predictable weather patterns with minimal atmospheric disturbances." },
+        { severity: "info", label: "High pressure - Clear, stable conditions", advice: "High atmospheric pressure ({value}). Indicates stable, clear weather systems. Generally favorable conditions with reduced precipitation likelihood and good visibility." },
+      ],
+    },
+  },
+  {
+    id: "cloud",
+    param: "CLOUD_AMT",
+    label: "Cloud Cover",
+    icon: "fas fa-cloud",
+    color: "#8b949e",
+    quantity: "fraction",
+    unit: "%",
+    aggregation: "mean",
+    distribution: { model: "normal", lower: 0, upper: 100 },
+    plausible: [0, 100],
+    threshold: { op: ">", value: 70 },
+    status: {
+      bands: [
+        { below: 25, severity: "good", label: "Mostly clear skies", advice: "Cloud cover around {value}. Mostly clear skies - good for solar output, photography and stargazing." },
+        { below: 60, severity: "fair", label: "Partly cloudy", advice: "Cloud cover around {value}. A mix of sun and cloud." },
+        { below: 85, severity: "info", label: "Mostly cloudy", advice: "Cloud cover around {value}. Limited sunshine; expect reduced solar generation." },
+        { severity: "info", label: "Overcast", advice: "Cloud cover around {value}. Overcast skies with little direct sun." },
+      ],
+    },
+  },
+  {
+    id: "solar",
+    param: "ALLSKY_SFC_SW_DWN",
+    label: "Solar Irradiance",
+    icon: "fas fa-solar-panel",
+    color: "#e3b341",
+    quantity: "energy",
+    unit: "MJ/m2",
+    aggregation: "mean",
+    distribution: { model: "normal", lower: 0 },
+    plausible: [0, 45],
+    threshold: { op: "<", value: 10 },
+    status: {
+      bands: [
+        { below: 8, severity: "info", label: "Low sunshine - Dull day", advice: "Daily solar energy around {value}. Little sunshine reaches the ground; solar panels will produce well below capacity." },
+        { below: 18, severity: "good", label: "Moderate sunshine", advice: "Daily solar energy around {value}. Reasonable sunshine for drying, crops and solar generation." },
+        { below: 26, severity: "fair", label: "Strong sunshine - Use sun protection", advice: "Daily solar energy around {value}. Strong sunshine; good solar output, but plan shade and sun protection outdoors." },
+        { severity: "caution", label: "Intense sunshine - High heat load", advice: "Daily solar energy around {value}. Intense sunshine adds a large radiant heat load; shade and sun protection are essential." },
+      ],
+    },
+  },
+  {
+    id: "uv",
+    param: "ALLSKY_SFC_UV_INDEX",
+    label: "UV Index",
+    icon: "fas fa-glasses",
+    color: "#d2a8ff",
+    quantity: "uv",
+    unit: "uvi",
+    aggregation: "mean",
+    distribution: { model: "normal", lower: 0 },
+    plausible: [0, 25],
+    threshold: { op: ">", value: 7 },
+    status: {
+      // WHO UV index categories
+      bands: [
+        { below: 3, severity: "good", label: "Low UV", advice: "UV index around {value}. Minimal sun protection needed for most people." },
+        { below: 6, severity: "fair", label: "Moderate UV - Seek shade at midday", advice: "UV index around {value}. Seek shade around midday and use sunscreen on long exposure." },
+        { below: 8, severity: "caution", label: "High UV - Sun protection required", advice: "UV index around {value}. Wear a hat, sunglasses and sunscreen, and reduce midday exposure." },
+        { below: 11, severity: "danger", label: "Very high UV - Limit midday exposure", advice: "UV index around {value}. Unprotected skin burns quickly; avoid the sun around midday." },
+        { severity: "danger", label: "Extreme UV - Avoid sun exposure", advice: "UV index around {value}. Extreme UV; stay out of the sun around midday and protect all exposed skin." },
+      ],
+    },
+  },
+  {
+    id: "snow",
+    param: "SNODP",
+    label: "Snow Depth",
+    icon: "fas fa-snowflake",
+    color: "#c9d1d9",
+    quantity: "depth",
+    unit: "cm",
+    aggregation: "mean",
+    distribution: { model: "normal", lower: 0 },
+    plausible: [0, 2000],
+    threshold: { op: ">", value: 5 },
+    status: {
+      bands: [
+        { below: 1, severity: "good", label: "No snow cover", advice: "Snow depth around {value}. Ground is essentially clear of snow." },
+        { below: 15, severity: "info", label: "Light snow cover", advice: "Snow depth around {value}. Light snow on the ground; expect slippery paths and minor travel delays." },
+        { below: 50, severity: "caution", label: "Deep snow - Travel disruption", advice: "Snow depth around {value}. Deep snow hampers travel and site access; plan clearing and winter equipment." },
+        { severity: "danger", label: "Very deep snow - Access and load risks", advice: "Snow depth around {value}. Very deep snow can cut off access and load roofs heavily; check structures and supplies." },
+      ],
+    },
+  },
+  {
+    id: "heatIndex",
+    param: "HEAT_INDEX",
+    label: "Heat Index",
+    icon: "fas fa-fire",
+    color: "#ffa657",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-90, 80],
+    threshold: { op: ">", value: 32 },
+    derived: {
+      inputs: ["T2M", "RH2M"],
+      compute: (t, rh) => heatIndex(t, rh),
+      description: "NWS heat index from daily mean temperature and humidity",
+    },
+    status: {
+      // NWS heat index categories
+      bands: [
+        { below: 27, severity: "good", label: "No heat stress", advice: "Heat index around {value}. No added heat stress for normal activity." },
+        { below: 32, severity: "caution", label: "Caution - Fatigue with prolonged activity", advice: "Heat index around {value}. Fatigue is possible with prolonged exposure or physical activity; take regular breaks and drink water." },
+        { below: 41, severity: "caution", label: "Extreme caution - Heat cramps and exhaustion possible", advice: "Heat index around {value}. Heat cramps and heat exhaustion are possible with prolonged activity; schedule rest in the shade and limit strenuous work." },
+        { below: 54, severity: "danger", label: "Danger - Heat exhaustion likely", advice: "Heat index around {value}. Heat cramps and exhaustion are likely and heat stroke is possible; avoid strenuous outdoor activity." },
+        { severity: "danger", label: "Extreme danger - Heat stroke likely", advice: "Heat index around {value}. Heat stroke is highly likely with continued exposure; stay in cooled spaces." },
+      ],
+    },
+  },
+  {
+    id: "windChill",
+    param: "WIND_CHILL",
+    label: "Wind Chill",
+    icon: "fas fa-icicles",
+    color: "#a5d6ff",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-100, 60],
+    threshold: { op: "<", value: -10 },
+    derived: {
+      inputs: ["T2M", "WS10M"],
+      compute: (t, wind) => windChill(t, wind),
+      description: "North American wind chill from daily mean temperature and 10 m wind",
+    },
+    status: {
+      // Environment Canada wind chill risk levels
+      bands: [
+        { below: -40, severity: "danger", label: "Very high risk - Frostbite in minutes", advice: "Wind chill around {value}. Exposed skin can freeze in under 10 minutes; cover all skin and limit time outdoors." },
+        { below: -28, severity: "danger", label: "High risk - Frostbite within 30 minutes", advice: "Wind chill around {value}. Exposed skin can freeze within 10 to 30 minutes; dress in layers with a windproof outer layer." },
+        { below: -10, severity: "caution", label: "Moderate risk - Cover exposed skin", advice: "Wind chill around {value}. Uncomfortable cold with a risk of hypothermia over long exposure; cover exposed skin." },
+        { below: 0, severity: "info", label: "Low risk - Feels cold", advice: "Wind chill around {value}. Feels colder than the air temperature; dress warmly." },
+        { severity: "good", label: "No wind chill risk", advice: "Wind chill around {value}. Wind adds little cold stress." },
+      ],
+    },
+  },
+  {
+    id: "humidex",
+    param: "HUMIDEX",
+    label: "Humidex",
+    icon: "fas fa-smog",
+    color: "#f0883e",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-90, 80],
+    threshold: { op: ">", value: 40 },
+    derived: {
+      inputs: ["T2M", "RH2M"],
+      compute: (t, rh) => humidex(t, rh),
+      description: "Environment Canada humidex from daily mean temperature and humidity",
+    },
+    status: {
+      bands: [
+        { below: 30, severity: "good", label: "Little discomfort", advice: "Humidex around {value}. Little or no discomfort." },
+        { below: 40, severity: "fair", label: "Some discomfort", advice: "Humidex around {value}. Some discomfort during physical activity; keep hydrated." },
+        { below: 46, severity: "caution", label: "Great discomfort - Avoid exertion", advice: "Humidex around {value}. Great discomfort; avoid exertion and take frequent breaks in the shade." },
+        { severity: "danger", label: "Dangerous - Heat stroke possible", advice: "Humidex around {value}. Dangerous conditions where heat stroke is possible; stop strenuous outdoor work." },
+      ],
+    },
+  },
+  {
+    id: "wbgt",
+    param: "WBGT",
+    label: "WBGT (approx.)",
+    icon: "fas fa-running",
+    color: "#db61a2",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-60, 50],
+    threshold: { op: ">", value: 28 },
+    derived: {
+      inputs: ["T2M", "RH2M"],
+      compute: (t, rh) => wbgtApprox(t, rh),
+      description: "Shade WBGT approximation (BoM) from daily mean temperature and humidity",
+    },
+    status: {
+      // Work/rest guidance commonly used for sport and outdoor labour
+      bands: [
+        { below: 18, severity: "good", label: "Low heat risk", advice: "WBGT around {value}. Normal activity with routine hydration." },
+        { below: 23, severity: "fair", label: "Moderate heat risk - Hydrate regularly", advice: "WBGT around {value}. Drink regularly and watch newcomers and unacclimatised workers." },
+        { below: 28, severity: "caution", label: "High heat risk - Add rest breaks", advice: "WBGT around {value}. Add rest breaks in the shade and reduce the intensity of heavy work." },
+        { below: 32, severity: "danger", label: "Very high heat risk - Limit heavy work", advice: "WBGT around {value}. Limit heavy work to short periods with long recovery breaks." },
+        { severity: "danger", label: "Extreme heat risk - Suspend strenuous activity", advice: "WBGT around {value}. Suspend strenuous activity and outdoor sport." },
+      ],
+    },
+  },
+  {
+    id: "apparentTemperature",
+    param: "APPARENT_T",
+    label: "Feels Like",
+    icon: "fas fa-user",
+    color: "#7ee787",
+    quantity: "temperature",
+    unit: "C",
+    aggregation: "mean",
+    distribution: { model: "normal" },
+    plausible: [-100, 80],
+    threshold: { op: ">", value: 32 },
+    derived: {
+      inputs: ["T2M", "RH2M", "WS10M"],
+      compute: (t, rh, wind) => apparentTemperature(t, rh, wind),
+      description: "Steadman apparent temperature from daily mean temperature, humidity and 10 m wind",
+    },
+    status: {
+      bands: [
+        { below: 0, severity: "caution", label: "Feels freezing - Cold stress risk", advice: "Feels like {value}. Dress in warm layers and limit long exposure." },
+        { below: 10, severity: "info", label: "Feels cold", advice: "Feels like {value}. Wear warm clothing outdoors." },
+        { below: 27, severity: "good", label: "Feels comfortable", advice: "Feels like {value}. Comfortable for most outdoor activities." },
+        { below: 35, severity: "caution", label: "Feels hot - Pace yourself", advice: "Feels like {value}. Pace outdoor activity, drink water and seek shade." },
+        { severity: "danger", label: "Feels dangerously hot", advice: "Feels like {value}. High risk of heat illness; avoid exertion outdoors." },
+      ],
+    },
+  },
+];
+
+export const getVariable = (id) => VARIABLES.find(v => v.id === id) || null;
+
+export const getVariableByParam = (param) => VARIABLES.find(v => v.param === param) || null;
+
+export const aggregationFor = (param) => AGGREGATIONS[getVariableByParam(param)?.aggregation] || AGGREGATIONS.mean;
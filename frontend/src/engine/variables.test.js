@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { VARIABLES, AGGREGATIONS, getVariable, getVariableByParam } from "./variables";
+import { UNITS } from "./units";
+import { DEFAULT_RULES, mergeRuleSet } from "./rules";
+import { getDistributionSpec } from "./distribution";
+import { getPlausibleRange } from "./quality";
+import { generateTimeSeriesData } from "./forecast";
+
+describe("variable registry", () => {
+  it("has unique ids and POWER codes", () => {
+    expect(new Set(VARIABLES.map(v => v.id)).size).toBe(VARIABLES.length);
+    expect(new Set(VARIABLES.map(v => v.param)).size).toBe(VARIABLES.length);
+  });
+
+  it("gives every variable a known unit, aggregation and valid status bands", () => {
+    VARIABLES.forEach(v => {
+      expect(UNITS[v.unit]?.quantity).toBe(v.quantity);
+      expect(AGGREGATIONS[v.aggregation]).toBeDefined();
+      expect(v.plausible[0]).toBeLessThan(v.plausible[1]);
+    });
+    expect(() => mergeRuleSet(DEFAULT_RULES)).not.toThrow();
+  });
+
+  it("feeds rules, distributions and quality screening", () => {
+    expect(DEFAULT_RULES.variables.uv.bands).toHaveLength(5);
+    expect(getDistributionSpec("PRECTOTCORR").model).toBe("mixed-gamma");
+    expect(getPlausibleRange("RH2M")).toEqual([0, 100]);
+    expect(getVariable("windMax").param).toBe("WS10M_MAX");
+    expect(getVariableByParam("T2M_MIN").id).toBe("temperatureMin");
+  });
+});
+
+describe("trend aggregation", () => {
+  it("summarises each year's month with the variable's rule", () => {
+    const days = { 20230101: 4, 20230102: 10, 20230103: 7 };
+    const trend = generateTimeSeriesData({ T2M: days, T2M_MAX: days, T2M_MIN: days }, "2026-01-15");
+    expect(trend.T2M[0].value).toBe(7);
+    expect(trend.T2M_MAX[0].value).toBe(10);
+    expect(trend.T2M_MIN[0].value).toBe(4);
+  });
+});
@@ -1,10 +1,44 @@
 import React, { useState, useEffect, useRef } from "react";
-import { MapContainer, TileLayer, Marker, useMapEvents } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Tooltip as MapTooltip, useMapEvents } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import toast from "react-hot-toast";
-import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { useSearchParams } from "react-router-dom";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
 import L from "leaflet";
 import { jsPDF } from "jspdf";
+import { generateForecast, generateTimeSeriesData, selectSeasonalSamples, formatISODate, parseTargetDate, confidenceLevel, DEFAULT_OPTIONS, METHODOLOGY } from "../engine/forecast";
+import { DEFAULT_BASELINE, resolveBaseline, describeBaseline } from "../engine/baseline";
+import { dataProvider, fetchDailySeries, fetchAreaSeries } from "../services/dataSource";
+import { isAbortError } from "../services/errors";
+import { exceedanceProbability, describeThreshold, convertThreshold } from "../engine/exceedance";
+import { DEFAULT_DISPLAY_UNITS, convert, convertDelta, convertPrediction, unitLabel } from "../engine/units";
+import { DEFAULT_RULES, evaluateStatus, parseRuleSet, mergeRuleSet } from "../engine/rules";
+import { getActivityProfile, activityParams, scoreActivity, explainActivity } from "../engine/activities";
+import { POWER_FILL_VALUE, describeQuality, getPlausibleRange } from "../engine/quality";
+import { analyzeExtremes } from "../engine/extremes";
+import { forecastEvent, eventLength, latestEventEnd, MAX_EVENT_DAYS, EVENT_METHODOLOGY } from "../engine/event";
+import { gridCells, shapeCentroid, shapeAreaKm2, cellSpread, areaToGeoJSON } from "../engine/area";
+import { VARIABLES, getVariable, getVariableByParam, aggregationFor } from "../engine/variables";
+import { loadJSON, saveJSON } from "../services/storage";
+import { serializeDashboardState, parseDashboardState } from "../services/urlState";
+import { loadPlaces, loadScenarios, savePlaces, saveScenarios, normalizePlace, normalizeScenario, mergeById, exportLibrary, parseLibrary } from "../services/library";
+import { countCachedSeries, clearSeriesCache } from "../services/seriesCache";
+import { geocoder, describePlace } from "../services/geocoder";
+import AnalysisSettings from "../components/AnalysisSettings";
+import ThresholdPanel from "../components/ThresholdPanel";
+import DistributionChart from "../components/DistributionChart";
+import ActivitySuitability from "../components/ActivitySuitability";
+import BestDateFinder from "../components/BestDateFinder";
+import BacktestPanel from "../components/BacktestPanel";
+import LocationComparison from "../components/LocationComparison";
+import ForecastError from "../components/ForecastError";
+import ExtremesPanel from "../components/ExtremesPanel";
+import EventTimeline from "../components/EventTimeline";
+import SavedLibrary from "../components/SavedLibrary";
+import LocationSearch from "../components/LocationSearch";
+import AreaDrawLayer from "../components/AreaDrawLayer";
+import ClimatologyLayer from "../components/ClimatologyLayer";
+import ClimatologyOverlay from "../components/ClimatologyOverlay";
 
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -13,168 +47,380 @@ L.Icon.Default.mergeOptions({
   shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png",
 });
 
+const RULES_STORAGE_KEY = "ruleSet";
+
+const MAX_VENUES = 5;
+
+const DRAW_MODES = [
+  { id: "point", label: "Point", icon: "fas fa-map-pin" },
+  { id: "rectangle", label: "Rectangle", icon: "far fa-square" },
+  { id: "polygon", label: "Polygon", icon: "fas fa-draw-polygon" },
+];
+
+const DRAW_HINTS = {
+  rectangle: "Click two opposite corners of the area",
+  polygon: "Click to add corners; double-click or click the first corner to finish",
+};
+
+const loadStoredRules = () => {
+  const custom = loadJSON(RULES_STORAGE_KEY);
+  if (!custom) return DEFAULT_RULES;
+  try {
+    return mergeRuleSet(custom);
+  } catch {
+    return DEFAULT_RULES;
+  }
+};
+
 export default function WeatherPredictor() {
-  const [location, setLocation] = useState(null);
-  const [targetDate, setTargetDate] = useState("");
-  const [variables, setVariables] = useState(["precipitation"]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // the URL seeds the query once; after that the state drives the URL
+  const [initialQuery] = useState(() => parseDashboardState(searchParams));
+  const [location, setLocation] = useState(initialQuery.location ?? null);
+  const [locationName, setLocationName] = useState(initialQuery.locationName ?? "");
+  const [area, setArea] = useState(initialQuery.area ?? null);
+  const [drawMode, setDrawMode] = useState("point");
+  const [areaResult, setAreaResult] = useState(null);
+  const [areaProgress, setAreaProgress] = useState(null);
+  const [overlayCells, setOverlayCells] = useState([]);
+  const [venues, setVenues] = useState([]);
+  const [places, setPlaces] = useState(loadPlaces);
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [targetDate, setTargetDate] = useState(initialQuery.targetDate ?? "");
+  const [eventEnd, setEventEnd] = useState(initialQuery.eventEnd ?? "");
+  const [variables, setVariables] = useState(initialQuery.variables ?? ["precipitation"]);
   const [forecast, setForecast] = useState(null);
+  const [eventForecast, setEventForecast] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [forecastError, setForecastError] = useState(null);
   const [timeSeriesData, setTimeSeriesData] = useState(null);
+  const [historicalData, setHistoricalData] = useState(null);
+  const [baseline, setBaseline] = useState(initialQuery.baseline ?? DEFAULT_BASELINE);
+  const [windowDays, setWindowDays] = useState(initialQuery.windowDays ?? DEFAULT_OPTIONS.windowDays);
+  const [forecastPeriod, setForecastPeriod] = useState(null);
+  const [thresholds, setThresholds] = useState({});
+  const [displayUnits, setDisplayUnits] = useState(initialQuery.displayUnits ?? DEFAULT_DISPLAY_UNITS);
+  const [rules, setRules] = useState(loadStoredRules);
+  const [activity, setActivity] = useState(initialQuery.activity ?? "");
+  const [cachedSeries, setCachedSeries] = useState(0);
+  const [cardTabs, setCardTabs] = useState({});
   const mapRef = useRef(null);
+  const requestRef = useRef(null);
+  const reverseRef = useRef(null);
 
-  const weatherVars = [
-    { id: "precipitation", label: "Rainfall", icon: "fas fa-cloud-showers-heavy", param: "PRECTOTCORR", color: "#4dc2f5" },
-    { id: "temperature", label: "Temperature", icon: "fas fa-thermometer-half", param: "T2M", color: "#f75555" },
-    { id: "wind", label: "Wind Speed", icon: "fas fa-wind", param: "WS2M", color: "#36c891" },
-    { id: "humidity", label: "Humidity", icon: "fas fa-water", param: "RH2M", color: "#927fe1" },
-    { id: "pressure", label: "Pressure", icon: "fas fa-tachometer-alt", param: "PS", color: "#f5a623" },
-  ];
-
-  const getUnit = (param) => {
-    const units = { PRECTOTCORR: "mm", T2M: "°C", WS2M: "m/s", RH2M: "%", PS: "kPa" };
-    return units[param] || "";
+  const getVarInfo = getVariableByParam;
+
+  const getDisplayUnit = (param) => {
+    const varInfo = getVarInfo(param);
+    return displayUnits[varInfo.quantity] || varInfo.unit;
   };
 
-  const getVarInfo = (param) => weatherVars.find(v => v.param === param);
+  const getUnit = (param) => unitLabel(getDisplayUnit(param));
+
+  const toDisplayValue = (param, value) => convert(value, getVarInfo(param).unit, getDisplayUnit(param));
+
+  // Forecasts are kept in canonical units; everything shown or exported goes
+  // through these.
+  const toDisplay = (param, data) => convertPrediction(data, getVarInfo(param).unit, getDisplayUnit(param));
+
+  const displayForecast = forecast && Object.fromEntries(
+    Object.entries(forecast).map(([param, data]) => [param, toDisplay(param, data)])
+  );
+
+  const displayTimeSeries = timeSeriesData && Object.fromEntries(
+    Object.entries(timeSeriesData).map(([param, points]) => [
+      param,
+      points.map(point => ({ ...point, value: toDisplayValue(param, point.value) })),
+    ])
+  );
+
+  // grid cells the area is sampled at (engine/area.js)
+  const areaGrid = area ? gridCells(area) : null;
+
+  const describeAreaCells = ({ cells, inside }) => {
+    if (inside === 0) return "1 grid cell, the area is smaller than a cell";
+    if (cells.length < inside) return `${cells.length} of ${inside} grid cells`;
+    return `${inside} grid cell${inside === 1 ? "" : "s"}`;
+  };
+
+  // Expected value of the sampled cells, lowest to highest, in display units.
+  const getCellSpread = (param) => {
+    const spread = areaResult?.spread[param];
+    if (!spread) return null;
+    const { unit } = getVarInfo(param);
+    return {
+      cells: spread.cells,
+      min: toDisplayValue(param, spread.min),
+      max: toDisplayValue(param, spread.max),
+      stdDev: convertDelta(spread.stdDev, unit, getDisplayUnit(param)),
+    };
+  };
+
+  const eventRangeInvalid = Boolean(eventEnd && targetDate) &&
+    (eventLength(targetDate, eventEnd) < 2 || eventLength(targetDate, eventEnd) > MAX_EVENT_DAYS);
+
+  const displayEvent = eventForecast && {
+    ...eventForecast,
+    days: eventForecast.days.map(day => ({
+      ...day,
+      forecast: Object.fromEntries(Object.entries(day.forecast).map(([param, data]) => [param, toDisplay(param, data)])),
+    })),
+  };
+
+  // `[label, text]` lines for the event aggregates, shared by the outlook
+  // panel and the exports.
+  const describeEventAggregates = () => {
+    const { rain, heat } = eventForecast.aggregates;
+    const show = (param, value) => `${toDisplayValue(param, value).toFixed(1)} ${getUnit(param)}`;
+    const lines = [["Event Length", `${eventForecast.days.length} days (${eventForecast.start} to ${eventForecast.end})`]];
+    if (rain) {
+      lines.push(["Chance of Any Rainy Day", `${rain.anyRainyProbability.toFixed(0)}% (at least ${show(rain.param, rain.rainyDayThreshold)})`]);
+      lines.push(["Expected Rainy Days", rain.expectedRainyDays.toFixed(1)]);
+      lines.push(["Expected Total Rainfall", `${show(rain.param, rain.expectedTotal)} (P90 ${show(rain.param, rain.totalP90)})`]);
+    }
+    if (heat) {
+      lines.push(["Hottest Day", `${heat.hottestDay.date}: ${show(heat.param, heat.hottestDay.value)} ${getVarInfo(heat.param).label.toLowerCase()}`]);
+      lines.push(["Expected Event Peak", `${show(heat.param, heat.expectedPeak)} (P90 ${show(heat.param, heat.peakP90)})`]);
+    }
+    const analogues = rain?.analogues ?? heat?.analogues;
+    if (analogues) lines.push(["Analogue Events", `${analogues} past runs of the same dates`]);
+    return lines;
+  };
+
+  const getThreshold = (param) => {
+    const varInfo = getVarInfo(param);
+    return convertThreshold(thresholds[param] || { ...varInfo.threshold, unit: varInfo.unit }, getDisplayUnit(param));
+  };
+
+  // `data` is a display-unit prediction, matching the threshold's unit.
+  const getExceedance = (param, data) => {
+    const threshold = getThreshold(param);
+    const result = exceedanceProbability(data.sampleValues, threshold);
+    return result && { ...result, threshold, description: describeThreshold(threshold, getUnit(param)) };
+  };
+
+  // Tail statistics on the same screened window as the forecast, in display
+  // units so the threshold from the panel applies directly.
+  const getExtremes = (param) => {
+    if (!historicalData?.[param] || !forecastPeriod) return null;
+    const varInfo = getVarInfo(param);
+    const samples = selectSeasonalSamples(historicalData[param], targetDate, {
+      windowDays: forecastPeriod.windowDays,
+      validRange: getPlausibleRange(param),
+    }).map(item => ({ ...item, value: convert(item.value, varInfo.unit, getDisplayUnit(param)) }));
+    return analyzeExtremes(samples, targetDate, { threshold: getThreshold(param) });
+  };
+
+  // Status is banded on the canonical value; the advice quotes the display value.
+  const getStatus = (param, data) =>
+    evaluateStatus(rules, getVarInfo(param).id, forecast[param].value, `${data.value.toFixed(1)} ${getUnit(param)}`);
+
+  const loadRulesFile = async (file) => {
+    try {
+      const text = await file.text();
+      const merged = parseRuleSet(text);
+      setRules(merged);
+      saveJSON(RULES_STORAGE_KEY, JSON.parse(text));
+      toast.success(`Loaded rule set: ${merged.name}`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const resetRules = () => {
+    setRules(DEFAULT_RULES);
+    saveJSON(RULES_STORAGE_KEY, null);
+    toast.success("Using default status rules");
+  };
+
+  const refreshCacheCount = () => {
+    countCachedSeries().then(setCachedSeries);
+  };
+
+  const clearCache = async () => {
+    await clearSeriesCache();
+    refreshCacheCount();
+    toast.success("Cleared cached NASA POWER data");
+  };
+
+  const activityProfile = getActivityProfile(activity);
+  const activityResult = forecast && activityProfile ? scoreActivity(activityProfile, forecast) : null;
+
+  const formatCanonicalRange = (param, [lo, hi]) => {
+    const from = getVarInfo(param).unit;
+    const to = getDisplayUnit(param);
+    return `${convert(lo, from, to).toFixed(1)} - ${convert(hi, from, to).toFixed(1)} ${getUnit(param)}`;
+  };
+
+  const activityExplanation = activityResult && explainActivity(activityResult, formatCanonicalRange);
+
+  // Picking an activity loads the variables its score depends on.
+  const selectActivity = (id) => {
+    setActivity(id);
+    const profile = getActivityProfile(id);
+    if (!profile) return;
+    const needed = activityParams(profile)
+      .map(param => getVarInfo(param)?.id)
+      .filter(Boolean);
+    setVariables(prev => [...prev, ...needed.filter(v => !prev.includes(v))]);
+  };
+
+  const updateThreshold = (param, threshold) => {
+    setThresholds(prev => ({ ...prev, [param]: threshold }));
+  };
+
+  const selectPoint = ({ lat, lng }) => {
+    setArea(null);
+    setLocation({ lat, lng });
+    setLocationName("");
+    nameClickedPoint({ lat, lng });
+    toast.success(`Location set: ${lat.toFixed(3)}, ${lng.toFixed(3)}`);
+  };
+
+  const getMapBounds = () => {
+    const bounds = mapRef.current.getBounds();
+    return { south: bounds.getSouth(), north: bounds.getNorth(), west: bounds.getWest(), east: bounds.getEast() };
+  };
 
   function MapClick() {
     useMapEvents({
       click(e) {
-        setLocation(e.latlng);
-        toast.success(`Location set: ${e.latlng.lat.toFixed(3)}, ${e.latlng.lng.toFixed(3)}`);
+        if (drawMode === "point") selectPoint(e.latlng);
       },
     });
-    return location ? <Marker position={location} /> : null;
+    return (
+      <>
+        {location && <Marker position={location} />}
+        {venues.map(venue => (
+          <Marker key={venue.id} position={[venue.lat, venue.lng]} opacity={0.6}>
+            <MapTooltip>{venue.name}</MapTooltip>
+          </Marker>
+        ))}
+      </>
+    );
   }
 
-  const handleLocationSearch = async (e) => {
-    if (e.key === "Enter" || e.type === "click") {
-      const query = e.target.value || e.target.previousSibling.value;
-      if (!query) {
-        toast.error("Please enter a location to search.");
-        return;
-      }
-
-      try {
-        const response = await fetch(`https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=1`);
-        const data = await response.json();
+  // Looks up a readable name for a clicked point. A newer click or search
+  // cancels the lookup; failures just leave the coordinates.
+  const nameClickedPoint = async ({ lat, lng }) => {
+    reverseRef.current?.abort();
+    const controller = new AbortController();
+    reverseRef.current = controller;
+    try {
+      const place = await geocoder.reverse(lat, lng, { signal: controller.signal });
+      if (!controller.signal.aborted && place) setLocationName(describePlace(place));
+    } catch (err) {
+      if (!isAbortError(err)) console.warn("Reverse geocoding failed:", err);
+    }
+  };
 
-        if (data && data.length > 0) {
-          const { lat, lon } = data[0];
-          const newLocation = { lat: parseFloat(lat), lng: parseFloat(lon) };
-          setLocation(newLocation);
-          if (mapRef.current) {
-            mapRef.current.setView([newLocation.lat, newLocation.lng], 10);
-          }
-          toast.success(`Location found: ${data[0].display_name}`);
-        } else {
-          toast.error("Location not found. Please try a different search term.");
-        }
-      } catch (error) {
-        toast.error("An error occurred during location search.");
-        console.error("Location search error:", error);
-      }
+  const pinVenue = () => {
+    if (!location) return;
+    if (venues.length >= MAX_VENUES) {
+      toast.error(`You can compare up to ${MAX_VENUES} locations`);
+      return;
     }
+    const name = locationName || `${location.lat.toFixed(3)}, ${location.lng.toFixed(3)}`;
+    setVenues(prev => [...prev, { id: `${Date.now()}`, name, lat: location.lat, lng: location.lng }]);
+    toast.success(`Pinned ${name} for comparison`);
   };
 
-  const toggleVariable = (id) => {
-    setVariables(prev => prev.includes(id) ? prev.filter(v => v !== id) : [...prev, id]);
+  const removeVenue = (id) => {
+    setVenues(prev => prev.filter(v => v.id !== id));
   };
 
-  const generateNormalDistribution = (mean, stdDev, samples = 50) => {
-    const data = [];
-    const range = stdDev * 4;
-    const step = range / samples;
+  const updatePlaces = (next) => {
+    setPlaces(next);
+    savePlaces(next);
+  };
 
-    for (let i = 0; i < samples; i++) {
-      const x = mean - range / 2 + i * step;
-      const exponent = -Math.pow(x - mean, 2) / (2 * Math.pow(stdDev, 2));
-      const y = (1 / (stdDev * Math.sqrt(2 * Math.PI))) * Math.exp(exponent);
-      data.push({ value: x, probability: y * 100 });
-    }
-    return data;
+  const updateScenarios = (next) => {
+    setScenarios(next);
+    saveScenarios(next);
   };
 
-  const generateTimeSeriesData = (historicalData, targetDate) => {
-    const seriesData = {};
-    const target = new Date(targetDate);
-    const targetMonth = target.getMonth();
-
-    Object.keys(historicalData).forEach(param => {
-      const monthlyData = [];
-      const entries = Object.entries(historicalData[param])
-        .map(([date, value]) => ({
-          date: new Date(date.substring(0, 4), date.substring(4, 6) - 1, date.substring(6, 8)),
-          value
-        }))
-        .filter(item => !isNaN(item.value) && item.date.getMonth() === targetMonth)
-        .sort((a, b) => a.date - b.date);
-
-      const yearlyData = {};
-      entries.forEach(item => {
-        const year = item.date.getFullYear();
-        if (!yearlyData[year]) yearlyData[year] = [];
-        yearlyData[year].push(item.value);
-      });
+  // the map opens on the linked location, else the first saved place
+  const [mapStart] = useState(() => initialQuery.location || places[0] || null);
 
-      Object.keys(yearlyData).forEach(year => {
-        const avg = yearlyData[year].reduce((a, b) => a + b, 0) / yearlyData[year].length;
-        monthlyData.push({ year: parseInt(year), value: avg });
-      });
+  const currentPlaceName = () => locationName || `${location.lat.toFixed(3)}, ${location.lng.toFixed(3)}`;
 
-      seriesData[param] = monthlyData.sort((a, b) => a.year - b.year);
-    });
+  const savePlace = ({ name, notes }) => {
+    updatePlaces([...places, normalizePlace({ name, notes, lat: location.lat, lng: location.lng })]);
+    toast.success(`Saved ${name}`);
+  };
 
-    return seriesData;
+  const goToPlace = ({ name, lat, lng }) => {
+    reverseRef.current?.abort();
+    setArea(null);
+    setLocation({ lat, lng });
+    setLocationName(name);
+    if (mapRef.current) {
+      mapRef.current.setView([lat, lng], 10);
+    }
   };
 
-  const generateForecast = (historicalData, targetDate) => {
-    const predictions = {};
-    const target = new Date(targetDate);
-    const targetMonth = target.getMonth();
-    const targetDay = target.getDate();
-
-    Object.keys(historicalData).forEach(param => {
-      const values = Object.entries(historicalData[param])
-        .map(([date, value]) => {
-          const d = new Date(date.substring(0, 4), date.substring(4, 6) - 1, date.substring(6, 8));
-          return { date: d, value, month: d.getMonth(), day: d.getDate() };
-        })
-        .filter(item => !isNaN(item.value));
-
-      const seasonalData = values.filter(item => {
-        const dayDiff = Math.abs(item.day - targetDay);
-        return item.month === targetMonth && dayDiff <= 7;
-      });
+  // A drawn area is forecast as a whole; its centroid stands in as the
+  // location for naming, pinning and the URL.
+  const selectArea = (shape) => {
+    const centroid = shapeCentroid(shape.points);
+    setArea(shape);
+    setDrawMode("point");
+    setLocation(centroid);
+    setLocationName("");
+    nameClickedPoint(centroid);
+    toast.success(`Area set: ${describeAreaCells(gridCells(shape))}`);
+  };
 
-      if (seasonalData.length > 0) {
-        const sorted = seasonalData.sort((a, b) => b.date - a.date);
-        let weightedSum = 0;
-        let weightSum = 0;
+  const clearArea = () => {
+    setArea(null);
+    setAreaResult(null);
+  };
 
-        sorted.forEach((item, idx) => {
-          const weight = 1 / (idx + 1);
-          weightedSum += item.value * weight;
-          weightSum += weight;
-        });
+  const saveScenario = (name) => {
+    updateScenarios([...scenarios, normalizeScenario({
+      name,
+      place: { name: currentPlaceName(), lat: location.lat, lng: location.lng },
+      targetDate,
+      eventEnd,
+      variables,
+    })]);
+    toast.success(`Saved scenario ${name}`);
+  };
 
-        const predicted = weightedSum / weightSum;
-        const variance = seasonalData.reduce((sum, item) =>
-          sum + Math.pow(item.value - predicted, 2), 0) / seasonalData.length;
-        const stdDev = Math.sqrt(variance);
-
-        predictions[param] = {
-          value: predicted,
-          confidence: Math.max(0, Math.min(100, 100 - (stdDev / Math.abs(predicted)) * 50)),
-          range: { min: predicted - stdDev, max: predicted + stdDev },
-          stdDev: stdDev,
-          samples: seasonalData.length,
-          distribution: generateNormalDistribution(predicted, stdDev)
-        };
-      }
-    });
+  const applyScenario = (scenario) => {
+    goToPlace(scenario.place);
+    setTargetDate(scenario.targetDate);
+    setEventEnd(scenario.eventEnd);
+    setVariables(scenario.variables);
+    toast.success(`Loaded scenario ${scenario.name}`);
+  };
+
+  const importLibrary = async (file) => {
+    try {
+      const imported = parseLibrary(await file.text());
+      updatePlaces(mergeById(places, imported.places));
+      updateScenarios(mergeById(scenarios, imported.scenarios));
+      toast.success(`Imported ${imported.places.length} places and ${imported.scenarios.length} scenarios`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
 
-    return predictions;
+  const downloadLibrary = () => {
+    const blob = new Blob([JSON.stringify(exportLibrary({ places, scenarios }), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', 'Exora-Saved-Places.json');
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const toggleVariable = (id) => {
+    setVariables(prev => prev.includes(id) ? prev.filter(v => v !== id) : [...prev, id]);
   };
 
   const fetchWeatherForecast = async () => {
@@ -183,104 +429,77 @@ export default function WeatherPredictor() {
       return;
     }
 
+    // only the latest request may touch state; older ones are cancelled
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+
     setLoading(true);
     setForecast(null);
+    setEventForecast(null);
+    setAreaResult(null);
+    setForecastError(null);
 
     try {
-      const lat = location.lat.toFixed(2);
-      const lon = location.lng.toFixed(2);
-      const endYear = new Date().getFullYear() - 1;
-      const startYear = endYear - 4;
-      const startDate = `${startYear}0101`;
-      const endDate = `${endYear}1231`;
-
+      const period = resolveBaseline(baseline);
       const params = variables
-        .map(v => weatherVars.find(w => w.id === v)?.param)
-        .filter(Boolean)
-        .join(",");
-
-      const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=${params}&community=AG&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=JSON`;
-      const response = await fetch(url);
-
-      if (!response.ok) throw new Error(`NASA POWER API error: ${response.status}`);
-
-      const data = await response.json();
-      const historical = data.properties.parameter;
+        .map(v => getVariable(v)?.param)
+        .filter(Boolean);
+
+      const request = {
+        params,
+        startYear: period.startYear,
+        endYear: period.endYear,
+        signal: controller.signal,
+      };
+      // an area is forecast from the day-by-day average of its grid cells
+      const areaSeries = areaGrid && await fetchAreaSeries({
+        ...request,
+        cells: areaGrid.cells,
+        onProgress: (done, total) => {
+          if (!controller.signal.aborted) setAreaProgress({ done, total });
+        },
+      });
+      const historical = areaSeries
+        ? areaSeries.historical
+        : await fetchDailySeries({ ...request, lat: location.lat.toFixed(2), lon: location.lng.toFixed(2) });
+      if (controller.signal.aborted) return;
 
-      const predictions = generateForecast(historical, targetDate);
+      setHistoricalData(historical);
+      const predictions = generateForecast(historical, targetDate, { windowDays });
       setForecast(predictions);
+      setForecastPeriod({ ...period, windowDays });
+
+      if (areaSeries) {
+        const cells = areaSeries.cells.map(cell => ({
+          lat: cell.lat,
+          lng: cell.lng,
+          forecast: generateForecast(cell.historical, targetDate, { windowDays, bootstrapResamples: 0 }),
+        }));
+        setAreaResult({ shape: area, inside: areaGrid.inside, cells, spread: cellSpread(cells.map(cell => cell.forecast)) });
+      }
+
+      // an end date turns the target date into the first day of an event
+      if (eventEnd && !eventRangeInvalid) {
+        setEventForecast(forecastEvent(historical, targetDate, eventEnd, { windowDays }));
+      }
 
       const timeSeries = generateTimeSeriesData(historical, targetDate);
       setTimeSeriesData(timeSeries);
+      refreshCacheCount();
 
       toast.success("Forecast generated successfully!");
     } catch (err) {
+      if (isAbortError(err) || controller.signal.aborted) return;
       console.error("Forecast error:", err);
+      setForecastError(err);
       toast.error(`Failed to generate forecast: ${err.message}`);
     } finally {
-      setLoading(false);
-    }
-  };
-
-  const getWeatherImplications = (varId, value, unit) => {
-    switch (varId) {
-      case 'precipitation':
-        if (value < 1) return `Minimal rainfall expected (${value.toFixed(1)} mm). Dry conditions likely - good for outdoor activities but may require irrigation for crops. Low risk of flooding or water-related disruptions.`;
-        if (value < 10) return `Light to moderate rainfall predicted (${value.toFixed(1)} mm). Generally favorable conditions with some precipitation. Suitable for most outdoor activities with minor precautions.`;
-        if (value < 50) return `Significant rainfall anticipated (${value.toFixed(1)} mm). Wet conditions expected - prepare for potential surface water, delays in outdoor work, and increased soil moisture. Good for agriculture but may limit construction activities.`;
-        return `Heavy rainfall forecast (${value.toFixed(1)} mm). Prepare for substantial precipitation that may cause flooding, transportation disruptions, and waterlogging. High priority for drainage management and flood preparedness.`;
-      case 'temperature':
-        if (value < 10) return `Cold conditions expected (${value.toFixed(1)}°C). Prepare for low temperatures - appropriate heating, winter clothing, and frost protection for sensitive plants may be needed. Energy demand for heating will be elevated.`;
-        if (value < 25) return `Moderate temperatures predicted (${value.toFixed(1)}°C). Comfortable conditions for most activities. Generally pleasant weather requiring minimal temperature management for indoor or outdoor operations.`;
-        if (value < 35) return `Warm to hot conditions anticipated (${value.toFixed(1)}°C). Prepare for elevated temperatures - ensure adequate cooling, hydration, and heat stress precautions for outdoor workers and vulnerable populations.`;
-        return `Extreme heat forecast (${value.toFixed(1)}°C). High-risk conditions requiring serious heat mitigation measures. Limit outdoor exposure during peak hours, ensure cooling systems are operational, and monitor for heat-related health issues.`;
-      case 'wind':
-        if (value < 5) return `Light winds expected (${value.toFixed(1)} m/s). Calm conditions favorable for most activities including aviation, construction, and outdoor events. Minimal wind-related concerns.`;
-        if (value < 10) return `Moderate winds predicted (${value.toFixed(1)} m/s). Noticeable breeze but generally manageable. Minor precautions for lightweight structures, small vessels, and wind-sensitive operations recommended.`;
-        if (value < 20) return `Strong winds anticipated (${value.toFixed(1)} m/s). Prepare for challenging conditions - secure loose objects, exercise caution with high-profile vehicles, and monitor for potential structural stress on temporary installations.`;
-        return `Very strong winds forecast (${value.toFixed(1)} m/s). Dangerous conditions requiring significant precautions. High risk for transportation disruptions, structural damage, and safety hazards. Consider postponing non-essential outdoor activities.`;
-      case 'humidity':
-        if (value < 30) return `Low humidity conditions (${value.toFixed(1)}%). Dry air may cause discomfort, increased static electricity, and elevated fire risk. Consider humidification for indoor environments and moisturizing for skin care.`;
-        if (value < 60) return `Comfortable humidity levels (${value.toFixed(1)}%). Ideal moisture content for most applications. Generally pleasant conditions for human comfort and preservation of materials.`;
-        if (value < 80) return `Elevated humidity expected (${value.toFixed(1)}%). Muggy conditions that may feel uncomfortable. Increased potential for mold growth, reduced evaporative cooling efficiency, and discomfort during physical activity.`;
-        return `Very high humidity forecast (${value.toFixed(1)}%). Oppressive atmospheric moisture creating significant discomfort. High risk of heat stress amplification, condensation issues, and mold/mildew problems. Enhanced dehumidification may be necessary.`;
-      case 'pressure':
-        if (value < 980) return `Low atmospheric pressure (${value.toFixed(1)} kPa). Associated with unsettled weather systems. Potential for storms, precipitation, and rapidly changing conditions. Monitor weather updates closely.`;
-        if (value < 1020) return `Normal atmospheric pressure (${value.toFixed(1)} kPa). Stable weather conditions expected. Generally predictable weather patterns with minimal atmospheric disturbances.`;
-        return `High atmospheric pressure (${value.toFixed(1)} kPa). Indicates stable, clear weather systems. Generally favorable conditions with reduced precipitation likelihood and good visibility.`;
-      default:
-        return `Predicted value: ${value.toFixed(2)} ${unit}. Refer to local meteorological standards for interpretation of this parameter in your region.`;
-    }
-  };
-
-  const getDisplayStatus = (varId, value) => {
-    switch (varId) {
-      case 'precipitation':
-        if (value < 1) return { text: 'Dry conditions - Good for outdoor activities', color: 'bg-green-500/20 text-green-400 border-green-500/30' };
-        if (value < 10) return { text: 'Light rainfall - Generally favorable', color: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/30' };
-        if (value < 50) return { text: 'Wet conditions - Prepare for surface water', color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' };
-        return { text: 'Heavy rain - Flooding risk, take precautions', color: 'bg-red-500/20 text-red-400 border-red-500/30' };
-      case 'temperature':
-        if (value < 10) return { text: 'Cold - Winter clothing and heating needed', color: 'bg-blue-500/20 text-blue-400 border-blue-500/30' };
-        if (value < 25) return { text: 'Comfortable - Pleasant for most activities', color: 'bg-green-500/20 text-green-400 border-green-500/30' };
-        if (value < 35) return { text: 'Hot - Stay hydrated and limit sun exposure', color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' };
-        return { text: 'Extreme heat - Health risk, stay indoors', color: 'bg-red-500/20 text-red-400 border-red-500/30' };
-      case 'wind':
-        if (value < 5) return { text: 'Calm - Ideal for all outdoor activities', color: 'bg-green-500/20 text-green-400 border-green-500/30' };
-        if (value < 10) return { text: 'Breezy - Minor precautions needed', color: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/30' };
-        if (value < 20) return { text: 'Strong winds - Secure loose objects', color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' };
-        return { text: 'Dangerous winds - Stay indoors if possible', color: 'bg-red-500/20 text-red-400 border-red-500/30' };
-      case 'humidity':
-        if (value < 30) return { text: 'Dry air - May cause discomfort, fire risk', color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' };
-        if (value < 60) return { text: 'Comfortable - Ideal moisture levels', color: 'bg-green-500/20 text-green-400 border-green-500/30' };
-        if (value < 80) return { text: 'Muggy - Uncomfortable, mold risk increases', color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' };
-        return { text: 'Very humid - Oppressive conditions, health concerns', color: 'bg-red-500/20 text-red-400 border-red-500/30' };
-      case 'pressure':
-        if (value < 980) return { text: 'Low pressure - Storms possible, monitor weather', color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' };
-        if (value < 1020) return { text: 'Normal pressure - Stable weather expected', color: 'bg-green-500/20 text-green-400 border-green-500/30' };
-        return { text: 'High pressure - Clear, stable conditions', color: 'bg-blue-500/20 text-blue-400 border-blue-500/30' };
-      default:
-        return { text: 'Conditions require interpretation', color: 'bg-gray-500/20 text-gray-400 border-gray-500/30' };
+      if (requestRef.current === controller) {
+        requestRef.current = null;
+        setLoading(false);
+        setAreaProgress(null);
+      }
     }
   };
 
@@ -300,13 +519,34 @@ export default function WeatherPredictor() {
         'Predicted Value',
         'Unit',
         'Confidence (%)',
+        'Expected Value 95% CI Lower',
+        'Expected Value 95% CI Upper',
+        'Trend (per decade)',
+        'Trend Applied',
         'Range Min',
         'Range Max',
         'Standard Deviation',
+        'P10',
+        'P50 (Median)',
+        'P90',
+        'Distribution Model',
+        'Dry Day Probability (%)',
         'Samples Used',
+        'Coverage (%)',
+        'Missing Days',
+        'Outliers Removed',
+        'Baseline Start Year',
+        'Baseline End Year',
+        'Window (± days)',
+        'Threshold',
+        'Exceedance Probability (%)',
         'Status',
+        'Location Name',
         'Location Lat',
         'Location Lng',
+        'Area Cells',
+        'Cell Min',
+        'Cell Max',
         'Target Date',
         'Report Generated',
         'Data Source',
@@ -314,10 +554,12 @@ export default function WeatherPredictor() {
       ]);
 
       // Data rows
-      Object.entries(forecast).forEach(([param, data]) => {
+      Object.entries(displayForecast).forEach(([param, data]) => {
         const varInfo = getVarInfo(param);
         const unit = getUnit(param);
-        const statusInfo = getDisplayStatus(varInfo.id, data.value);
+        const statusInfo = getStatus(param, data);
+        const exceedance = getExceedance(param, data);
+        const spread = getCellSpread(param);
         
         rows.push([
           varInfo.label,
@@ -325,20 +567,62 @@ export default function WeatherPredictor() {
           data.value.toFixed(4),
           unit,
           data.confidence.toFixed(2),
+          data.interval ? data.interval.lower.toFixed(4) : '',
+          data.interval ? data.interval.upper.toFixed(4) : '',
+          data.trend ? (data.trend.slope * 10).toFixed(4) : '',
+          data.trend ? (data.trend.applied ? 'yes' : 'no') : '',
           data.range.min.toFixed(4),
           data.range.max.toFixed(4),
           data.stdDev.toFixed(4),
+          data.percentiles.p10.toFixed(4),
+          data.percentiles.p50.toFixed(4),
+          data.percentiles.p90.toFixed(4),
+          data.distributionModel,
+          data.rainModel ? (data.rainModel.dryProbability * 100).toFixed(2) : '',
           data.samples,
-          statusInfo.text,
+          data.quality.coverage.toFixed(2),
+          data.quality.missing,
+          data.quality.outliers,
+          forecastPeriod.startYear,
+          forecastPeriod.endYear,
+          forecastPeriod.windowDays,
+          exceedance ? exceedance.description : '',
+          exceedance ? exceedance.probability.toFixed(2) : '',
+          statusInfo.label,
+          locationName,
           location.lat.toFixed(6),
           location.lng.toFixed(6),
+          spread ? spread.cells : '',
+          spread ? spread.min.toFixed(4) : '',
+          spread ? spread.max.toFixed(4) : '',
           targetDate,
           new Date().toISOString(),
-          'NASA POWER API',
-          'https://power.larc.nasa.gov/'
+          dataProvider.label,
+          dataProvider.url
         ]);
       });
 
+      if (displayEvent) {
+        rows.push([]);
+        rows.push(['Event Day', 'Variable', 'Parameter Code', 'Expected Value', 'P10', 'P90', 'Unit']);
+        displayEvent.days.forEach(day => {
+          Object.entries(day.forecast).forEach(([param, data]) => {
+            rows.push([
+              day.date,
+              getVarInfo(param).label,
+              param,
+              data.value.toFixed(4),
+              data.percentiles.p10.toFixed(4),
+              data.percentiles.p90.toFixed(4),
+              getUnit(param)
+            ]);
+          });
+        });
+        rows.push([]);
+        rows.push(['Event Aggregate', 'Value']);
+        describeEventAggregates().forEach(line => rows.push(line));
+      }
+
       // Convert to CSV string
       const csvContent = rows.map(row => 
         row.map(cell => {
@@ -380,37 +664,55 @@ export default function WeatherPredictor() {
         metadata: {
           generatedAt: new Date().toISOString(),
           targetDate: targetDate,
+          eventEnd: eventForecast ? eventForecast.end : null,
           location: {
+            name: locationName || null,
             latitude: location.lat,
             longitude: location.lng,
-            coordinates: `${location.lat.toFixed(6)}°N, ${location.lng.toFixed(6)}°E`
+            coordinates: `${location.lat.toFixed(6)}°N, ${location.lng.toFixed(6)}°E`,
+            area: areaResult && {
+              method: `Day-by-day average of ${describeAreaCells(areaResult)} sampled at POWER grid-cell centres`,
+              geojson: buildAreaGeoJSON()
+            }
           },
           dataSource: {
-            name: "NASA POWER API",
+            name: dataProvider.label,
+            provider: dataProvider.id,
             url: "https://power.larc.nasa.gov/api/pages/",
             apiEndpoint: "https://power.larc.nasa.gov/api/temporal/daily/point",
             documentation: "https://power.larc.nasa.gov/docs/"
           },
           methodology: {
-            approach: "Seasonal pattern analysis using 5 years of historical satellite data",
-            algorithm: "Weighted moving average with recent years prioritized",
-            analysisWindow: "±7 days from target date",
+            approach: `Seasonal pattern analysis using ${forecastPeriod.years} years of historical satellite data`,
+            algorithm: METHODOLOGY.algorithm,
+            interval: METHODOLOGY.interval,
+            confidenceScore: METHODOLOGY.confidence,
+            analysisWindow: `±${forecastPeriod.windowDays} days from target date (day-of-year distance, wraps across month and year boundaries)`,
+            missingData: `Days with the POWER fill value (${POWER_FILL_VALUE}) or physically implausible values are excluded before any statistic is computed`,
             description: "Historical weather patterns from the same calendar period are analyzed to identify trends and generate predictions"
           },
           analysisParameters: {
-            startYear: new Date().getFullYear() - 5,
-            endYear: new Date().getFullYear() - 1,
-            totalYears: 5,
+            startYear: forecastPeriod.startYear,
+            endYear: forecastPeriod.endYear,
+            totalYears: forecastPeriod.years,
             dataPoints: Object.values(forecast).reduce((sum, data) => sum + data.samples, 0)
+          },
+          units: {
+            display: Object.fromEntries(Object.keys(forecast).map(param => [param, getUnit(param)])),
+            source: Object.fromEntries(Object.keys(forecast).map(param => [param, unitLabel(getVarInfo(param).unit)])),
+            note: "All values are converted from the NASA POWER source units to the display units shown"
           }
         },
         forecasts: []
       };
 
-      Object.entries(forecast).forEach(([param, data]) => {
+      Object.entries(displayForecast).forEach(([param, data]) => {
         const varInfo = getVarInfo(param);
         const unit = getUnit(param);
-        const statusInfo = getDisplayStatus(varInfo.id, data.value);
+        const statusInfo = getStatus(param, data);
+        const exceedance = getExceedance(param, data);
+        const spread = getCellSpread(param);
+        const extremes = getExtremes(param);
         
         exportData.forecasts.push({
           variable: {
@@ -418,13 +720,33 @@ export default function WeatherPredictor() {
             id: varInfo.id,
             parameterCode: param,
             icon: varInfo.icon,
-            color: varInfo.color
+            color: varInfo.color,
+            aggregation: varInfo.aggregation,
+            derivedFrom: varInfo.derived ? { parameters: varInfo.derived.inputs, method: varInfo.derived.description } : null
           },
           prediction: {
             value: parseFloat(data.value.toFixed(4)),
             unit: unit,
             confidence: parseFloat(data.confidence.toFixed(2)),
-            confidenceLevel: data.confidence > 80 ? "High" : data.confidence > 60 ? "Medium" : "Low"
+            confidenceLevel: confidenceLevel(data.confidence).level,
+            interval95: data.interval && {
+              lower: parseFloat(data.interval.lower.toFixed(4)),
+              upper: parseFloat(data.interval.upper.toFixed(4)),
+              resamples: data.interval.resamples
+            },
+            trend: data.trend && {
+              perDecade: parseFloat((data.trend.slope * 10).toFixed(4)),
+              years: data.trend.years,
+              applied: data.trend.applied,
+              unit: `${unit}/decade`
+            }
+          },
+          cellSpread: spread && {
+            cells: spread.cells,
+            minimum: parseFloat(spread.min.toFixed(4)),
+            maximum: parseFloat(spread.max.toFixed(4)),
+            standardDeviation: parseFloat(spread.stdDev.toFixed(4)),
+            unit: unit
           },
           statistics: {
             range: {
@@ -433,15 +755,70 @@ export default function WeatherPredictor() {
               unit: unit
             },
             standardDeviation: parseFloat(data.stdDev.toFixed(4)),
+            percentiles: {
+              p10: parseFloat(data.percentiles.p10.toFixed(4)),
+              p50: parseFloat(data.percentiles.p50.toFixed(4)),
+              p90: parseFloat(data.percentiles.p90.toFixed(4)),
+              unit: unit
+            },
             variance: parseFloat(Math.pow(data.stdDev, 2).toFixed(4)),
             samplesUsed: data.samples,
-            confidenceInterval: `${data.range.min.toFixed(2)} - ${data.range.max.toFixed(2)} ${unit}`
+            expectedRange: `${data.range.min.toFixed(2)} - ${data.range.max.toFixed(2)} ${unit}`
+          },
+          dataQuality: {
+            windowDays: data.quality.days,
+            usableDays: data.quality.usable,
+            coveragePercent: parseFloat(data.quality.coverage.toFixed(2)),
+            missingDays: data.quality.missing,
+            outliersRemoved: data.quality.outliers,
+            summary: describeQuality(data.quality)
+          },
+          exceedance: exceedance && {
+            threshold: { ...exceedance.threshold, unit: unit },
+            description: exceedance.description,
+            probability: parseFloat(exceedance.probability.toFixed(2)),
+            matchingDays: exceedance.count,
+            totalDays: exceedance.total
+          },
+          extremes: extremes && {
+            unit: unit,
+            tail: extremes.tail,
+            recordHigh: { value: parseFloat(extremes.recordHigh.value.toFixed(4)), date: formatISODate(extremes.recordHigh.date) },
+            recordLow: { value: parseFloat(extremes.recordLow.value.toFixed(4)), date: formatISODate(extremes.recordLow.date) },
+            thresholdDays: extremes.exceedance && {
+              days: extremes.exceedance.days,
+              perYear: parseFloat(extremes.exceedance.perYear.toFixed(2)),
+              yearsAffected: extremes.exceedance.yearsAffected,
+              longestRun: extremes.exceedance.longestRun
+            },
+            returnLevels: extremes.returnLevels.map(level => ({
+              periodYears: level.period,
+              value: parseFloat(level.value.toFixed(4)),
+              extrapolated: level.extrapolated
+            })),
+            method: `Gumbel (L-moments) fit to ${extremes.blocks.length} annual ${extremes.tail === "high" ? "maxima" : "minima"} within the window`,
+            reliable: extremes.reliable
           },
           interpretation: {
-            status: statusInfo.text,
-            implications: getWeatherImplications(varInfo.id, data.value, unit),
-            category: data.confidence > 80 ? "High Confidence" : data.confidence > 60 ? "Moderate Confidence" : "Lower Confidence"
+            status: statusInfo.label,
+            severity: statusInfo.severity,
+            ruleSet: rules.name,
+            implications: statusInfo.advice,
+            category: confidenceLevel(data.confidence).category
           },
+          distributionModel: data.rainModel ? {
+            type: "mixed-gamma",
+            dryDayProbability: parseFloat(data.rainModel.dryProbability.toFixed(4)),
+            wetDayThreshold: parseFloat(data.rainModel.wetThreshold.toPrecision(2)),
+            gammaShape: parseFloat(data.rainModel.shape.toFixed(4)),
+            gammaScale: parseFloat(data.rainModel.scale.toFixed(4))
+          } : { type: data.distributionModel },
+          histogram: data.histogram.map(bin => ({
+            from: parseFloat(bin.from.toFixed(4)),
+            to: parseFloat(bin.to.toFixed(4)),
+            count: bin.count,
+            percent: parseFloat(bin.probability.toFixed(2))
+          })),
           distributionData: data.distribution.map(point => ({
             value: parseFloat(point.value.toFixed(4)),
             probability: parseFloat(point.probability.toFixed(4)),
@@ -451,15 +828,16 @@ export default function WeatherPredictor() {
       });
 
       // Add time series data if available
-      if (timeSeriesData) {
+      if (displayTimeSeries) {
         exportData.historicalTrends = {};
-        Object.entries(timeSeriesData).forEach(([param, data]) => {
+        Object.entries(displayTimeSeries).forEach(([param, data]) => {
           const varInfo = getVarInfo(param);
           exportData.historicalTrends[param] = {
             variable: varInfo.label,
             parameterCode: param,
             unit: getUnit(param),
-            description: `Historical yearly averages for ${new Date(targetDate).toLocaleString('default', { month: 'long' })}`,
+            aggregation: varInfo.aggregation,
+            description: `Historical yearly ${aggregationFor(param).label.toLowerCase()} of daily values for ${new Date(targetDate).toLocaleString('default', { month: 'long' })}`,
             yearlyAverages: data.map(point => ({
               year: point.year,
               value: parseFloat(point.value.toFixed(4)),
@@ -469,6 +847,63 @@ export default function WeatherPredictor() {
         });
       }
 
+      if (activityResult && activityResult.score !== null) {
+        exportData.activitySuitability = {
+          activity: activityResult.profile.label,
+          score: parseFloat(activityResult.score.toFixed(1)),
+          verdict: activityResult.verdict.label,
+          riskDriver: activityResult.driver ? activityResult.driver.param : null,
+          explanation: activityExplanation,
+          factors: activityResult.factors.map(factor => ({
+            parameterCode: factor.param,
+            variable: factor.label,
+            weight: factor.weight,
+            score: parseFloat(factor.score.toFixed(1)),
+            comfortableRange: formatCanonicalRange(factor.param, factor.comfortable),
+            tolerableRange: formatCanonicalRange(factor.param, factor.tolerable),
+            unacceptableProbability: parseFloat(factor.unacceptable.toFixed(2))
+          })),
+          notScored: activityResult.missing
+        };
+      }
+
+      if (displayEvent) {
+        const { rain, heat } = eventForecast.aggregates;
+        const round = (param, value) => parseFloat(toDisplayValue(param, value).toFixed(4));
+        exportData.event = {
+          start: displayEvent.start,
+          end: displayEvent.end,
+          days: displayEvent.days.map(day => ({
+            date: day.date,
+            variables: Object.fromEntries(Object.entries(day.forecast).map(([param, data]) => [param, {
+              value: parseFloat(data.value.toFixed(4)),
+              p10: parseFloat(data.percentiles.p10.toFixed(4)),
+              p90: parseFloat(data.percentiles.p90.toFixed(4)),
+              unit: getUnit(param)
+            }]))
+          })),
+          rain: rain && {
+            parameterCode: rain.param,
+            rainyDayThreshold: round(rain.param, rain.rainyDayThreshold),
+            anyRainyDayProbability: parseFloat(rain.anyRainyProbability.toFixed(2)),
+            expectedRainyDays: parseFloat(rain.expectedRainyDays.toFixed(2)),
+            expectedTotal: round(rain.param, rain.expectedTotal),
+            totalP90: round(rain.param, rain.totalP90),
+            unit: getUnit(rain.param),
+            analogues: rain.analogues
+          },
+          heat: heat && {
+            parameterCode: heat.param,
+            hottestDay: { date: heat.hottestDay.date, value: round(heat.param, heat.hottestDay.value) },
+            expectedPeak: round(heat.param, heat.expectedPeak),
+            peakP90: round(heat.param, heat.peakP90),
+            unit: getUnit(heat.param),
+            analogues: heat.analogues
+          },
+          methodology: EVENT_METHODOLOGY
+        };
+      }
+
       exportData.license = {
         notice: "Data provided by NASA POWER API Project, And the code to analyze the forecast data is mdae by AI",
         terms: "Please acknowledge NASA POWER API when using this data",
@@ -495,6 +930,60 @@ export default function WeatherPredictor() {
     }
   };
 
+  // The area with its forecast on the shape and every sampled cell's
+  // expected values on the cell's point, in display units.
+  const buildAreaGeoJSON = () => areaToGeoJSON(areaResult.shape, {
+    properties: {
+      name: locationName || null,
+      targetDate,
+      areaKm2: Math.round(shapeAreaKm2(areaResult.shape.points)),
+      cellsInside: areaResult.inside,
+      cellsSampled: areaResult.cells.length,
+      forecast: Object.fromEntries(Object.entries(displayForecast).map(([param, data]) => {
+        const spread = getCellSpread(param);
+        return [param, {
+          variable: getVarInfo(param).label,
+          value: parseFloat(data.value.toFixed(4)),
+          p10: parseFloat(data.percentiles.p10.toFixed(4)),
+          p90: parseFloat(data.percentiles.p90.toFixed(4)),
+          cellMin: spread && parseFloat(spread.min.toFixed(4)),
+          cellMax: spread && parseFloat(spread.max.toFixed(4)),
+          unit: getUnit(param),
+        }];
+      })),
+    },
+    cells: areaResult.cells.map(cell => ({
+      lat: cell.lat,
+      lng: cell.lng,
+      ...Object.fromEntries(Object.entries(cell.forecast).map(([param, data]) => [param, parseFloat(toDisplayValue(param, data.value).toFixed(4))])),
+    })),
+  });
+
+  const downloadGeoJSON = () => {
+    if (!forecast || !areaResult) {
+      toast.error("No area forecast to download");
+      return;
+    }
+
+    try {
+      const blob = new Blob([JSON.stringify(buildAreaGeoJSON(), null, 2)], { type: 'application/geo+json' });
+      const link = document.createElement('a');
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      link.setAttribute('download', `Weather-Forecast-${targetDate}.geojson`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      toast.success("GeoJSON file downloaded successfully!");
+    } catch (err) {
+      console.error("GeoJSON generation error:", err);
+      toast.error(`Failed to generate GeoJSON: ${err.message}`);
+    }
+  };
+
   const convertSvgToImage = (svg) => {
     return new Promise((resolve) => {
       const canvas = document.createElement('canvas');
@@ -545,37 +1034,6 @@ export default function WeatherPredictor() {
     return chartData;
   };
 
-  const getWeatherStatus = (varId, value) => {
-    switch (varId) {
-      case 'precipitation':
-        if (value < 1) return { status: 'Dry conditions - Good for outdoor activities', color: [16, 185, 129] };
-        if (value < 10) return { status: 'Light rainfall - Generally favorable', color: [34, 197, 94] };
-        if (value < 50) return { status: 'Wet conditions - Prepare for surface water', color: [234, 179, 8] };
-        return { status: 'Heavy rain - Flooding risk, take precautions', color: [239, 68, 68] };
-      case 'temperature':
-        if (value < 10) return { status: 'Cold - Winter clothing and heating needed', color: [59, 130, 246] };
-        if (value < 25) return { status: 'Comfortable - Pleasant for most activities', color: [16, 185, 129] };
-        if (value < 35) return { status: 'Hot - Stay hydrated and limit sun exposure', color: [234, 179, 8] };
-        return { status: 'Extreme heat - Health risk, stay indoors', color: [239, 68, 68] };
-      case 'wind':
-        if (value < 5) return { status: 'Calm - Ideal for all outdoor activities', color: [16, 185, 129] };
-        if (value < 10) return { status: 'Breezy - Minor precautions needed', color: [34, 197, 94] };
-        if (value < 20) return { status: 'Strong winds - Secure loose objects', color: [234, 179, 8] };
-        return { status: 'Dangerous winds - Stay indoors if possible', color: [239, 68, 68] };
-      case 'humidity':
-        if (value < 30) return { status: 'Dry air - May cause discomfort, fire risk', color: [234, 179, 8] };
-        if (value < 60) return { status: 'Comfortable - Ideal moisture levels', color: [16, 185, 129] };
-        if (value < 80) return { status: 'Muggy - Uncomfortable, mold risk increases', color: [234, 179, 8] };
-        return { status: 'Very humid - Oppressive conditions, health concerns', color: [239, 68, 68] };
-      case 'pressure':
-        if (value < 980) return { status: 'Low pressure - Storms possible, monitor weather', color: [234, 179, 8] };
-        if (value < 1020) return { status: 'Normal pressure - Stable weather expected', color: [16, 185, 129] };
-        return { status: 'High pressure - Clear, stable conditions', color: [59, 130, 246] };
-      default:
-        return { status: 'Conditions require interpretation', color: [107, 114, 128] };
-    }
-  };
-
   const downloadPDF = async () => {
     if (!forecast || !location || !targetDate) {
       toast.error("No forecast data to download");
@@ -659,16 +1117,23 @@ export default function WeatherPredictor() {
       addHeader('Forecast Configuration');
       addBox([
         { label: 'Target Date', value: new Date(targetDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) },
-        { label: 'Location', value: `${location.lat.toFixed(4)}°N, ${location.lng.toFixed(4)}°E` },
+        ...(eventForecast ? [{ label: 'Event Ends', value: parseTargetDate(eventForecast.end).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) }] : []),
+        { label: 'Location', value: `${locationName ? `${locationName} (` : ''}${location.lat.toFixed(4)}°N, ${location.lng.toFixed(4)}°E${locationName ? ')' : ''}` },
+        ...(areaResult ? [{ label: 'Area', value: `${areaResult.shape.type}, about ${Math.round(shapeAreaKm2(areaResult.shape.points))} km², averaged over ${describeAreaCells(areaResult)}` }] : []),
         { label: 'Report Generated', value: new Date().toLocaleDateString('en-US', { dateStyle: 'full' }) },
-        { label: 'Data Source', value: 'NASA POWER API' },
-        { label: 'Analysis Period', value: `5 Years (${new Date().getFullYear() - 5} - ${new Date().getFullYear() - 1})` },
-        { label: 'Variables Analyzed', value: `${Object.keys(forecast).length} Weather Parameters` }
+        { label: 'Data Source', value: dataProvider.label },
+        { label: 'Analysis Period', value: describeBaseline(forecastPeriod) },
+        { label: 'Variables Analyzed', value: `${Object.keys(forecast).length} Weather Parameters` },
+        { label: 'Status Rules', value: rules.name }
       ]);
 
       addHeader('Forecasting Methodology');
+      doc.setFontSize(10);
+      const approachText = doc.splitTextToSize(`This forecast employs seasonal pattern analysis using ${forecastPeriod.years} years (${forecastPeriod.startYear} - ${forecastPeriod.endYear}) of NASA POWER satellite data. The model analyzes weather patterns from the same calendar period (±${forecastPeriod.windowDays} days of the target day of year) to identify trends.`, contentWidth - 6);
+      const algoText = doc.splitTextToSize(`${METHODOLOGY.algorithm} ${METHODOLOGY.interval}`, contentWidth - 6);
+      const confidenceText = doc.splitTextToSize(METHODOLOGY.confidence, contentWidth - 6);
+      const methodologyHeight = 30 + (approachText.length + algoText.length + confidenceText.length) * 4;
       doc.setFillColor(254, 243, 199);
-      const methodologyHeight = 35;
       checkPageBreak(methodologyHeight);
       doc.rect(margin, yPos, contentWidth, methodologyHeight, 'F');
       doc.setDrawColor(245, 158, 11);
@@ -682,21 +1147,92 @@ export default function WeatherPredictor() {
       yPos += 5;
       doc.setFont('helvetica', 'normal');
       doc.setTextColor(120, 53, 15);
-      const approachText = doc.splitTextToSize('This forecast employs seasonal pattern analysis using 5 years of NASA POWER satellite data. The model analyzes weather patterns from the same calendar period (±7 days) to identify trends.', contentWidth - 6);
       doc.text(approachText, margin + 3, yPos);
       yPos += approachText.length * 4 + 5;
       doc.setFont('helvetica', 'bold');
       doc.text('Algorithm:', margin + 3, yPos);
       yPos += 5;
       doc.setFont('helvetica', 'normal');
-      const algoText = doc.splitTextToSize('Weighted moving average where recent years have higher importance. Confidence scores based on historical variance.', contentWidth - 6);
       doc.text(algoText, margin + 3, yPos);
-      yPos += algoText.length * 4 + 8;
+      yPos += algoText.length * 4 + 5;
+      doc.setFont('helvetica', 'bold');
+      doc.text('Confidence Score:', margin + 3, yPos);
+      yPos += 5;
+      doc.setFont('helvetica', 'normal');
+      doc.text(confidenceText, margin + 3, yPos);
+      yPos += confidenceText.length * 4 + 8;
+
+      if (activityResult && activityResult.score !== null) {
+        addHeader('Activity Suitability');
+        addBox([
+          { label: 'Activity', value: activityResult.profile.label },
+          { label: 'Suitability Score', value: `${activityResult.score.toFixed(0)} / 100` },
+          { label: 'Verdict', value: activityResult.verdict.label },
+          ...activityResult.factors.map(factor => ({
+            label: `${factor.label} (weight ${factor.weight})`,
+            value: `${factor.score.toFixed(0)} / 100, ${factor.unacceptable.toFixed(0)}% of days unacceptable`
+          }))
+        ]);
+        const activityText = doc.splitTextToSize(activityExplanation, contentWidth);
+        checkPageBreak(activityText.length * 4 + 6);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(51, 65, 85);
+        doc.text(activityText, margin, yPos);
+        yPos += activityText.length * 4 + 6;
+      }
+
+      if (displayEvent) {
+        addHeader('Event Forecast');
+        addBox(describeEventAggregates().map(([label, value]) => ({ label, value })));
+
+        if (chartImages.event?.timeline) {
+          checkPageBreak(65);
+          doc.addImage(chartImages.event.timeline, 'PNG', margin, yPos, contentWidth, 55);
+          yPos += 60;
+        }
+
+        // day-by-day strip: expected value with P10-P90 per variable
+        const eventParams = Object.keys(displayEvent.days[0].forecast);
+        const dateWidth = 25;
+        const columnWidth = (contentWidth - dateWidth) / eventParams.length;
+        const addEventRow = (cells, bold) => {
+          checkPageBreak(6);
+          doc.setFontSize(7);
+          doc.setFont('helvetica', bold ? 'bold' : 'normal');
+          doc.setTextColor(51, 65, 85);
+          cells.forEach((cell, i) => {
+            doc.text(cell, margin + (i === 0 ? 0 : dateWidth + (i - 1) * columnWidth), yPos);
+          });
+          yPos += 5;
+        };
+        addEventRow(['Date', ...eventParams.map(param => `${getVarInfo(param).label} (${getUnit(param)})`)], true);
+        displayEvent.days.forEach(day => {
+          addEventRow([
+            day.date,
+            ...eventParams.map(param => {
+              const data = day.forecast[param];
+              return data ? `${data.value.toFixed(1)} (${data.percentiles.p10.toFixed(1)} - ${data.percentiles.p90.toFixed(1)})` : '-';
+            })
+          ], false);
+        });
 
-      for (const [param, data] of Object.entries(forecast)) {
-        const varInfo = weatherVars.find(v => v.param === param);
+        const eventText = doc.splitTextToSize(EVENT_METHODOLOGY, contentWidth);
+        checkPageBreak(eventText.length * 4 + 6);
+        yPos += 2;
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(100, 116, 139);
+        doc.text(eventText, margin, yPos);
+        yPos += eventText.length * 4 + 6;
+      }
+
+      for (const [param, data] of Object.entries(displayForecast)) {
+        const varInfo = getVariableByParam(param);
         const unit = getUnit(param);
-        const statusInfo = getWeatherStatus(varInfo.id, data.value);
+        const statusInfo = getStatus(param, data);
+        const exceedance = getExceedance(param, data);
+        const spread = getCellSpread(param);
         
         checkPageBreak(15);
         
@@ -717,13 +1253,13 @@ export default function WeatherPredictor() {
         yPos += 15;
 
         checkPageBreak(10);
-        doc.setFillColor(...statusInfo.color);
-        const statusWidth = doc.getTextWidth(statusInfo.status) + 8;
+        doc.setFillColor(...statusInfo.rgb);
+        const statusWidth = doc.getTextWidth(statusInfo.label) + 8;
         doc.roundedRect(margin, yPos, statusWidth, 7, 1.5, 1.5, 'F');
         doc.setFontSize(9);
         doc.setFont('helvetica', 'bold');
         doc.setTextColor(255, 255, 255);
-        doc.text(statusInfo.status, margin + 4, yPos + 5);
+        doc.text(statusInfo.label, margin + 4, yPos + 5);
         yPos += 12;
 
         checkPageBreak(12);
@@ -749,9 +1285,22 @@ export default function WeatherPredictor() {
           ['Confidence Level', `${data.confidence.toFixed(1)}%`],
           ['Expected Range', `${data.range.min.toFixed(2)} - ${data.range.max.toFixed(2)} ${unit}`],
           ['Standard Deviation', `±${data.stdDev.toFixed(2)} ${unit}`],
+          ['95% CI (Expected)', data.interval ? `${data.interval.lower.toFixed(2)} - ${data.interval.upper.toFixed(2)} ${unit}` : 'n/a'],
+          ['Trend per Decade', data.trend ? `${(data.trend.slope * 10).toFixed(2)} ${unit} (${data.trend.applied ? 'applied' : 'not applied'})` : 'n/a'],
+          ['P10 / P50 / P90', `${data.percentiles.p10.toFixed(2)} / ${data.percentiles.p50.toFixed(2)} / ${data.percentiles.p90.toFixed(2)} ${unit}`],
           ['Data Points Used', `${data.samples} samples`],
-          ['Analysis Window', '±7 days']
+          ['Baseline', describeBaseline(forecastPeriod)],
+          ['Analysis Window', `±${forecastPeriod.windowDays} days`]
         ];
+        if (spread) {
+          metricsData.push(['Spread Between Cells', `${spread.min.toFixed(2)} - ${spread.max.toFixed(2)} ${unit} (${spread.cells} cells)`]);
+        }
+        if (data.rainModel) {
+          metricsData.push(['Dry Day Probability', `${(data.rainModel.dryProbability * 100).toFixed(1)}% (< ${data.rainModel.wetThreshold.toPrecision(2)} ${unit})`]);
+        }
+        if (exceedance) {
+          metricsData.push([`Chance ${exceedance.description}`, `${exceedance.probability.toFixed(1)}% (${exceedance.count}/${exceedance.total} days)`]);
+        }
 
         for (let i = 0; i < metricsData.length; i += 2) {
           checkPageBreak(12);
@@ -778,7 +1327,7 @@ export default function WeatherPredictor() {
         checkPageBreak(20);
         doc.setFillColor(219, 234, 254);
         const explainText = doc.splitTextToSize(
-          `Based on ${data.samples} historical observations, the predicted ${varInfo.label.toLowerCase()} is ${data.value.toFixed(2)} ${unit} with ${data.confidence.toFixed(1)}% confidence. The actual value is expected to fall between ${data.range.min.toFixed(2)} ${unit} and ${data.range.max.toFixed(2)} ${unit}.`,
+          `Based on ${data.samples} historical observations, the expected ${varInfo.label.toLowerCase()} is ${data.value.toFixed(2)} ${unit}. Days in this window typically vary between ${data.range.min.toFixed(2)} ${unit} and ${data.range.max.toFixed(2)} ${unit} (one standard deviation either side), and 80% of them fell between ${data.percentiles.p10.toFixed(2)} ${unit} and ${data.percentiles.p90.toFixed(2)} ${unit}. The confidence score of ${data.confidence.toFixed(1)} (${confidenceLevel(data.confidence).level.toLowerCase()}) says how firmly the baseline pins down the expected value, not the chance that the day lands on it.`,
           contentWidth - 6
         );
         const explainHeight = explainText.length * 4 + 8;
@@ -814,7 +1363,7 @@ export default function WeatherPredictor() {
           doc.setFontSize(9);
           doc.setFont('helvetica', 'bold');
           doc.setTextColor(51, 65, 85);
-          doc.text('Historical Trend Analysis (Same Month)', margin, yPos);
+          doc.text(`Historical Trend Analysis (Same Month, ${aggregationFor(param).label})`, margin, yPos);
           yPos += 5;
           doc.addImage(chartImages[param].timeseries, 'PNG', margin, yPos, contentWidth, 55);
           yPos += 60;
@@ -823,7 +1372,7 @@ export default function WeatherPredictor() {
         checkPageBreak(20);
         doc.setFillColor(240, 253, 244);
         const implicationText = doc.splitTextToSize(
-          getWeatherImplications(varInfo.id, data.value, unit),
+          statusInfo.advice,
           contentWidth - 6
         );
         const implicationHeight = implicationText.length * 4 + 8;
@@ -879,7 +1428,7 @@ export default function WeatherPredictor() {
       doc.setFont('helvetica', 'normal');
       doc.setFontSize(7);
       doc.setTextColor(100, 116, 139);
-      doc.text('Data Source: NASA POWER Project | Weighted Seasonal Pattern Analysis', pageWidth / 2, yPos, { align: 'center' });
+      doc.text('Data Source: NASA POWER Project | Trend-Adjusted Seasonal Climatology', pageWidth / 2, yPos, { align: 'center' });
 
       doc.save(`Weather-Forecast-${targetDate}.pdf`);
       toast.success("PDF report downloaded successfully!", { id: toastId });
@@ -890,12 +1439,39 @@ export default function WeatherPredictor() {
     }
   };
 
+  useEffect(refreshCacheCount, []);
+
+  const dashboardQuery = serializeDashboardState({
+    location, locationName, area, targetDate, eventEnd, variables, baseline, windowDays, displayUnits, activity,
+  }).toString();
+
+  // replace rather than push so the back button leaves the dashboard instead
+  // of stepping through every click
+  useEffect(() => {
+    if (searchParams.toString() !== dashboardQuery) {
+      setSearchParams(new URLSearchParams(dashboardQuery), { replace: true });
+    }
+  }, [dashboardQuery, searchParams, setSearchParams]);
+
+  const copyShareLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}?${dashboardQuery}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success("Link copied to clipboard");
+    } catch {
+      toast.error("Could not copy the link; copy it from the address bar instead");
+    }
+  };
+
   useEffect(() => {
     if (location && targetDate && variables.length > 0) {
       const timer = setTimeout(fetchWeatherForecast, 500);
-      return () => clearTimeout(timer);
+      return () => {
+        clearTimeout(timer);
+        requestRef.current?.abort();
+      };
     }
-  }, [location, targetDate, variables]);
+  }, [location, area, targetDate, eventEnd, variables, baseline, windowDays]);
 
   return (
     <div className="bg-[#0d1117] text-[#e6edf3] min-h-screen p-6">
@@ -905,6 +1481,11 @@ export default function WeatherPredictor() {
             Exora Climate Forecaster
           </h1>
           <p className="text-[#8b949e] text-lg">Advanced weather prediction using historical NASA data</p>
+          {dataProvider.id !== "power" && (
+            <span className="inline-block mt-3 px-3 py-1 rounded-full text-xs bg-[#f5a623]/20 text-[#f5a623] border border-[#f5a623]/30">
+              <i className="fas fa-plug"></i> Offline data: {dataProvider.label}
+            </span>
+          )}
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -912,93 +1493,201 @@ export default function WeatherPredictor() {
             <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
               <i className="fas fa-search-location"></i> Find Location
             </h3>
-            <div className="flex items-center space-x-2 mb-4">
-              <input
-                type="text"
-                placeholder="Search city, country..."
-                onKeyDown={handleLocationSearch}
-                className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors"
-              />
-              <button
-                onClick={handleLocationSearch}
-                className="p-3 bg-[#4dc2f5] rounded-lg text-white hover:bg-opacity-90 transition-colors"
-              >
-                <i className="fas fa-search"></i>
-              </button>
-            </div>
-            <p className="text-sm text-[#8b949e] mb-6">Please enter the name of a location where you'd like to view the weather forecast, or simply select the spot directly from the interactive map below</p>
+            <LocationSearch
+              geocoder={geocoder}
+              onSelect={(place) => {
+                goToPlace({ name: describePlace(place), lat: place.lat, lng: place.lng });
+                toast.success(`Location found: ${place.label}`);
+              }}
+            />
+            <SavedLibrary
+              places={places}
+              scenarios={scenarios}
+              currentPlace={location && { name: currentPlaceName() }}
+              canSaveScenario={Boolean(location && targetDate && variables.length)}
+              defaultScenarioName={location && targetDate ? `${currentPlaceName()}, ${targetDate}` : ""}
+              onSavePlace={savePlace}
+              onSelectPlace={(place) => {
+                goToPlace(place);
+                toast.success(`Location set: ${place.name}`);
+              }}
+              onDeletePlace={(id) => updatePlaces(places.filter(p => p.id !== id))}
+              onSaveScenario={saveScenario}
+              onApplyScenario={applyScenario}
+              onDeleteScenario={(id) => updateScenarios(scenarios.filter(s => s.id !== id))}
+              onImport={importLibrary}
+              onExport={downloadLibrary}
+            />
+            <p className="text-sm text-[#8b949e] mb-4">Search for a place, open one you saved, or click the spot directly on the map</p>
 
             <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <i className="fas fa-calendar-alt"></i> Event Date
+              <i className="fas fa-calendar-alt"></i> Event Dates
             </h3>
-            <div className="relative w-full">
-              <input
-                type="date"
-                value={targetDate}
-                onChange={(e) => setTargetDate(e.target.value)}
-                min={new Date().toISOString().split('T')[0]}
-                className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors opacity-0 absolute inset-0 z-10"
-              />
-              <div className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] flex items-center justify-between pointer-events-none">
-                <span>{targetDate || "Select a date"}</span>
-                <i className="fas fa-calendar-alt text-[#4dc2f5]"></i>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="relative w-full">
+                <input
+                  type="date"
+                  value={targetDate}
+                  onChange={(e) => setTargetDate(e.target.value)}
+                  min={new Date().toISOString().split('T')[0]}
+                  className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors opacity-0 absolute inset-0 z-10"
+                />
+                <div className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] flex items-center justify-between pointer-events-none">
+                  <span>{targetDate || "Start date"}</span>
+                  <i className="fas fa-calendar-alt text-[#4dc2f5]"></i>
+                </div>
+              </div>
+              <div className="relative w-full">
+                <input
+                  type="date"
+                  value={eventEnd}
+                  onChange={(e) => setEventEnd(e.target.value)}
+                  min={targetDate || new Date().toISOString().split('T')[0]}
+                  max={targetDate ? latestEventEnd(targetDate) : undefined}
+                  className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] focus:outline-none focus:border-[#4dc2f5] transition-colors opacity-0 absolute inset-0 z-10"
+                />
+                <div className="w-full px-4 py-3 bg-[#0d1117] border border-[#30363d] rounded-lg text-sm text-[#e6edf3] flex items-center justify-between pointer-events-none">
+                  <span className={eventEnd ? "" : "text-[#8b949e]"}>{eventEnd || "End (optional)"}</span>
+                  <i className="fas fa-calendar-check text-[#4dc2f5]"></i>
+                </div>
               </div>
             </div>
-            <p className="text-sm text-[#8b949e] mt-2">
-              Eg: if you're planning a hike three months from now, you can check the likely weather conditions in advance
-            </p>
+            {eventRangeInvalid ? (
+              <p className="text-sm text-[#f5a623] mt-2">
+                The end date must be 1 to {MAX_EVENT_DAYS - 1} days after the start; showing the start date only. <button onClick={() => setEventEnd("")} className="underline">Clear</button>
+              </p>
+            ) : (
+              <p className="text-sm text-[#8b949e] mt-2">
+                Eg: planning a hike three months from now? Add an end date to see a multi-day trip day by day (up to {MAX_EVENT_DAYS} days). {eventEnd && <button onClick={() => setEventEnd("")} className="text-[#4dc2f5] underline">Clear end date</button>}
+              </p>
+            )}
           </div>
 
           <div className="lg:col-span-2 bg-[#161b22] border border-[#30363d] rounded-xl p-6 h-[400px] flex flex-col">
-            <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
-              <i className="fas fa-map-marker-alt"></i> Interactive Map
-            </h3>
-            <div className="rounded-xl overflow-hidden border border-[#30363d] flex-grow">
-              <MapContainer ref={mapRef} center={[20, 77]} zoom={4} style={{ height: "100%", width: "100%" }}>
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h3 className="text-lg font-semibold flex items-center gap-2">
+                <i className="fas fa-map-marker-alt"></i> Interactive Map
+              </h3>
+              <div className="flex gap-1">
+                {DRAW_MODES.map(mode => (
+                  <button
+                    key={mode.id}
+                    onClick={() => setDrawMode(mode.id)}
+                    className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors flex items-center gap-1 ${drawMode === mode.id ? "bg-[#4dc2f5] text-white" : "bg-[#0d1117] border border-[#30363d] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                  >
+                    <i className={mode.icon}></i> {mode.label}
+                  </button>
+                ))}
+                {area && (
+                  <button onClick={clearArea} className="px-3 py-1 rounded-lg text-xs text-[#8b949e] hover:text-[#f75555]">
+                    <i className="fas fa-times"></i> Clear area
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="relative rounded-xl overflow-hidden border border-[#30363d] flex-grow">
+              <MapContainer ref={mapRef} center={mapStart ? [mapStart.lat, mapStart.lng] : [20, 77]} zoom={mapStart ? 9 : 4} style={{ height: "100%", width: "100%" }}>
                 <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+                <ClimatologyLayer key={`climatology-${drawMode}`} cells={overlayCells} interactive={drawMode === "point"} onSelect={selectPoint} />
                 <MapClick />
+                <AreaDrawLayer key={`draw-${drawMode}`} mode={drawMode} area={area} cells={areaGrid?.cells ?? []} onComplete={selectArea} />
               </MapContainer>
+              <ClimatologyOverlay
+                getMapBounds={getMapBounds}
+                params={variables.map(v => getVariable(v)?.param).filter(Boolean)}
+                targetDate={targetDate}
+                period={resolveBaseline(baseline)}
+                windowDays={windowDays}
+                getVarInfo={getVarInfo}
+                getUnit={getUnit}
+                getDisplayUnit={getDisplayUnit}
+                getThreshold={getThreshold}
+                onCellsChange={setOverlayCells}
+              />
             </div>
-            {location && (
-              <p className="text-xs text-[#c9d1d9] mt-2">
-                <i className="fas fa-map-pin"></i> Selected: {location.lat.toFixed(4)}°, {location.lng.toFixed(4)}°
+            {drawMode !== "point" ? (
+              <p className="text-xs text-[#f5a623] mt-2">
+                <i className="fas fa-draw-polygon"></i> {DRAW_HINTS[drawMode]}
               </p>
+            ) : location && (
+              <div className="flex justify-between items-center mt-2">
+                <p className="text-xs text-[#c9d1d9]">
+                  <i className={area ? "fas fa-draw-polygon" : "fas fa-map-pin"}></i> Selected: {area && `Area of about ${Math.round(shapeAreaKm2(area.points))} km² (${describeAreaCells(areaGrid)}) around `}{locationName && `${locationName} - `}{location.lat.toFixed(4)}°, {location.lng.toFixed(4)}°
+                </p>
+                <button onClick={pinVenue} className="text-xs text-[#4dc2f5] hover:underline flex items-center gap-1">
+                  <i className="fas fa-thumbtack"></i> Pin for comparison
+                </button>
+              </div>
             )}
           </div>
         </div>
 
         <div className="space-y-6">
+          <AnalysisSettings
+            baseline={baseline}
+            onBaselineChange={setBaseline}
+            windowDays={windowDays}
+            onWindowDaysChange={setWindowDays}
+            displayUnits={displayUnits}
+            onDisplayUnitsChange={setDisplayUnits}
+            ruleSetName={rules.name}
+            isCustomRuleSet={rules !== DEFAULT_RULES}
+            onRulesFile={loadRulesFile}
+            onResetRules={resetRules}
+            cachedSeries={cachedSeries}
+            onClearCache={clearCache}
+          />
+
           <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-xl font-semibold">Select Weather Variables</h3>
-              {forecast && (
-                <div className="flex gap-2">
-                  <button
-                    onClick={downloadPDF}
-                    className="px-4 py-2 bg-[#4dc2f5] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
-                  >
-                    <i className="fas fa-file-pdf"></i> PDF
-                  </button>
-                  <button
-                    onClick={downloadCSV}
-                    className="px-4 py-2 bg-[#36c891] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
-                  >
-                    <i className="fas fa-file-csv"></i> CSV
-                  </button>
+              <div className="flex gap-2">
+                {location && targetDate && (
                   <button
-                    onClick={downloadJSON}
-                    className="px-4 py-2 bg-[#927fe1] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
+                    onClick={copyShareLink}
+                    className="px-4 py-2 bg-[#0d1117] border border-[#30363d] text-[#c9d1d9] rounded-lg font-medium hover:bg-[#1f242c] transition-all flex items-center gap-2 text-sm"
                   >
-                    <i className="fas fa-file-code"></i> JSON
+                    <i className="fas fa-link"></i> Copy link
                   </button>
-                </div>
-              )}
+                )}
+                {forecast && (
+                  <>
+                    <button
+                      onClick={downloadPDF}
+                      className="px-4 py-2 bg-[#4dc2f5] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
+                    >
+                      <i className="fas fa-file-pdf"></i> PDF
+                    </button>
+                    <button
+                      onClick={downloadCSV}
+                      className="px-4 py-2 bg-[#36c891] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
+                    >
+                      <i className="fas fa-file-csv"></i> CSV
+                    </button>
+                    <button
+                      onClick={downloadJSON}
+                      className="px-4 py-2 bg-[#927fe1] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
+                    >
+                      <i className="fas fa-file-code"></i> JSON
+                    </button>
+                    {areaResult && (
+                      <button
+                        onClick={downloadGeoJSON}
+                        className="px-4 py-2 bg-[#f5a623] text-white rounded-lg font-medium hover:bg-opacity-90 transition-all flex items-center gap-2 text-sm"
+                      >
+                        <i className="fas fa-draw-polygon"></i> GeoJSON
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
             </div>
-            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
-              {weatherVars.map(v => (
+            <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+              {VARIABLES.map(v => (
                 <button
                   key={v.id}
                   onClick={() => toggleVariable(v.id)}
+                  title={v.derived?.description}
                   className={`p-4 rounded-lg font-medium transition-all duration-200 ${variables.includes(v.id)
                       ? "bg-[#4dc2f5] text-white shadow-md"
                       : "bg-[#0d1117] text-[#8b949e] hover:bg-[#1f242c]"
@@ -1008,11 +1697,67 @@ export default function WeatherPredictor() {
                     <i className={v.icon}></i>
                   </div>
                   <div className="text-xs">{v.label}</div>
+                  {v.derived && <div className="text-[10px] opacity-75">derived</div>}
                 </button>
               ))}
             </div>
           </div>
 
+          <ActivitySuitability
+            activity={activity}
+            onActivityChange={selectActivity}
+            result={activityResult}
+            explanation={activityExplanation}
+            missingLabels={activityResult ? activityResult.missing.map(param => getVarInfo(param)?.label || param) : []}
+          />
+
+          {venues.length > 0 && (
+            <LocationComparison
+              venues={venues}
+              maxVenues={MAX_VENUES}
+              onRemoveVenue={removeVenue}
+              targetDate={targetDate}
+              params={variables.map(v => getVariable(v)?.param).filter(Boolean)}
+              period={resolveBaseline(baseline)}
+              windowDays={windowDays}
+              activityProfile={activityProfile}
+              getVarInfo={getVarInfo}
+              getUnit={getUnit}
+              toDisplay={toDisplay}
+              toDisplayValue={toDisplayValue}
+            />
+          )}
+
+          <BestDateFinder
+            historicalData={historicalData}
+            profile={activityProfile}
+            windowDays={windowDays}
+            onPickDate={(date) => {
+              setTargetDate(date);
+              toast.success(`Target date set to ${date}`);
+            }}
+          />
+
+          <BacktestPanel
+            historicalData={historicalData}
+            targetDate={targetDate}
+            period={forecastPeriod}
+            locationLabel={locationName || (location ? `${location.lat.toFixed(3)}, ${location.lng.toFixed(3)}` : "")}
+            getVarInfo={getVarInfo}
+            getUnit={getUnit}
+            getDisplayUnit={getDisplayUnit}
+            getThreshold={getThreshold}
+          />
+
+          {displayEvent && !loading && (
+            <EventTimeline
+              event={displayEvent}
+              summary={describeEventAggregates()}
+              getVarInfo={getVarInfo}
+              getUnit={getUnit}
+            />
+          )}
+
           <div className="bg-[#161b22] border border-[#30363d] rounded-xl p-6">
             <h3 className="text-2xl font-semibold mb-6 flex items-center gap-2">
               <i className="fas fa-chart-line"></i> Weather Forecast
@@ -1021,119 +1766,165 @@ export default function WeatherPredictor() {
             {loading ? (
               <div className="flex flex-col items-center justify-center h-64 space-y-4">
                 <div className="w-16 h-16 border-4 border-[#4dc2f5] border-t-transparent rounded-full animate-spin"></div>
-                <p className="text-[#8b949e]">Analyzing historical patterns...</p>
+                <p className="text-[#8b949e]">
+                  {areaProgress ? `Fetched ${areaProgress.done} of ${areaProgress.total} grid cells...` : "Analyzing historical patterns..."}
+                </p>
               </div>
+            ) : forecastError ? (
+              <ForecastError error={forecastError} onRetry={fetchWeatherForecast} />
             ) : !location || !targetDate ? (
               <div className="flex items-center justify-center h-64 text-[#8b949e]">
                 <p className="text-center">Select a location and date to generate forecast</p>
               </div>
             ) : forecast && Object.keys(forecast).length > 0 ? (
               <div className="space-y-6">
-                {Object.entries(forecast).map(([param, data]) => {
+                {Object.entries(displayForecast).map(([param, data]) => {
                   const varInfo = getVarInfo(param);
                   const unit = getUnit(param);
-                  const statusInfo = getDisplayStatus(varInfo.id, data.value);
+                  const statusInfo = getStatus(param, data);
+                  const spread = getCellSpread(param);
 
                   return (
-                    <div key={param} className="bg-[#0d1117] rounded-xl p-5 border border-[#30363d]">
-                      <div className="flex justify-between items-start mb-4">
-                        <h4 className="text-lg font-semibold text-[#4dc2f5] flex items-center gap-2">
-                          <i className={varInfo.icon}></i> {varInfo.label}
-                        </h4>
-                        <span className="text-3xl font-bold">
-                          {data.value.toFixed(2)} {unit}
-                        </span>
-                      </div>
-
-                      <div className={`mb-4 px-3 py-2 rounded-lg border inline-block ${statusInfo.color}`}>
-                        <span className="text-sm font-medium">{statusInfo.text}</span>
-                      </div>
-
-                      <div className="grid md:grid-cols-2 gap-4 mb-4">
-                        <div>
-                          <div className="flex justify-between text-sm mb-2">
-                            <span className="text-[#8b949e]">Confidence:</span>
-                            <span className="text-[#36c891] font-medium">{data.confidence.toFixed(1)}%</span>
-                          </div>
-                          <div className="w-full bg-[#30363d] rounded-full h-3">
-                            <div
-                              className="bg-gradient-to-r from-[#36c891] to-[#4dc2f5] h-3 rounded-full transition-all"
-                              style={{ width: `${data.confidence}%` }}
-                            />
-                          </div>
+                    <div key={param} className="grid lg:grid-cols-4 gap-4">
+                      <div className="lg:col-span-3 bg-[#0d1117] rounded-xl p-5 border border-[#30363d]">
+                        <div className="flex justify-between items-start mb-4">
+                          <h4 className="text-lg font-semibold text-[#4dc2f5] flex items-center gap-2">
+                            <i className={varInfo.icon}></i> {varInfo.label}
+                          </h4>
+                          <span className="text-3xl font-bold">
+                            {data.value.toFixed(2)} {unit}
+                          </span>
                         </div>
 
-                        <div className="space-y-1 text-sm">
-                          <div className="flex justify-between">
-                            <span className="text-[#8b949e]">Range:</span>
-                            <span>{data.range.min.toFixed(2)} - {data.range.max.toFixed(2)} {unit}</span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className="text-[#8b949e]">Std Dev:</span>
-                            <span>±{data.stdDev.toFixed(2)} {unit}</span>
-                          </div>
+                        <div className="flex gap-1 mb-4">
+                          {[{ id: "forecast", label: "Forecast" }, { id: "extremes", label: "Extremes" }].map(tab => (
+                            <button
+                              key={tab.id}
+                              onClick={() => setCardTabs(prev => ({ ...prev, [param]: tab.id }))}
+                              className={`px-3 py-1 rounded text-xs transition-colors ${(cardTabs[param] || "forecast") === tab.id ? "bg-[#4dc2f5] text-white" : "bg-[#161b22] text-[#8b949e] hover:bg-[#1f242c]"}`}
+                            >
+                              {tab.label}
+                            </button>
+                          ))}
                         </div>
-                      </div>
 
-                      <div className="mt-4 chart-container" data-param={param} data-chart-type="distribution">
-                        <h5 className="text-sm font-semibold text-[#c9d1d9] mb-3">
-                          <i className="fas fa-chart-area"></i> Probability Distribution
-                        </h5>
-                        <ResponsiveContainer width="100%" height={180}>
-                          <AreaChart data={data.distribution} margin={{ top: 0, right: 0, left: -15, bottom: 0 }}>
-                            <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
-                            <XAxis
-                              dataKey="value"
-                              stroke="#8b949e"
-                              tick={{ fontSize: 12 }}
-                              tickFormatter={(val) => val.toFixed(1)}
-                            />
-                            <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
-                            <Tooltip
-                              contentStyle={{ backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' }}
-                              labelFormatter={(val) => `${val.toFixed(2)} ${unit}`}
-                              formatter={(val) => [`${val.toFixed(2)}%`, 'Probability']}
-                            />
-                            <Area
-                              type="monotone"
-                              dataKey="probability"
-                              stroke={varInfo.color}
-                              fill={varInfo.color}
-                              fillOpacity={0.4}
-                            />
-                          </AreaChart>
-                        </ResponsiveContainer>
+                        {cardTabs[param] === "extremes" ? (
+                          <ExtremesPanel
+                            result={getExtremes(param)}
+                            unit={unit}
+                            color={varInfo.color}
+                            thresholdText={describeThreshold(getThreshold(param), unit)}
+                            windowDays={forecastPeriod.windowDays}
+                          />
+                        ) : (
+                          <>
+                            <div className={`mb-4 px-3 py-2 rounded-lg border inline-block ${statusInfo.badge}`}>
+                              <span className="text-sm font-medium">{statusInfo.label}</span>
+                            </div>
+
+                            <div className="grid md:grid-cols-2 gap-4 mb-4">
+                              <div>
+                                <div className="flex justify-between text-sm mb-2">
+                                  <span className="text-[#8b949e]" title={METHODOLOGY.confidence}>Confidence:</span>
+                                  <span className="text-[#36c891] font-medium">{data.confidence.toFixed(1)}%</span>
+                                </div>
+                                <div className="w-full bg-[#30363d] rounded-full h-3">
+                                  <div
+                                    className="bg-gradient-to-r from-[#36c891] to-[#4dc2f5] h-3 rounded-full transition-all"
+                                    style={{ width: `${data.confidence}%` }}
+                                  />
+                                </div>
+                              </div>
+
+                              <div className="space-y-1 text-sm">
+                                <div className="flex justify-between">
+                                  <span className="text-[#8b949e]">Range:</span>
+                                  <span>{data.range.min.toFixed(2)} - {data.range.max.toFixed(2)} {unit}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span className="text-[#8b949e]">Std Dev:</span>
+                                  <span>±{data.stdDev.toFixed(2)} {unit}</span>
+                                </div>
+                                {data.interval && (
+                                  <div className="flex justify-between">
+                                    <span className="text-[#8b949e]" title={METHODOLOGY.interval}>95% CI (expected):</span>
+                                    <span>{data.interval.lower.toFixed(2)} - {data.interval.upper.toFixed(2)} {unit}</span>
+                                  </div>
+                                )}
+                                {spread && (
+                                  <div className="flex justify-between">
+                                    <span className="text-[#8b949e]" title="Lowest and highest expected value among the sampled grid cells">Across {spread.cells} cells:</span>
+                                    <span>{spread.min.toFixed(2)} - {spread.max.toFixed(2)} {unit}</span>
+                                  </div>
+                                )}
+                                {data.trend && (
+                                  <div className="flex justify-between">
+                                    <span className="text-[#8b949e]">Trend:</span>
+                                    <span title={data.trend.applied ? "Samples shifted to the target year along this trend" : "Reported only; this variable is used as observed"}>
+                                      {data.trend.slope >= 0 ? "+" : ""}{(data.trend.slope * 10).toFixed(2)} {unit}/decade ({data.trend.applied ? "applied" : "not applied"})
+                                    </span>
+                                  </div>
+                                )}
+                                <div className="flex justify-between">
+                                  <span className="text-[#8b949e]">P10 / P50 / P90:</span>
+                                  <span>{data.percentiles.p10.toFixed(2)} / {data.percentiles.p50.toFixed(2)} / {data.percentiles.p90.toFixed(2)} {unit}</span>
+                                </div>
+                                {forecastPeriod && (
+                                  <div className="flex justify-between">
+                                    <span className="text-[#8b949e]">Baseline:</span>
+                                    <span>{forecastPeriod.startYear} - {forecastPeriod.endYear} ({data.samples} samples)</span>
+                                  </div>
+                                )}
+                                <div className="flex justify-between">
+                                  <span className="text-[#8b949e]">Data Quality:</span>
+                                  <span className={data.quality.coverage < 90 ? "text-[#f5a623]" : ""} title={`${data.quality.usable} of ${data.quality.days} days in the window were usable`}>
+                                    {describeQuality(data.quality)}
+                                  </span>
+                                </div>
+                              </div>
+                            </div>
+
+                            <DistributionChart param={param} data={data} unit={unit} color={varInfo.color} />
+
+                            {displayTimeSeries && displayTimeSeries[param] && (
+                              <div className="mt-6 chart-container" data-param={param} data-chart-type="timeseries">
+                                <h5 className="text-sm font-semibold text-[#c9d1d9] mb-3">
+                                  <i className="fas fa-chart-line"></i> Historical Trend (Same Month, {aggregationFor(param).label})
+                                </h5>
+                                <ResponsiveContainer width="100%" height={180}>
+                                  <LineChart data={displayTimeSeries[param]} margin={{ top: 0, right: 0, left: -15, bottom: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
+                                    <XAxis
+                                      dataKey="year"
+                                      stroke="#8b949e"
+                                      tick={{ fontSize: 12 }}
+                                    />
+                                    <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
+                                    <Tooltip
+                                      contentStyle={{ backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' }}
+                                      formatter={(val) => [`${val.toFixed(2)} ${unit}`, aggregationFor(param).label]}
+                                    />
+                                    <Line
+                                      type="monotone"
+                                      dataKey="value"
+                                      stroke={varInfo.color}
+                                      strokeWidth={2}
+                                      dot={{ fill: varInfo.color, r: 4 }}
+                                    />
+                                  </LineChart>
+                                </ResponsiveContainer>
+                              </div>
+                            )}
+                          </>
+                        )}
                       </div>
-
-                      {timeSeriesData && timeSeriesData[param] && (
-                        <div className="mt-6 chart-container" data-param={param} data-chart-type="timeseries">
-                          <h5 className="text-sm font-semibold text-[#c9d1d9] mb-3">
-                            <i className="fas fa-chart-line"></i> Historical Trend (Same Month)
-                          </h5>
-                          <ResponsiveContainer width="100%" height={180}>
-                            <LineChart data={timeSeriesData[param]} margin={{ top: 0, right: 0, left: -15, bottom: 0 }}>
-                              <CartesianGrid strokeDasharray="3 3" stroke="#30363d" />
-                              <XAxis
-                                dataKey="year"
-                                stroke="#8b949e"
-                                tick={{ fontSize: 12 }}
-                              />
-                              <YAxis stroke="#8b949e" tick={{ fontSize: 12 }} />
-                              <Tooltip
-                                contentStyle={{ backgroundColor: '#161b22', border: '1px solid #30363d', borderRadius: '8px' }}
-                                formatter={(val) => [`${val.toFixed(2)} ${unit}`, 'Average']}
-                              />
-                              <Line
-                                type="monotone"
-                                dataKey="value"
-                                stroke={varInfo.color}
-                                strokeWidth={2}
-                                dot={{ fill: varInfo.color, r: 4 }}
-                              />
-                            </LineChart>
-                          </ResponsiveContainer>
-                        </div>
-                      )}
+                      <ThresholdPanel
+                        label={varInfo.label}
+                        unit={unit}
+                        threshold={getThreshold(param)}
+                        sampleValues={data.sampleValues}
+                        onChange={(threshold) => updateThreshold(param, threshold)}
+                      />
                     </div>
                   );
                 })}
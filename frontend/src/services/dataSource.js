@@ -0,0 +1,89 @@
+import { powerProvider } from "./power";
+import { mockProvider } from "./mockPower";
+import { planRequests, readCachedSeries, writeCachedSeries } from "./seriesCache";
+import { sourceParams, selectSeries } from "../engine/derived";
+import { averageSeries } from "../engine/area";
+
+// A data provider is `{ id, label, url, cacheable, fetchDaily }` where
+// `fetchDaily({ lat, lon, params, startYear, endYear, signal })` resolves to
+// `{ PARAM: { YYYYMMDD: value } }` in POWER parameter names and units, rejects
+// with an AbortError once `signal` aborts and with a DataSourceError (see
+// errors.js) when the source fails.
+// The UI only talks to the active provider, so a new source only needs to be
+// registered here.
+//
+// The provider is picked with VITE_DATA_SOURCE (e.g. `VITE_DATA_SOURCE=mock`
+// in .env.local) and defaults to the live POWER API.
+
+export const DATA_PROVIDERS = {
+  [powerProvider.id]: powerProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+export const DEFAULT_PROVIDER = powerProvider.id;
+
+export const getDataProvider = (id = import.meta.env.VITE_DATA_SOURCE) => {
+  if (!id) return DATA_PROVIDERS[DEFAULT_PROVIDER];
+  if (!DATA_PROVIDERS[id]) {
+    console.warn(`Unknown data source "${id}", falling back to ${DEFAULT_PROVIDER}`);
+    return DATA_PROVIDERS[DEFAULT_PROVIDER];
+  }
+  return DATA_PROVIDERS[id];
+};
+
+export const dataProvider = getDataProvider();
+
+const mergeInto = (target, data) => {
+  Object.entries(data).forEach(([param, series]) => {
+    target[param] = { ...(target[param] || {}), ...series };
+  });
+  return target;
+};
+
+// Serves what it can from the persistent cache and asks the provider only for
+// the parameters/years that are missing.
+const fetchCached = async (request) => {
+  if (!dataProvider.cacheable) return dataProvider.fetchDaily(request);
+
+  const { lat, lon, params, startYear, endYear, signal } = request;
+  const scope = { provider: dataProvider.id, lat, lon };
+  const cached = await readCachedSeries({ ...scope, params, startYear, endYear });
+
+  const merged = {};
+  Object.entries(cached).forEach(([param, years]) => {
+    merged[param] = Object.assign({}, ...Object.values(years));
+  });
+
+  for (const missing of planRequests(params, startYear, endYear, (param, year) => Boolean(cached[param]?.[year]))) {
+    const fresh = await dataProvider.fetchDaily({ lat, lon, ...missing, signal });
+    mergeInto(merged, fresh);
+    await writeCachedSeries({ ...scope, startYear: missing.startYear, endYear: missing.endYear }, fresh);
+  }
+
+  // cached and fresh years arrive interleaved, so restore date order
+  return Object.fromEntries(params.filter(param => merged[param]).map(param => [
+    param,
+    Object.fromEntries(Object.entries(merged[param]).sort(([a], [b]) => a.localeCompare(b))),
+  ]));
+};
+
+// Resolves `params` in registry terms: derived variables (engine/derived.js)
+// are fetched as their POWER inputs and computed here, so callers never see
+// the inputs unless they asked for them.
+export const fetchDailySeries = async (request) => {
+  const fetched = await fetchCached({ ...request, params: sourceParams(request.params) });
+  return selectSeries(fetched, request.params);
+};
+
+// Fetches `request` for every grid cell of an area (engine/area.js), one cell
+// at a time so the provider sees the same request rate as for a point, and
+// returns the per-cell series with their day-by-day average.
+export const fetchAreaSeries = async ({ cells, onProgress, ...request }) => {
+  const perCell = [];
+  for (const cell of cells) {
+    const historical = await fetchDailySeries({ ...request, lat: cell.lat.toFixed(2), lon: cell.lng.toFixed(2) });
+    perCell.push({ ...cell, historical });
+    onProgress?.(perCell.length, cells.length);
+  }
+  return { cells: perCell, historical: averageSeries(perCell.map(cell => cell.historical)) };
+};
@@ -0,0 +1,18 @@
+// Errors raised by data providers and geocoders. `kind` lets the UI explain
+// what went wrong without parsing messages:
+//   network    - the request never got a response
+//   rate-limit - the provider answered 429 after every retry
+//   server     - 5xx after every retry
+//   http       - any other non-OK status (not retried)
+//   malformed  - the body is not the expected JSON shape
+//   truncated  - the body parsed but is missing days
+export class DataSourceError extends Error {
+  constructor(kind, message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "DataSourceError";
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+export const isAbortError = (err) => err?.name === "AbortError";
@@ -0,0 +1,184 @@
+import { DataSourceError, isAbortError } from "./errors";
+
+// A geocoder is `{ id, label, autocomplete, search, reverse }` where
+// `search(query, { signal })` resolves to a list of places and
+// `reverse(lat, lng, { signal })` to one place or null (open sea, say). A
+// place is `{ id, name, region, country, type, label, lat, lng }`.
+//
+// `autocomplete` says whether the service may be queried as the user types.
+// Nominatim's usage policy forbids client-side autocomplete, so with it the
+// suggestions only appear once a search is submitted; Photon is built for
+// search-as-you-type. Every geocoder is rate limited and caches its answers,
+// as both services ask.
+//
+// The geocoder is picked with VITE_GEOCODER (`nominatim` or `photon`) and
+// defaults to Nominatim.
+
+const NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+const PHOTON_URL = "https://photon.komoot.io";
+
+export const SEARCH_LIMIT = 6;
+
+// Nominatim allows at most one request per second per application.
+export const NOMINATIM_INTERVAL_MS = 1000;
+export const PHOTON_INTERVAL_MS = 300;
+
+const CACHE_SIZE = 100;
+
+// Reverse lookups are cached per ~10 m so repeated clicks reuse the answer.
+const REVERSE_DIGITS = 4;
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+// Spaces task starts at least `intervalMs` apart, in call order.
+export const createRateLimiter = (intervalMs) => {
+  let next = 0;
+  return async (task, signal) => {
+    const now = Date.now();
+    const start = Math.max(now, next);
+    next = start + intervalMs;
+    if (start > now) await sleep(start - now, signal);
+    return task();
+  };
+};
+
+const fetchJSON = async (url, label, signal) => {
+  let response;
+  try {
+    response = await fetch(url, { signal, headers: { Accept: "application/json" } });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    throw new DataSourceError("network", `Could not reach ${label}. Check your connection.`, { cause: err });
+  }
+  if (!response.ok) {
+    const kind = response.status === 429 ? "rate-limit" : response.status >= 500 ? "server" : "http";
+    throw new DataSourceError(kind, `${label} error: ${response.status}`, { status: response.status });
+  }
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new DataSourceError("malformed", `${label} returned an unreadable response`, { cause: err });
+  }
+};
+
+// Rate-limited, cached JSON GETs for one service. Failed requests are not
+// cached so they can be retried.
+const createClient = (label, intervalMs) => {
+  const limit = createRateLimiter(intervalMs);
+  const cache = new Map();
+  return async (url, signal) => {
+    if (cache.has(url)) return cache.get(url);
+    const body = await limit(() => fetchJSON(url, label, signal), signal);
+    cache.set(url, body);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return body;
+  };
+};
+
+const firstOf = (source, keys) => keys.map(key => source?.[key]).find(Boolean) || "";
+
+const LOCALITY_KEYS = ["city", "town", "village", "hamlet", "suburb", "municipality", "county"];
+const REGION_KEYS = ["state", "region", "province", "state_district", "county"];
+
+const humanType = (type) => (type || "").replace(/_/g, " ");
+
+export const parseNominatimPlace = (item) => {
+  const name = item.name || firstOf(item.address, LOCALITY_KEYS) || String(item.display_name || "").split(",")[0];
+  const region = firstOf(item.address, REGION_KEYS);
+  return {
+    id: `nominatim:${item.osm_type}:${item.osm_id}`,
+    name,
+    region: region === name ? "" : region,
+    country: item.address?.country || "",
+    type: humanType(item.addresstype || item.type),
+    label: item.display_name || name,
+    lat: parseFloat(item.lat),
+    lng: parseFloat(item.lon),
+  };
+};
+
+export const parsePhotonPlace = ({ geometry, properties }) => {
+  const name = properties.name || firstOf(properties, ["city", "county", "state"]);
+  const region = firstOf(properties, ["state", "county"]);
+  return {
+    id: `photon:${properties.osm_type}:${properties.osm_id}`,
+    name,
+    region: region === name ? "" : region,
+    country: properties.country || "",
+    type: humanType(properties.osm_value || properties.type),
+    label: [...new Set([name, properties.city, properties.state, properties.country].filter(Boolean))].join(", "),
+    lat: geometry.coordinates[1],
+    lng: geometry.coordinates[0],
+  };
+};
+
+// Each geocoder gets its own rate limit and cache; `intervalMs` is there for
+// tests, which build unthrottled instances.
+export const createNominatimGeocoder = ({ intervalMs = NOMINATIM_INTERVAL_MS } = {}) => {
+  const get = createClient("OpenStreetMap Nominatim", intervalMs);
+  return {
+    id: "nominatim",
+    label: "OpenStreetMap Nominatim",
+    autocomplete: false,
+    search: async (query, { signal } = {}) => {
+      const body = await get(`${NOMINATIM_URL}/search?q=${encodeURIComponent(query)}&format=jsonv2&addressdetails=1&limit=${SEARCH_LIMIT}`, signal);
+      return Array.isArray(body) ? body.map(parseNominatimPlace) : [];
+    },
+    reverse: async (lat, lng, { signal } = {}) => {
+      const body = await get(`${NOMINATIM_URL}/reverse?lat=${lat.toFixed(REVERSE_DIGITS)}&lon=${lng.toFixed(REVERSE_DIGITS)}&format=jsonv2&addressdetails=1&zoom=10`, signal);
+      return body && !body.error ? parseNominatimPlace(body) : null;
+    },
+  };
+};
+
+export const nominatimGeocoder = createNominatimGeocoder();
+
+export const createPhotonGeocoder = ({ intervalMs = PHOTON_INTERVAL_MS } = {}) => {
+  const get = createClient("Photon", intervalMs);
+  return {
+    id: "photon",
+    label: "Photon (OpenStreetMap)",
+    autocomplete: true,
+    search: async (query, { signal } = {}) => {
+      const body = await get(`${PHOTON_URL}/api/?q=${encodeURIComponent(query)}&limit=${SEARCH_LIMIT}`, signal);
+      return (body?.features || []).map(parsePhotonPlace);
+    },
+    reverse: async (lat, lng, { signal } = {}) => {
+      const body = await get(`${PHOTON_URL}/reverse?lat=${lat.toFixed(REVERSE_DIGITS)}&lon=${lng.toFixed(REVERSE_DIGITS)}`, signal);
+      const feature = body?.features?.[0];
+      return feature ? parsePhotonPlace(feature) : null;
+    },
+  };
+};
+
+export const photonGeocoder = createPhotonGeocoder();
+
+export const GEOCODERS = {
+  [nominatimGeocoder.id]: nominatimGeocoder,
+  [photonGeocoder.id]: photonGeocoder,
+};
+
+export const DEFAULT_GEOCODER = nominatimGeocoder.id;
+
+export const getGeocoder = (id = import.meta.env.VITE_GEOCODER) => {
+  if (!id) return GEOCODERS[DEFAULT_GEOCODER];
+  if (!GEOCODERS[id]) {
+    console.warn(`Unknown geocoder "${id}", falling back to ${DEFAULT_GEOCODER}`);
+    return GEOCODERS[DEFAULT_GEOCODER];
+  }
+  return GEOCODERS[id];
+};
+
+export const geocoder = getGeocoder();
+
+// One line for a place: name, then region and country where they add something.
+export const describePlace = (place) =>
+  [...new Set([place.name, place.region, place.country].filter(Boolean))].join(", ");
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createRateLimiter, parseNominatimPlace, parsePhotonPlace, createNominatimGeocoder, getGeocoder, describePlace, DEFAULT_GEOCODER } from "./geocoder";
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+const springfield = {
+  osm_type: "relation",
+  osm_id: 123,
+  lat: "39.7990",
+  lon: "-89.6440",
+  name: "Springfield",
+  addresstype: "city",
+  display_name: "Springfield, Sangamon County, Illinois, United States",
+  address: { city: "Springfield", county: "Sangamon County", state: "Illinois", country: "United States" },
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("createRateLimiter", () => {
+  it("spaces task starts by the interval", async () => {
+    vi.useFakeTimers();
+    const limit = createRateLimiter(1000);
+    const started = [];
+    const run = (id) => limit(async () => started.push([id, Date.now()]));
+
+    const t0 = Date.now();
+    const all = Promise.all([run("a"), run("b"), run("c")]);
+    await vi.advanceTimersByTimeAsync(2000);
+    await all;
+
+    expect(started.map(([id, at]) => [id, at - t0])).toEqual([["a", 0], ["b", 1000], ["c", 2000]]);
+  });
+});
+
+describe("parsers", () => {
+  it("reads a Nominatim result with address details", () => {
+    expect(parseNominatimPlace(springfield)).toEqual({
+      id: "nominatim:relation:123",
+      name: "Springfield",
+      region: "Illinois",
+      country: "United States",
+      type: "city",
+      label: springfield.display_name,
+      lat: 39.799,
+      lng: -89.644,
+    });
+  });
+
+  it("reads a Photon feature", () => {
+    const place = parsePhotonPlace({
+      geometry: { coordinates: [-93.2923, 37.2153] },
+      properties: { osm_type: "R", osm_id: 9, name: "Springfield", state: "Missouri", country: "United States", osm_value: "city" },
+    });
+    expect(place).toMatchObject({ name: "Springfield", region: "Missouri", lat: 37.2153, lng: -93.2923, type: "city" });
+    expect(describePlace(place)).toBe("Springfield, Missouri, United States");
+  });
+});
+
+describe("createNominatimGeocoder", () => {
+  // unthrottled, with a cache of its own, so tests neither wait nor share answers
+  const unthrottled = () => createNominatimGeocoder({ intervalMs: 0 });
+
+  it("asks for several candidates with address details", async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse([springfield]));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const places = await unthrottled().search("Springfield");
+    expect(places).toHaveLength(1);
+    expect(fetchMock.mock.calls[0][0]).toMatch(/limit=6/);
+    expect(fetchMock.mock.calls[0][0]).toMatch(/addressdetails=1/);
+  });
+
+  it("caches answers and reports nothing found at sea", async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ error: "Unable to geocode" }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const geocoder = unthrottled();
+    expect(await geocoder.reverse(0.5, -30.25)).toBeNull();
+    expect(await geocoder.reverse(0.50001, -30.25001)).toBeNull();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("turns HTTP failures into typed errors", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response("", { status: 429 })));
+    await expect(unthrottled().search("Rate limited town")).rejects.toMatchObject({ kind: "rate-limit", status: 429 });
+  });
+});
+
+describe("getGeocoder", () => {
+  it("falls back to the default for unknown ids", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(getGeocoder("bing").id).toBe(DEFAULT_GEOCODER);
+    expect(getGeocoder("photon").autocomplete).toBe(true);
+    warn.mockRestore();
+  });
+});
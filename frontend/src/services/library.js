@@ -0,0 +1,124 @@
+// Saved places and saved forecast scenarios, kept in localStorage and shared
+// between team members as a JSON file.
+//
+// A place is `{ id, name, lat, lng, notes }`. A scenario is a named forecast
+// query, `{ id, name, place: { name, lat, lng }, targetDate, eventEnd,
+// variables }`, carrying its own copy of the place so it still works after
+// the place is renamed or deleted.
+
+import { getVariable } from "../engine/variables";
+import { loadJSON, saveJSON } from "./storage";
+
+export const PLACES_STORAGE_KEY = "savedPlaces";
+export const SCENARIOS_STORAGE_KEY = "savedScenarios";
+
+export const LIBRARY_FORMAT = "exora-library";
+export const LIBRARY_VERSION = 1;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const isCoordinate = (value, limit) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= limit;
+
+const validatePlace = (place, what) => {
+  if (!place || typeof place !== "object") throw new Error(`${what}: expected an object`);
+  if (typeof place.name !== "string" || !place.name.trim()) throw new Error(`${what}: needs a name`);
+  if (!isCoordinate(place.lat, 90) || !isCoordinate(place.lng, 180)) {
+    throw new Error(`${what} "${place.name}": needs numeric "lat" (±90) and "lng" (±180)`);
+  }
+};
+
+export const normalizePlace = (place, index = 0) => {
+  validatePlace(place, `Saved place ${index + 1}`);
+  return {
+    id: typeof place.id === "string" && place.id ? place.id : createId(),
+    name: place.name.trim(),
+    lat: place.lat,
+    lng: place.lng,
+    notes: typeof place.notes === "string" ? place.notes : "",
+  };
+};
+
+export const normalizeScenario = (scenario, index = 0) => {
+  const what = `Saved scenario ${index + 1}`;
+  if (!scenario || typeof scenario !== "object") throw new Error(`${what}: expected an object`);
+  if (typeof scenario.name !== "string" || !scenario.name.trim()) throw new Error(`${what}: needs a name`);
+  validatePlace(scenario.place, `${what} place`);
+  if (!ISO_DATE.test(scenario.targetDate || "")) throw new Error(`${what} "${scenario.name}": needs a YYYY-MM-DD "targetDate"`);
+  const variables = Array.isArray(scenario.variables) ? scenario.variables.filter(id => getVariable(id)) : [];
+  if (variables.length === 0) throw new Error(`${what} "${scenario.name}": needs at least one known variable`);
+
+  return {
+    id: typeof scenario.id === "string" && scenario.id ? scenario.id : createId(),
+    name: scenario.name.trim(),
+    place: { name: scenario.place.name.trim(), lat: scenario.place.lat, lng: scenario.place.lng },
+    targetDate: scenario.targetDate,
+    eventEnd: ISO_DATE.test(scenario.eventEnd || "") && scenario.eventEnd > scenario.targetDate ? scenario.eventEnd : "",
+    variables,
+  };
+};
+
+// Entries from `incoming` replace existing ones with the same id and are
+// otherwise appended, so importing a colleague's file twice is harmless.
+export const mergeById = (existing, incoming) => {
+  const ids = new Set(incoming.map(item => item.id));
+  return [...existing.filter(item => !ids.has(item.id)), ...incoming];
+};
+
+export const exportLibrary = ({ places, scenarios }) => ({
+  format: LIBRARY_FORMAT,
+  version: LIBRARY_VERSION,
+  exportedAt: new Date().toISOString(),
+  places,
+  scenarios,
+});
+
+// Parses an exported library file. Throws with a message suitable for
+// showing to the user.
+export const parseLibrary = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("Saved places: file is not valid JSON");
+  }
+  if (!json || json.format !== LIBRARY_FORMAT) {
+    throw new Error(`Saved places: expected a "${LIBRARY_FORMAT}" file exported from this dashboard`);
+  }
+  if (json.version > LIBRARY_VERSION) {
+    throw new Error(`Saved places: file version ${json.version} is newer than this dashboard supports`);
+  }
+  ["places", "scenarios"].forEach(field => {
+    if (json[field] !== undefined && !Array.isArray(json[field])) {
+      throw new Error(`Saved places: "${field}" should be a list`);
+    }
+  });
+  return {
+    places: (json.places || []).map(normalizePlace),
+    scenarios: (json.scenarios || []).map(normalizeScenario),
+  };
+};
+
+// Stored lists are re-validated on load; a corrupted entry is dropped on its
+// own so the rest of the list survives the next save.
+const loadList = (key, normalize) => {
+  const stored = loadJSON(key, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.flatMap((entry, index) => {
+    try {
+      return [normalize(entry, index)];
+    } catch (err) {
+      console.warn(`Dropping a stored entry: ${err.message}`);
+      return [];
+    }
+  });
+};
+
+export const loadPlaces = () => loadList(PLACES_STORAGE_KEY, normalizePlace);
+
+export const loadScenarios = () => loadList(SCENARIOS_STORAGE_KEY, normalizeScenario);
+
+export const savePlaces = (places) => saveJSON(PLACES_STORAGE_KEY, places);
+
+export const saveScenarios = (scenarios) => saveJSON(SCENARIOS_STORAGE_KEY, scenarios);
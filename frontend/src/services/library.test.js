@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { normalizePlace, normalizeScenario, mergeById, exportLibrary, parseLibrary, loadPlaces, loadScenarios, LIBRARY_FORMAT } from "./library";
+
+const venue = { id: "p1", name: "Riverside Park ", lat: 12.97, lng: 77.59, notes: "Gate 3" };
+
+const scenario = {
+  id: "s1",
+  name: "Summer fair",
+  place: { name: "Riverside Park", lat: 12.97, lng: 77.59 },
+  targetDate: "2027-06-14",
+  eventEnd: "2027-06-16",
+  variables: ["precipitation", "wind"],
+};
+
+// localStorage stand-in holding `entries` under their unprefixed keys.
+const stubStorage = (entries) => {
+  const items = new Map(Object.entries(entries).map(([key, value]) => [`exora.${key}`, JSON.stringify(value)]));
+  vi.stubGlobal("window", { localStorage: { getItem: (key) => items.get(key) ?? null } });
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("normalizePlace", () => {
+  it("trims names and fills in missing ids and notes", () => {
+    expect(normalizePlace(venue)).toEqual({ ...venue, name: "Riverside Park" });
+    const place = normalizePlace({ name: "Depot", lat: -33.9, lng: 18.4 });
+    expect(place.id).toBeTruthy();
+    expect(place.notes).toBe("");
+  });
+
+  it("rejects places without usable coordinates", () => {
+    expect(() => normalizePlace({ name: "Nowhere", lat: "12", lng: 77 })).toThrow(/lat/);
+    expect(() => normalizePlace({ name: "Pole", lat: 91, lng: 0 }, 2)).toThrow(/Saved place 3/);
+  });
+});
+
+describe("normalizeScenario", () => {
+  it("keeps known variables and a valid end date", () => {
+    const parsed = normalizeScenario({ ...scenario, variables: ["precipitation", "sunshine"], eventEnd: "2027-06-01" });
+    expect(parsed.variables).toEqual(["precipitation"]);
+    expect(parsed.eventEnd).toBe("");
+  });
+
+  it("needs a date and at least one variable", () => {
+    expect(() => normalizeScenario({ ...scenario, targetDate: "14/06/2027" })).toThrow(/targetDate/);
+    expect(() => normalizeScenario({ ...scenario, variables: ["sunshine"] })).toThrow(/variable/);
+  });
+});
+
+describe("mergeById", () => {
+  it("replaces matching ids and appends the rest", () => {
+    const merged = mergeById([{ id: "a", v: 1 }, { id: "b", v: 1 }], [{ id: "b", v: 2 }, { id: "c", v: 2 }]);
+    expect(merged).toEqual([{ id: "a", v: 1 }, { id: "b", v: 2 }, { id: "c", v: 2 }]);
+  });
+});
+
+describe("parseLibrary", () => {
+  it("round-trips an export", () => {
+    const text = JSON.stringify(exportLibrary({ places: [normalizePlace(venue)], scenarios: [scenario] }));
+    const parsed = parseLibrary(text);
+    expect(parsed.places[0].name).toBe("Riverside Park");
+    expect(parsed.scenarios).toEqual([scenario]);
+  });
+
+  it("rejects other files", () => {
+    expect(() => parseLibrary("not json")).toThrow(/valid JSON/);
+    expect(() => parseLibrary(JSON.stringify({ variables: {} }))).toThrow(LIBRARY_FORMAT);
+    expect(() => parseLibrary(JSON.stringify({ format: LIBRARY_FORMAT, version: 99 }))).toThrow(/newer/);
+  });
+
+  it("rejects lists that are not arrays", () => {
+    expect(() => parseLibrary(JSON.stringify({ format: LIBRARY_FORMAT, places: { a: venue } }))).toThrow('Saved places: "places" should be a list');
+    expect(() => parseLibrary(JSON.stringify({ format: LIBRARY_FORMAT, scenarios: "none" }))).toThrow('Saved places: "scenarios" should be a list');
+  });
+});
+
+describe("loadPlaces", () => {
+  it("drops only the stored entries that fail validation", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    stubStorage({
+      savedPlaces: [venue, { name: "Nowhere" }, { ...venue, id: "p2", name: "Lakeside" }],
+      savedScenarios: [scenario, { ...scenario, id: "s2", variables: [] }],
+    });
+    expect(loadPlaces().map(place => place.id)).toEqual(["p1", "p2"]);
+    expect(loadScenarios().map(entry => entry.id)).toEqual(["s1"]);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it("ignores a stored value that is not a list", () => {
+    stubStorage({ savedPlaces: { p1: venue } });
+    expect(loadPlaces()).toEqual([]);
+  });
+});
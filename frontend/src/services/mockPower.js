@@ -0,0 +1,83 @@
+// Offline stand-in for the POWER daily point API. It replays the POWER-shaped
+// payloads under src/fixtures/power (see the README there for which are
+// synthetic), so the dashboard can be developed and tested without network
+// access.
+//
+// Fixtures only cover a few years, so each requested year is served by a
+// fixture year (cycling through them in order) with the dates rewritten.
+// A fixture leap day is dropped for common years, and a leap year served by a
+// common fixture year simply has no 29 February, like a gap in the real API.
+// Parameters a fixture lacks are left out of the response, so the forecast
+// carries on with the rest.
+
+import { DataSourceError } from "./errors";
+
+const FIXTURES = [
+  {
+    name: "Bengaluru 2020-2024 (synthetic)",
+    lat: 12.97,
+    lon: 77.59,
+    load: () => import("../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json"),
+  },
+];
+
+const nearestFixture = (lat, lon) =>
+  FIXTURES.reduce((best, rec) =>
+    Math.hypot(rec.lat - lat, rec.lon - lon) < Math.hypot(best.lat - lat, best.lon - lon) ? rec : best
+  );
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+const fixtureYears = (series) =>
+  [...new Set(Object.keys(series).map(key => Number(key.slice(0, 4))))].sort((a, b) => a - b);
+
+export const replaySeries = (series, startYear, endYear) => {
+  const years = fixtureYears(series);
+  const out = {};
+  if (years.length === 0) return out;
+
+  for (let year = startYear; year <= endYear; year++) {
+    const source = String(years[(((year - years[0]) % years.length) + years.length) % years.length]);
+    Object.entries(series).forEach(([key, value]) => {
+      if (!key.startsWith(source)) return;
+      const monthDay = key.slice(4);
+      if (monthDay === "0229" && !isLeapYear(year)) return;
+      out[`${year}${monthDay}`] = value;
+    });
+  }
+  return out;
+};
+
+// `fixture:param` pairs already reported missing; the area sampler and the
+// climatology layer request the same parameters once per grid cell.
+const reportedMissing = new Set();
+
+const warnMissing = (fixture, params) => {
+  const fresh = params.filter(param => !reportedMissing.has(`${fixture.name}:${param}`));
+  if (fresh.length === 0) return;
+  fresh.forEach(param => reportedMissing.add(`${fixture.name}:${param}`));
+  console.warn(`Fixture "${fixture.name}" has no data for ${fresh.join(", ")}`);
+};
+
+export const fetchMockDaily = async ({ lat, lon, params, startYear, endYear, signal }) => {
+  const fixture = nearestFixture(Number(lat), Number(lon));
+  const response = (await fixture.load()).default;
+  signal?.throwIfAborted();
+  const parameter = response.properties.parameter;
+
+  const available = params.filter(param => parameter[param]);
+  if (available.length === 0) {
+    throw new DataSourceError("malformed", `Fixture "${fixture.name}" has no data for ${params.join(", ")}.`);
+  }
+  warnMissing(fixture, params.filter(param => !parameter[param]));
+
+  return Object.fromEntries(available.map(param => [param, replaySeries(parameter[param], startYear, endYear)]));
+};
+
+export const mockProvider = {
+  id: "mock",
+  label: "Synthetic NASA POWER-shaped fixture (offline)",
+  url: "https://power.larc.nasa.gov/",
+  cacheable: false,
+  fetchDaily: fetchMockDaily,
+};
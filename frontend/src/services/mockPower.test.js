@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from "vitest";
+import fixture from "../fixtures/power/synthetic-daily-point-bengaluru-2020-2024.json";
+import { replaySeries, fetchMockDaily } from "./mockPower";
+import { getDataProvider, DEFAULT_PROVIDER } from "./dataSource";
+import { DataSourceError } from "./errors";
+import { sourceParams } from "../engine/derived";
+import { VARIABLES } from "../engine/variables";
+
+const stored = fixture.properties.parameter;
+
+describe("replaySeries", () => {
+  it("serves each requested year from a fixture year in turn", () => {
+    const series = replaySeries(stored.T2M, 2014, 2026);
+    expect(series["20250315"]).toBe(stored.T2M["20200315"]);
+    expect(series["20260315"]).toBe(stored.T2M["20210315"]);
+    expect(series["20190315"]).toBe(stored.T2M["20240315"]);
+  });
+
+  it("drops leap days that the requested year does not have", () => {
+    const series = replaySeries(stored.T2M, 2025, 2025);
+    expect(series["20250229"]).toBeUndefined();
+    expect(Object.keys(series)).toHaveLength(365);
+  });
+});
+
+describe("fetchMockDaily", () => {
+  it("returns only the requested parameters over the requested span", async () => {
+    const data = await fetchMockDaily({ lat: "12.90", lon: "77.60", params: ["WS2M", "PS"], startYear: 2015, endYear: 2024 });
+    expect(Object.keys(data)).toEqual(["WS2M", "PS"]);
+    expect(Object.keys(data.PS)[0]).toBe("20150101");
+    expect(data.PS["20241231"]).toBe(stored.PS["20241231"]);
+  });
+
+  it("covers every registry parameter and derived-variable input", async () => {
+    const params = sourceParams(VARIABLES.map(v => v.param));
+    const data = await fetchMockDaily({ lat: 0, lon: 0, params, startYear: 2020, endYear: 2020 });
+    expect(Object.keys(data)).toEqual(params);
+  });
+
+  it("leaves out parameters missing from the fixture, warning once", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const request = { lat: 0, lon: 0, params: ["T2M", "QV2M"], startYear: 2020, endYear: 2020 };
+    expect(Object.keys(await fetchMockDaily(request))).toEqual(["T2M"]);
+    expect(Object.keys(await fetchMockDaily(request))).toEqual(["T2M"]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("QV2M"));
+    warn.mockRestore();
+  });
+
+  it("rejects a request the fixture has nothing for", async () => {
+    const request = fetchMockDaily({ lat: 0, lon: 0, params: ["QV2M"], startYear: 2020, endYear: 2020 });
+    await expect(request).rejects.toBeInstanceOf(DataSourceError);
+    await expect(request).rejects.toMatchObject({ kind: "malformed" });
+  });
+});
+
+describe("getDataProvider", () => {
+  it("defaults to the live POWER provider", () => {
+    expect(getDataProvider("").id).toBe(DEFAULT_PROVIDER);
+    expect(getDataProvider("mock").id).toBe("mock");
+  });
+});
@@ -0,0 +1,117 @@
+import { splitYearSpan } from "../engine/baseline";
+import { DataSourceError, isAbortError } from "./errors";
+
+const POWER_DAILY_POINT_URL = "https://power.larc.nasa.gov/api/temporal/daily/point";
+
+// Retries cover POWER's rate limiting (429) and transient 5xx/network errors.
+export const RETRY_OPTIONS = { retries: 3, baseDelayMs: 1000, maxDelayMs: 15000 };
+
+export const buildDailyPointUrl = ({ lat, lon, params, startYear, endYear }) =>
+  `${POWER_DAILY_POINT_URL}?parameters=${params.join(",")}&community=AG&longitude=${lon}&latitude=${lat}&start=${startYear}0101&end=${endYear}1231&format=JSON`;
+
+const mergeParameters = (target, source) => {
+  Object.entries(source).forEach(([param, series]) => {
+    target[param] = { ...(target[param] || {}), ...series };
+  });
+  return target;
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Exponential backoff with jitter, or the server's Retry-After when given.
+export const retryDelay = (attempt, response, { baseDelayMs, maxDelayMs } = RETRY_OPTIONS) => {
+  const retryAfter = Number(response?.headers?.get("Retry-After"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+  return Math.min(baseDelayMs * 2 ** attempt * (0.75 + Math.random() * 0.5), maxDelayMs);
+};
+
+export const fetchWithRetry = async (url, { signal, ...options } = {}) => {
+  const retry = { ...RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, { signal });
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      if (attempt >= retry.retries) {
+        throw new DataSourceError("network", "Could not reach the NASA POWER API. Check your connection.", { cause: err });
+      }
+      await sleep(retryDelay(attempt, null, retry), signal);
+      continue;
+    }
+
+    if (response.ok) return response;
+    if (!isRetryableStatus(response.status) || attempt >= retry.retries) {
+      const kind = response.status === 429 ? "rate-limit" : response.status >= 500 ? "server" : "http";
+      throw new DataSourceError(kind, `NASA POWER API error: ${response.status}`, { status: response.status });
+    }
+    await sleep(retryDelay(attempt, response, retry), signal);
+  }
+};
+
+const daysInSpan = (startYear, endYear) =>
+  Math.round((Date.UTC(endYear + 1, 0, 1) - Date.UTC(startYear, 0, 1)) / 86400000);
+
+// Checks a parsed response covers every requested parameter and day.
+export const validateDailyPoint = (data, { params, startYear, endYear }) => {
+  const parameter = data?.properties?.parameter;
+  if (!parameter || typeof parameter !== "object") {
+    throw new DataSourceError("malformed", "NASA POWER returned an unexpected response (no parameter data).");
+  }
+
+  const missing = params.filter(param => !parameter[param] || typeof parameter[param] !== "object");
+  if (missing.length) {
+    throw new DataSourceError("malformed", `NASA POWER response is missing ${missing.join(", ")}.`);
+  }
+
+  const expected = daysInSpan(startYear, endYear);
+  const short = params.filter(param => Object.keys(parameter[param]).length < expected);
+  if (short.length) {
+    throw new DataSourceError(
+      "truncated",
+      `NASA POWER response for ${startYear}-${endYear} is incomplete (${short.join(", ")} has fewer than ${expected} days).`
+    );
+  }
+
+  return parameter;
+};
+
+// Fetches the daily series for `params` over the baseline, one request per
+// year chunk, and returns a merged `properties.parameter` object.
+export const fetchPowerDaily = async ({ lat, lon, params, startYear, endYear, signal }) => {
+  const merged = {};
+
+  for (const chunk of splitYearSpan(startYear, endYear)) {
+    const response = await fetchWithRetry(buildDailyPointUrl({ lat, lon, params, ...chunk }), { signal });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      throw new DataSourceError("malformed", "NASA POWER returned a response that is not valid JSON (possibly cut off).", { cause: err });
+    }
+    mergeParameters(merged, validateDailyPoint(data, { params, ...chunk }));
+  }
+
+  return merged;
+};
+
+export const powerProvider = {
+  id: "power",
+  label: "NASA POWER API",
+  url: "https://power.larc.nasa.gov/",
+  cacheable: true,
+  fetchDaily: fetchPowerDaily,
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { fetchWithRetry, fetchPowerDaily, validateDailyPoint } from "./power";
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+const yearSeries = (year, days = 366) =>
+  Object.fromEntries(Array.from({ length: days }, (_, i) => {
+    const d = new Date(Date.UTC(year, 0, 1 + i));
+    return [d.toISOString().slice(0, 10).replace(/-/g, ""), i];
+  }));
+
+const noDelay = { baseDelayMs: 0, maxDelayMs: 0 };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("fetchWithRetry", () => {
+  it("retries 429 and 5xx responses until one succeeds", async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(new Response("", { status: 429 }))
+      .mockResolvedValueOnce(new Response("", { status: 503 }))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const response = await fetchWithRetry("https://example.test", noDelay);
+    expect(await response.json()).toEqual({ ok: true });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it("does not retry client errors", async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response("", { status: 422 }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await expect(fetchWithRetry("https://example.test", noDelay)).rejects.toMatchObject({ kind: "http", status: 422 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports rate limiting once retries run out", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response("", { status: 429 })));
+    await expect(fetchWithRetry("https://example.test", { ...noDelay, retries: 2 })).rejects.toMatchObject({ kind: "rate-limit" });
+  });
+
+  it("stops waiting as soon as the request is aborted", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response("", { status: 500 })));
+    const controller = new AbortController();
+    const pending = fetchWithRetry("https://example.test", { signal: controller.signal, baseDelayMs: 60000, maxDelayMs: 60000 });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("validateDailyPoint", () => {
+  const request = { params: ["T2M"], startYear: 2020, endYear: 2020 };
+
+  it("accepts a complete response", () => {
+    const parameter = { T2M: yearSeries(2020) };
+    expect(validateDailyPoint({ properties: { parameter } }, request)).toBe(parameter);
+  });
+
+  it("flags missing parameters and truncated series", () => {
+    expect(() => validateDailyPoint({ messages: [] }, request)).toThrow(expect.objectContaining({ kind: "malformed" }));
+    expect(() => validateDailyPoint({ properties: { parameter: { RH2M: yearSeries(2020) } } }, request))
+      .toThrow(expect.objectContaining({ kind: "malformed" }));
+    expect(() => validateDailyPoint({ properties: { parameter: { T2M: yearSeries(2020, 200) } } }, request))
+      .toThrow(expect.objectContaining({ kind: "truncated" }));
+  });
+});
+
+describe("fetchPowerDaily", () => {
+  it("reports a body that is not valid JSON as malformed", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response('{"properties": {"param', { status: 200 })));
+    await expect(fetchPowerDaily({ lat: 1, lon: 2, params: ["T2M"], startYear: 2020, endYear: 2020 }))
+      .rejects.toMatchObject({ kind: "malformed" });
+  });
+});
@@ -0,0 +1,190 @@
+// Persistent IndexedDB cache of daily series, one record per provider,
+// rounded coordinate, parameter and year. Storing single years lets a request
+// reuse whatever overlaps an earlier one and fetch only the missing
+// parameters/years. Like storage.js, every failure (no IndexedDB, private
+// mode, quota) degrades to "not cached" instead of breaking the forecast.
+
+import { isMissingValue } from "../engine/quality";
+
+const DB_NAME = "exora-cache";
+const DB_VERSION = 1;
+const STORE = "series";
+
+// Roughly 8 KB per record, so about 12 MB at the limit. The least recently
+// used records are evicted first.
+export const MAX_CACHE_ENTRIES = 1500;
+
+// POWER publishes with a lag and sometimes returns a year in part, so a year
+// with missing days or fill values is kept only this long before it is
+// fetched again. Complete years never expire.
+export const INCOMPLETE_YEAR_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const roundCoordinate = (value) => Number(value).toFixed(2);
+
+export const cacheKey = ({ provider, lat, lon, param, year }) =>
+  `${provider}:${roundCoordinate(lat)}:${roundCoordinate(lon)}:${param}:${year}`;
+
+// Splits `{ YYYYMMDD: value }` into `{ YYYY: { YYYYMMDD: value } }`.
+export const splitByYear = (series) => {
+  const years = {};
+  Object.entries(series).forEach(([key, value]) => {
+    const year = key.slice(0, 4);
+    (years[year] = years[year] || {})[key] = value;
+  });
+  return years;
+};
+
+const contiguousRuns = (years) => {
+  const runs = [];
+  years.forEach(year => {
+    const last = runs[runs.length - 1];
+    if (last && last.endYear === year - 1) last.endYear = year;
+    else runs.push({ startYear: year, endYear: year });
+  });
+  return runs;
+};
+
+// Groups the (param, year) pairs not yet cached into as few requests as
+// possible: parameters missing the same years share a request, and each
+// contiguous run of years becomes one span.
+export const planRequests = (params, startYear, endYear, isCached) => {
+  const groups = new Map();
+  params.forEach(param => {
+    const missing = [];
+    for (let year = startYear; year <= endYear; year++) {
+      if (!isCached(param, year)) missing.push(year);
+    }
+    if (missing.length === 0) return;
+    const id = missing.join(",");
+    if (!groups.has(id)) groups.set(id, { params: [], years: missing });
+    groups.get(id).params.push(param);
+  });
+
+  return [...groups.values()].flatMap(({ params: groupParams, years }) =>
+    contiguousRuns(years).map(run => ({ params: groupParams, ...run }))
+  );
+};
+
+const daysInYear = (year) => Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000);
+
+// True when `series` (one year of `{ YYYYMMDD: value }`) has a value for every
+// day of `year`.
+export const isCompleteYear = (series, year) => {
+  const values = Object.values(series);
+  return values.length === daysInYear(year) && !values.some(isMissingValue);
+};
+
+const isExpired = (record, now) => record.expiresAt !== undefined && record.expiresAt <= now;
+
+let dbPromise = null;
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      if (typeof indexedDB === "undefined") return null;
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: "key" });
+        store.createIndex("accessedAt", "accessedAt");
+      };
+      return requestResult(request);
+    })().catch(err => {
+      console.warn("Series cache unavailable:", err);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, work) => {
+  try {
+    const db = await openDb();
+    if (!db) return null;
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await work(tx.objectStore(STORE));
+    await done;
+    return result;
+  } catch (err) {
+    console.warn("Series cache error:", err);
+    return null;
+  }
+};
+
+// Returns `{ param: { year: series } }` for the records found, refreshing
+// their access time. Expired records count as not found.
+export const readCachedSeries = async ({ provider, lat, lon, params, startYear, endYear }) => {
+  const found = await withStore("readwrite", async (store) => {
+    const out = {};
+    const now = Date.now();
+    for (const param of params) {
+      for (let year = startYear; year <= endYear; year++) {
+        const record = await requestResult(store.get(cacheKey({ provider, lat, lon, param, year })));
+        if (!record || isExpired(record, now)) continue;
+        (out[param] = out[param] || {})[year] = record.series;
+        store.put({ ...record, accessedAt: now });
+      }
+    }
+    return out;
+  });
+  return found || {};
+};
+
+const evictOldest = (store) =>
+  new Promise((resolve, reject) => {
+    const countRequest = store.count();
+    countRequest.onerror = () => reject(countRequest.error);
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - MAX_CACHE_ENTRIES;
+      if (excess <= 0) return resolve();
+      const cursorRequest = store.index("accessedAt").openCursor();
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) return resolve();
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+    };
+  });
+
+// `data` is a provider response (`{ param: { YYYYMMDD: value } }`) covering
+// `startYear`-`endYear`. The current year is never stored because its record
+// is still growing; earlier years with gaps, fill values or no data at all
+// are stored with an expiry (INCOMPLETE_YEAR_TTL_MS) so they are fetched
+// again once POWER has caught up.
+export const writeCachedSeries = ({ provider, lat, lon, startYear, endYear }, data) =>
+  withStore("readwrite", async (store) => {
+    const now = Date.now();
+    const lastComplete = new Date().getFullYear() - 1;
+    Object.entries(data).forEach(([param, series]) => {
+      const byYear = splitByYear(series);
+      for (let year = startYear; year <= Math.min(endYear, lastComplete); year++) {
+        const yearSeries = byYear[year] || {};
+        store.put({
+          key: cacheKey({ provider, lat, lon, param, year }),
+          series: yearSeries,
+          fetchedAt: now,
+          accessedAt: now,
+          ...(isCompleteYear(yearSeries, year) ? {} : { expiresAt: now + INCOMPLETE_YEAR_TTL_MS }),
+        });
+      }
+    });
+    await evictOldest(store);
+  });
+
+export const countCachedSeries = async () =>
+  (await withStore("readonly", (store) => requestResult(store.count()))) || 0;
+
+export const clearSeriesCache = () => withStore("readwrite", (store) => requestResult(store.clear()));
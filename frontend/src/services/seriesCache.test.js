@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { cacheKey, splitByYear, planRequests, isCompleteYear } from "./seriesCache";
+import { POWER_FILL_VALUE } from "../engine/quality";
+
+describe("cacheKey", () => {
+  it("rounds coordinates to the request grid", () => {
+    expect(cacheKey({ provider: "power", lat: 12.9716, lon: "77.59", param: "T2M", year: 2020 }))
+      .toBe("power:12.97:77.59:T2M:2020");
+  });
+});
+
+describe("splitByYear", () => {
+  it("groups POWER date keys by year", () => {
+    expect(splitByYear({ 20191231: 1, 20200101: 2, 20200102: 3 })).toEqual({
+      2019: { 20191231: 1 },
+      2020: { 20200101: 2, 20200102: 3 },
+    });
+  });
+});
+
+// Every day of `year`, valued by `value(key)`.
+const fullYear = (year, value = () => 20) => {
+  const series = {};
+  for (let day = new Date(Date.UTC(year, 0, 1)); day.getUTCFullYear() === year; day.setUTCDate(day.getUTCDate() + 1)) {
+    const key = day.toISOString().slice(0, 10).replace(/-/g, "");
+    series[key] = value(key);
+  }
+  return series;
+};
+
+describe("isCompleteYear", () => {
+  it("accepts a year with a value for every day", () => {
+    expect(isCompleteYear(fullYear(2023), 2023)).toBe(true);
+    expect(isCompleteYear(fullYear(2024), 2024)).toBe(true);
+  });
+
+  it("rejects years POWER has not finished publishing", () => {
+    // trailing fill days, as in a request made early in January
+    expect(isCompleteYear(fullYear(2023, key => (key >= "20231225" ? POWER_FILL_VALUE : 20)), 2023)).toBe(false);
+    const short = fullYear(2023);
+    delete short["20231231"];
+    expect(isCompleteYear(short, 2023)).toBe(false);
+    expect(isCompleteYear({}, 2023)).toBe(false);
+  });
+});
+
+describe("planRequests", () => {
+  const cachedSet = (pairs) => (param, year) => pairs.includes(`${param}:${year}`);
+
+  it("requests nothing when everything is cached", () => {
+    expect(planRequests(["T2M"], 2020, 2021, () => true)).toEqual([]);
+  });
+
+  it("fetches only the parameter that was added", () => {
+    const cached = cachedSet(["T2M:2020", "T2M:2021"]);
+    expect(planRequests(["T2M", "WS2M"], 2020, 2021, cached)).toEqual([
+      { params: ["WS2M"], startYear: 2020, endYear: 2021 },
+    ]);
+  });
+
+  it("fetches only the years a longer baseline adds, grouped by shared gaps", () => {
+    const cached = cachedSet(["T2M:2018", "T2M:2019", "RH2M:2018", "RH2M:2019"]);
+    expect(planRequests(["T2M", "RH2M"], 2015, 2020, cached)).toEqual([
+      { params: ["T2M", "RH2M"], startYear: 2015, endYear: 2017 },
+      { params: ["T2M", "RH2M"], startYear: 2020, endYear: 2020 },
+    ]);
+  });
+});
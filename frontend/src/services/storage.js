@@ -0,0 +1,26 @@
+// Small localStorage helpers. Storage can be unavailable (private mode, quota)
+// so failures fall back silently rather than breaking the dashboard.
+
+const PREFIX = "exora.";
+
+export const loadJSON = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    if (value === null || value === undefined) {
+      window.localStorage.removeItem(PREFIX + key);
+    } else {
+      window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    }
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,118 @@
+// Dashboard query <-> URL search params, so a forecast can be bookmarked,
+// refreshed or sent as a link.
+//
+// Only the query is serialized (where, when, what, how), never results.
+// Parsing is forgiving: anything unknown or out of range is dropped and the
+// dashboard default is used instead, so a hand-edited or outdated link still
+// opens.
+
+import { getVariable } from "../engine/variables";
+import { BASELINES, DEFAULT_BASELINE } from "../engine/baseline";
+import { WINDOW_OPTIONS, DEFAULT_OPTIONS } from "../engine/forecast";
+import { DEFAULT_DISPLAY_UNITS, UNITS } from "../engine/units";
+import { getActivityProfile } from "../engine/activities";
+import { isValidShape } from "../engine/area";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const COORDINATE_DIGITS = 4;
+
+const parseCoordinate = (text, limit) => {
+  if (text === null || text.trim() === "") return null;
+  const value = Number(text);
+  return Number.isFinite(value) && Math.abs(value) <= limit ? value : null;
+};
+
+// An area as its type and vertices: `area=polygon:12.1,76.6;13.2,76.6;13.2,77.9`.
+const serializeArea = ({ type, points }) =>
+  `${type}:${points.map(p => `${p.lat.toFixed(COORDINATE_DIGITS)},${p.lng.toFixed(COORDINATE_DIGITS)}`).join(";")}`;
+
+const parseArea = (text) => {
+  const [type, vertices] = (text || "").split(":");
+  const area = {
+    type,
+    points: (vertices || "").split(";").map(pair => {
+      const [lat, lng] = pair.split(",");
+      return { lat: parseCoordinate(lat ?? null, 90), lng: parseCoordinate(lng ?? null, 180) };
+    }),
+  };
+  return isValidShape(area) ? area : null;
+};
+
+const parseDate = (text) => (text && ISO_DATE.test(text) && !Number.isNaN(Date.parse(text)) ? text : null);
+
+// Display units as `quantity:unit` pairs, only where they differ from the
+// defaults: `units=temperature:F,speed:mph`.
+const serializeUnits = (displayUnits) =>
+  Object.entries(displayUnits)
+    .filter(([quantity, unit]) => DEFAULT_DISPLAY_UNITS[quantity] !== unit)
+    .map(([quantity, unit]) => `${quantity}:${unit}`)
+    .join(",");
+
+const parseUnits = (text) => {
+  const units = {};
+  (text || "").split(",").forEach(pair => {
+    const [quantity, unit] = pair.split(":");
+    if (quantity in DEFAULT_DISPLAY_UNITS && UNITS[unit]?.quantity === quantity) units[quantity] = unit;
+  });
+  return units;
+};
+
+export const serializeDashboardState = ({ location, locationName, area, targetDate, eventEnd, variables, baseline, windowDays, displayUnits, activity }) => {
+  const params = new URLSearchParams();
+  if (location) {
+    params.set("lat", location.lat.toFixed(COORDINATE_DIGITS));
+    params.set("lon", location.lng.toFixed(COORDINATE_DIGITS));
+  }
+  if (locationName) params.set("place", locationName);
+  if (area) params.set("area", serializeArea(area));
+  if (targetDate) params.set("date", targetDate);
+  if (targetDate && eventEnd) params.set("end", eventEnd);
+  if (variables?.length) params.set("vars", variables.join(","));
+  if (baseline && baseline !== DEFAULT_BASELINE) params.set("baseline", baseline);
+  if (windowDays && windowDays !== DEFAULT_OPTIONS.windowDays) params.set("window", String(windowDays));
+  const units = displayUnits ? serializeUnits(displayUnits) : "";
+  if (units) params.set("units", units);
+  if (activity) params.set("activity", activity);
+  return params;
+};
+
+// Returns only the fields present and valid in `params`; callers fall back to
+// their own defaults for the rest.
+export const parseDashboardState = (params) => {
+  const state = {};
+
+  const lat = parseCoordinate(params.get("lat"), 90);
+  const lng = parseCoordinate(params.get("lon"), 180);
+  if (lat !== null && lng !== null) {
+    state.location = { lat, lng };
+    const place = params.get("place");
+    if (place) state.locationName = place;
+    const area = parseArea(params.get("area"));
+    if (area) state.area = area;
+  }
+
+  const date = parseDate(params.get("date"));
+  if (date) {
+    state.targetDate = date;
+    const end = parseDate(params.get("end"));
+    if (end && end > date) state.eventEnd = end;
+  }
+
+  const variables = (params.get("vars") || "").split(",").filter(id => getVariable(id));
+  if (variables.length) state.variables = [...new Set(variables)];
+
+  const baseline = params.get("baseline");
+  if (BASELINES.some(b => b.id === baseline)) state.baseline = baseline;
+
+  const windowDays = Number(params.get("window"));
+  if (WINDOW_OPTIONS.includes(windowDays)) state.windowDays = windowDays;
+
+  const units = parseUnits(params.get("units"));
+  if (Object.keys(units).length) state.displayUnits = { ...DEFAULT_DISPLAY_UNITS, ...units };
+
+  const activity = params.get("activity");
+  if (getActivityProfile(activity)) state.activity = activity;
+
+  return state;
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { serializeDashboardState, parseDashboardState } from "./urlState";
+import { DEFAULT_DISPLAY_UNITS } from "../engine/units";
+
+const state = {
+  location: { lat: 51.50735, lng: -0.12776 },
+  locationName: "London, England",
+  targetDate: "2027-06-14",
+  eventEnd: "2027-06-16",
+  variables: ["precipitation", "wind"],
+  baseline: "30",
+  windowDays: 10,
+  displayUnits: { ...DEFAULT_DISPLAY_UNITS, temperature: "F", speed: "mph" },
+  activity: "hiking",
+};
+
+describe("serializeDashboardState", () => {
+  it("writes the query compactly", () => {
+    const params = serializeDashboardState(state);
+    expect(params.get("lat")).toBe("51.5074");
+    expect(params.get("lon")).toBe("-0.1278");
+    expect(params.get("vars")).toBe("precipitation,wind");
+    expect(params.get("units")).toBe("temperature:F,speed:mph");
+  });
+
+  it("leaves out defaults and empty fields", () => {
+    const params = serializeDashboardState({ variables: ["precipitation"], baseline: "10", windowDays: 7, displayUnits: DEFAULT_DISPLAY_UNITS });
+    expect([...params.keys()]).toEqual(["vars"]);
+  });
+});
+
+describe("parseDashboardState", () => {
+  it("round-trips a serialized query", () => {
+    const parsed = parseDashboardState(new URLSearchParams(serializeDashboardState(state).toString()));
+    expect(parsed).toEqual({
+      ...state,
+      location: { lat: 51.5074, lng: -0.1278 },
+    });
+  });
+
+  it("drops unknown and out-of-range values", () => {
+    const parsed = parseDashboardState(new URLSearchParams(
+      "lat=95&lon=10&date=2027-13-45&vars=rain,wind,wind&baseline=7&window=8&units=temperature:mph,speed:kn&activity=sleeping"
+    ));
+    expect(parsed).toEqual({
+      variables: ["wind"],
+      displayUnits: { ...DEFAULT_DISPLAY_UNITS, speed: "kn" },
+    });
+  });
+
+  it("ignores an end date that does not follow the start", () => {
+    expect(parseDashboardState(new URLSearchParams("date=2027-06-14&end=2027-06-10"))).toEqual({ targetDate: "2027-06-14" });
+  });
+});
+
+describe("area", () => {
+  const area = { type: "rectangle", points: [{ lat: 12.1, lng: 76.6 }, { lat: 13.2, lng: 76.6 }, { lat: 13.2, lng: 77.9 }, { lat: 12.1, lng: 77.9 }] };
+
+  it("round-trips a drawn area with its centre", () => {
+    const params = serializeDashboardState({ location: { lat: 12.65, lng: 77.25 }, area });
+    expect(params.get("area")).toBe("rectangle:12.1000,76.6000;13.2000,76.6000;13.2000,77.9000;12.1000,77.9000");
+    expect(parseDashboardState(params).area).toEqual(area);
+  });
+
+  it("drops areas with too few or broken vertices", () => {
+    expect(parseDashboardState(new URLSearchParams("lat=1&lon=1&area=polygon:1,1;2,2")).area).toBeUndefined();
+    expect(parseDashboardState(new URLSearchParams("lat=1&lon=1&area=circle:1,1;2,2;3,1")).area).toBeUndefined();
+    expect(parseDashboardState(new URLSearchParams("lat=1&lon=1&area=polygon:1,1;2,x;3,1")).area).toBeUndefined();
+  });
+});